@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Node entry point of the formula-beautifier command line; see src/excelFormulaUtilities/cli.js
+import { readFileSync, writeFileSync } from 'node:fs';
+import { runCli } from '../src/excelFormulaUtilities/cli.js';
+
+process.exitCode = runCli(process.argv.slice(2), {
+    readFile: (file) => readFileSync(file, 'utf8'),
+    writeFile: (file, text) => writeFileSync(file, text),
+    readStdin: () => readFileSync(0, 'utf8'),
+    stdout: (text) => process.stdout.write(text),
+    stderr: (text) => process.stderr.write(text),
+});
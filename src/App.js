@@ -1,4 +1,39 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import BatchPanel from './components/BatchPanel';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import MappingBuilder from './components/MappingBuilder';
+import MappingGrid from './components/MappingGrid';
+import MappingValidationPanel from './components/MappingValidationPanel';
+import MappingWarningsPanel from './components/MappingWarningsPanel';
+import ReplacementPreview from './components/ReplacementPreview';
+import TemplateRulesEditor from './components/TemplateRulesEditor';
+import {
+  appendMapping,
+  applyTemplateRules,
+  convertFormulaLocale,
+  convertFormulaToCode,
+  convertMappingsText,
+  FORMULA_LOCALES,
+  convertSmartsheetFormula,
+  convertSmartsheetToAirtable,
+  convertSmartsheetToAppSheet,
+  convertToSmartsheetFormula,
+  exportMappings,
+  exportTemplateRules,
+  formatMappings,
+  formatFormula,
+  formatFormulaHtml,
+  FUNCTION_NAME_LOCALES,
+  getDiagnostics,
+  minify,
+  parseLocationMappings,
+  parseTemplateRules,
+  readMappingRows,
+  SMARTSHEET_OUTPUT_SHAPES,
+  TEMPLATE_PRESETS,
+  updateMappingRow,
+  validateMappings,
+} from './excelFormulaUtilities';
 
 // Main component for the Excel Formula Beautifier application
 const App = () => {
@@ -6,863 +41,339 @@ const App = () => {
   const [formula, setFormula] = useState('Hello {{name}}, welcome to Smartsheet! Your {{status}} is {{value}}.'); // Input formula string
   const [mode, setMode] = useState('beautify'); // Current operation mode (beautify, minify, etc.)
   const [output, setOutput] = useState(''); // Result of the formula processing
+  const [plainOutput, setPlainOutput] = useState(''); // The result as plain text, for copying when the output is highlighted HTML
   const [isEu, setIsEu] = useState(false); // Flag for European-style separators (;)
   const [numberOfSpaces, setNumberOfSpaces] = useState(4); // Indentation spaces for beautify mode
+  const [layoutStyle, setLayoutStyle] = useState('classic'); // Beautify layout: one argument per line (classic) or fit to width (smart)
+  const [maxWidth, setMaxWidth] = useState(80); // Line width the smart layout fits calls into, and that broken operator chains exceed
+  const [breakOperatorChains, setBreakOperatorChains] = useState(false); // Classic layout: break operator chains wider than maxWidth at their operators
+  const [breakIfChains, setBreakIfChains] = useState(false); // Smart layout: one IF per line for nested IF chains
+  const [alignLetPairs, setAlignLetPairs] = useState(false); // Smart layout: LET name/value pairs on one line, values aligned
+  const [operatorPosition, setOperatorPosition] = useState('leading'); // Smart layout: break long operator chains before (leading) or after (trailing) the operator
+  const [operatorIndent, setOperatorIndent] = useState('indent'); // Smart layout: continuation lines indented one level or aligned under the first operand
+  const [canonicalMinify, setCanonicalMinify] = useState(false); // Minify: rewrite to the canonical compact form instead of only removing whitespace
+  const [uppercaseNames, setUppercaseNames] = useState(true); // Canonical minify: uppercase function names and references
+  const [removeParentheses, setRemoveParentheses] = useState(true); // Canonical minify: drop parentheses that precedence makes redundant
+  const [normalizeNumbers, setNormalizeNumbers] = useState(true); // Canonical minify: 0.50 → 0.5, 1E+03 → 1E3
+  const [collapseLogicalCalls, setCollapseLogicalCalls] = useState(true); // Canonical minify: TRUE()/FALSE() → TRUE/FALSE
   const [copySuccess, setCopySuccess] = useState(''); // Feedback message for copy action
   const [locationMappings, setLocationMappings] = useState('[{"field": "Status", "location": "A2"}, {"field": "Amount", "location": "B2"}, {"field": "123Field", "location": "C2"}, {"field": "Field#", "location": "D2"}]'); // Location mappings for Smartsheet conversion
   const [mappingFormat, setMappingFormat] = useState('json'); // Format for location mappings (json or csv)
   const [smartsheetFormat, setSmartsheetFormat] = useState('beautify'); // Format for Smartsheet conversion result (beautify, minify)
+  const [smartsheetShape, setSmartsheetShape] = useState('row'); // Single-row LET or a whole-column formula (map, byrow, arrayformula)
+  const [columnHeader, setColumnHeader] = useState(''); // Header label stacked above whole-column results
+  const [appsheetTable, setAppsheetTable] = useState(''); // AppSheet table that Smartsheet column ranges select from
+  const [mappingWarnings, setMappingWarnings] = useState(null); // Unmapped references, unused mappings, duplicate names and warnings from the last Smartsheet conversion
+  const [localeFrom, setLocaleFrom] = useState('us'); // Source separator convention for locale conversion
+  const [localeTo, setLocaleTo] = useState('eu'); // Target separator convention for locale conversion
+  const [functionLocaleFrom, setFunctionLocaleFrom] = useState('en'); // Language the formula's function names are written in
+  const [functionLocaleTo, setFunctionLocaleTo] = useState('en'); // Language to translate function names to
+  const [templatePreset, setTemplatePreset] = useState('appsheet'); // Template converter preset, or 'custom' once the rules are edited
+  const [templateRules, setTemplateRules] = useState(TEMPLATE_PRESETS.appsheet.rules); // Find/replace rules of the template converter
 
   // --- Refs ---
-  // A ref to hold the excelFormulaUtilities library logic.
-  // Using a ref avoids re-initializing the library on every render.
-  const excelFormulaUtilitiesRef = useRef(null);
   const fileInputRef = useRef(null);
+  const rulesFileInputRef = useRef(null);
 
   // --- Core Logic ---
 
+  // The mappings as written, for the table editor; null while the text does not parse
+  const mappingRows = useMemo(() => {
+    try {
+      return readMappingRows(locationMappings, mappingFormat);
+    } catch (error) {
+      return null;
+    }
+  }, [locationMappings, mappingFormat]);
+
+  // Layout options passed to every beautify call
+  const layoutOptions = useMemo(() => ({
+    layout: layoutStyle,
+    maxWidth,
+    breakOperatorChains,
+    breakIfChains,
+    alignLetPairs,
+    operatorPosition,
+    operatorIndent,
+  }), [layoutStyle, maxWidth, breakOperatorChains, breakIfChains, alignLetPairs, operatorPosition, operatorIndent]);
+
+  // Canonical minify options passed to every minify call
+  const compactOptions = useMemo(() => ({
+    canonical: canonicalMinify,
+    uppercase: uppercaseNames,
+    removeParentheses,
+    normalizeNumbers,
+    collapseLogicalCalls,
+  }), [canonicalMinify, uppercaseNames, removeParentheses, normalizeNumbers, collapseLogicalCalls]);
+
+  // Settings of the current mode, for the batch panel
+  const batchOptions = useMemo(() => ({
+    indent: ' '.repeat(numberOfSpaces),
+    layout: layoutOptions,
+    compact: compactOptions,
+    isEu,
+    format: smartsheetFormat,
+    shape: smartsheetShape,
+    header: columnHeader,
+    localeFrom,
+    localeTo,
+    translateFunctions: functionLocaleFrom !== functionLocaleTo
+      ? { from: functionLocaleFrom, to: functionLocaleTo }
+      : null,
+  }), [numberOfSpaces, layoutOptions, compactOptions, isEu, smartsheetFormat, smartsheetShape, columnHeader, localeFrom, localeTo, functionLocaleFrom, functionLocaleTo]);
+
+  // Parsed mappings for the batch panel; null while the text does not parse
+  const batchMappings = useMemo(() => {
+    try {
+      return parseLocationMappings(locationMappings, mappingFormat);
+    } catch (error) {
+      return null;
+    }
+  }, [locationMappings, mappingFormat]);
+
+  const mappingIssues = useMemo(
+    () => validateMappings(locationMappings, mappingFormat),
+    [locationMappings, mappingFormat]
+  );
+
+  // Template converter result, with the replaced segments for the preview
+  const templateConversion = useMemo(() => {
+    if (mode !== 'format-converter') return null;
+    try {
+      return applyTemplateRules(formula, templateRules);
+    } catch (error) {
+      return { error };
+    }
+  }, [formula, mode, templateRules]);
+
   /**
    * Main function to process the formula based on the selected mode.
    * It calls the appropriate function from the formula utilities library.
    */
   const updateOutput = useCallback(() => {
-    if (!excelFormulaUtilitiesRef.current) return; // Guard against premature execution
-
-    // Set the EU flag on the library instance before processing
-    excelFormulaUtilitiesRef.current.isEu = isEu;
-
     let newOutput;
-    switch (mode) {
-      case 'beautify':
-        newOutput = excelFormulaUtilitiesRef.current.formatFormula(formula, {
+    let newPlainOutput = null;
+    let newMappingWarnings = null;
+    const translateFunctions = functionLocaleFrom !== functionLocaleTo
+      ? { from: functionLocaleFrom, to: functionLocaleTo }
+      : null;
+    const beautifyOptions = {
+      ...layoutOptions,
+      tmplIndentTab: ' '.repeat(numberOfSpaces),
+      prefix: '=',
+      isEu,
+      translateFunctions,
+    };
+    // Applies the beautify/minify/raw choice to the result of a conversion
+    const formatConverted = (convertedFormula, prefix) => {
+      if (smartsheetFormat === 'beautify') {
+        return formatFormula(convertedFormula, {
+          ...layoutOptions,
           tmplIndentTab: ' '.repeat(numberOfSpaces),
-          prefix: "=",
+          prefix,
+          isEu,
+        });
+      } else if (smartsheetFormat === 'minify') {
+        return minify(convertedFormula, {
+          prefix,
+          isEu,
         });
+      }
+      return prefix + convertedFormula;
+    };
+    switch (mode) {
+      case 'beautify':
+        newOutput = formatFormula(formula, beautifyOptions);
+        break;
+      case 'html':
+        newOutput = formatFormulaHtml(formula, beautifyOptions);
+        newPlainOutput = formatFormula(formula, beautifyOptions);
         break;
       case 'minify':
-        newOutput = excelFormulaUtilitiesRef.current.formatFormula(formula, {
-          tmplFunctionStart: '{{token}}(',
-          tmplFunctionStop: ')',
-          tmplOperandText: '"{{token}}"',
-          tmplArgument: ',',
-          tmplOperandOperatorInfix: '{{token}}',
-          tmplSubexpressionStart: '(',
-          tmplSubexpressionStop: ')',
-          tmplIndentTab: '',
-          tmplIndentSpace: '',
-          newLine: '',
+        newOutput = minify(formula, {
+          ...compactOptions,
           prefix: '=',
+          isEu,
+          translateFunctions,
         });
         break;
+      case 'javascript':
+      case 'python':
+        try {
+          newOutput = convertFormulaToCode(formula, { language: mode, isEu }).code;
+        } catch (error) {
+          newOutput = `Error converting formula: ${error.message}`;
+        }
+        break;
+      case 'locale':
+        newOutput = convertFormulaLocale(formula, localeFrom, localeTo);
+        break;
       case 'format-converter':
-        newOutput = excelFormulaUtilitiesRef.current.convertSmartsheetFormat(formula);
+        newOutput = templateConversion.error
+          ? `Error applying template rules: ${templateConversion.error.message}`
+          : templateConversion.text;
         break;
       case 'smartsheet':
+      case 'to-smartsheet':
         try {
-          let mappings = [];
-          if (mappingFormat === 'csv') {
-            // Convert CSV to JSON
-            mappings = excelFormulaUtilitiesRef.current.convertCsvToMappings(locationMappings);
-          } else {
-            // Parse location mappings from JSON string
-            mappings = locationMappings ? JSON.parse(locationMappings) : [];
-
-            // Generate name from field if not provided in JSON mappings
-            mappings.forEach(mapping => {
-              if (!mapping.name) {
-                mapping.name = excelFormulaUtilitiesRef.current.generateNameFromField(mapping.field);
-              }
-              if (!mapping.let_name) {
-                mapping.let_name = `${mapping.name},${mapping.location},`;
-              }
-            });
-          }
-          let convertedFormula = excelFormulaUtilitiesRef.current.convertSmartsheetFormula(formula, mappings);
-
-          // Apply beautify/minify to the result
-          if (smartsheetFormat === 'beautify') {
-            newOutput = excelFormulaUtilitiesRef.current.formatFormula(convertedFormula, {
-              tmplIndentTab: ' '.repeat(numberOfSpaces),
-              prefix: "",
-            });
-          } else if (smartsheetFormat === 'minify') {
-            newOutput = excelFormulaUtilitiesRef.current.formatFormula(convertedFormula, {
-              tmplFunctionStart: '{{token}}(',
-              tmplFunctionStop: ')',
-              tmplOperandText: '"{{token}}"',
-              tmplArgument: ',',
-              tmplOperandOperatorInfix: '{{token}}',
-              tmplSubexpressionStart: '(',
-              tmplSubexpressionStop: ')',
-              tmplIndentTab: '',
-              tmplIndentSpace: '',
-              newLine: '',
-              prefix: '',
-            });
-          } else {
-            newOutput = convertedFormula;
-          }
+          const mappings = parseLocationMappings(locationMappings, mappingFormat);
+          const result = mode === 'smartsheet'
+            ? convertSmartsheetFormula(formula, mappings, { shape: smartsheetShape, header: columnHeader })
+            : convertToSmartsheetFormula(formula, mappings, { isEu });
+          newMappingWarnings = result;
+          // Google Sheets output goes inside a LET; Smartsheet formulas need their leading =
+          newOutput = formatConverted(result.formula, mode === 'smartsheet' ? '' : '=');
         } catch (error) {
           newOutput = `Error parsing location mappings: ${error.message}`;
         }
         break;
+      case 'airtable':
+        try {
+          const result = convertSmartsheetToAirtable(formula, parseLocationMappings(locationMappings, mappingFormat), {
+            format: smartsheetFormat,
+            indent: ' '.repeat(numberOfSpaces),
+            isEu,
+          });
+          newMappingWarnings = result;
+          newOutput = result.formula;
+        } catch (error) {
+          newOutput = `Error converting formula: ${error.message}`;
+        }
+        break;
+      case 'appsheet':
+        try {
+          const result = convertSmartsheetToAppSheet(formula, { table: appsheetTable });
+          newMappingWarnings = result;
+          newOutput = formatConverted(result.formula, '');
+        } catch (error) {
+          newOutput = `Error converting formula: ${error.message}`;
+        }
+        break;
       default:
         newOutput = 'Invalid mode selected';
     }
     setOutput(newOutput);
-  }, [formula, mode, isEu, numberOfSpaces, locationMappings, mappingFormat, smartsheetFormat]);
-
-  // --- Effects ---
-
-  // Effect to initialize the Excel formula utilities library once on component mount.
-  useEffect(() => {
-    // Check if the library is not already initialized
-    if (!excelFormulaUtilitiesRef.current) {
-        // Initialize the library object
-        const excelFormulaUtilities = {};
-
-        // Immediately-invoked function expression (IIFE) to encapsulate the library code
-        // and prevent polluting the global scope. This mimics loading a script.
-        (function (root) {
-            // --- Library setup ---
-            // Attaches the library to the 'root' object (excelFormulaUtilities in this case).
-            // Defines core variables, token types, and subtypes used for parsing.
-            root.core = {
-                // A simple extend function to merge objects, similar to jQuery.extend
-                extend: function(target, ...sources) {
-                    for (const source of sources) {
-                        for (const key in source) {
-                            if (Object.prototype.hasOwnProperty.call(source, key)) {
-                                target[key] = source[key];
-                            }
-                        }
-                    }
-                    return target;
-                }
-            };
-            root.string = {
-                // Formats a string by replacing placeholders like {0}, {1}
-                formatStr: function(str, ...args) {
-                    return str.replace(/{(\d+)}/g, function(match, number) {
-                        return typeof args[number] != 'undefined' ? args[number] : match;
-                    });
-                },
-                // Trims whitespace from both ends of a string
-                trim: function(text) {
-                    return (text || "").replace(/^\s+|\s+$/g, "");
-                }
-            };
-
-            // const formatStr = root.string.formatStr; // Unused in current implementation
-            const trim = root.string.trim;
-
-            const types = {};
-            const TOK_TYPE_NOOP = types.TOK_TYPE_NOOP = "noop";
-            const TOK_TYPE_OPERAND = types.TOK_TYPE_OPERAND = "operand";
-            const TOK_TYPE_FUNCTION = types.TOK_TYPE_FUNCTION = "function";
-            const TOK_TYPE_SUBEXPR = types.TOK_TYPE_SUBEXPR = "subexpression";
-            const TOK_TYPE_ARGUMENT = types.TOK_TYPE_ARGUMENT = "argument";
-            const TOK_TYPE_OP_PRE = types.TOK_TYPE_OP_PRE = "operator-prefix";
-            const TOK_TYPE_OP_IN = types.TOK_TYPE_OP_IN = "operator-infix";
-            const TOK_TYPE_OP_POST = types.TOK_TYPE_OP_POST = "operator-postfix";
-            const TOK_TYPE_WHITE_SPACE = types.TOK_TYPE_WHITE_SPACE = "white-space";
-            const TOK_TYPE_UNKNOWN = types.TOK_TYPE_UNKNOWN = "unknown";
-
-            const TOK_SUBTYPE_START = types.TOK_SUBTYPE_START = "start";
-            const TOK_SUBTYPE_STOP = types.TOK_SUBTYPE_STOP = "stop";
-            const TOK_SUBTYPE_TEXT = types.TOK_SUBTYPE_TEXT = "text";
-            const TOK_SUBTYPE_NUMBER = types.TOK_SUBTYPE_NUMBER = "number";
-            const TOK_SUBTYPE_LOGICAL = types.TOK_SUBTYPE_LOGICAL = "logical";
-            const TOK_SUBTYPE_ERROR = types.TOK_SUBTYPE_ERROR = "error";
-            const TOK_SUBTYPE_RANGE = types.TOK_SUBTYPE_RANGE = "range";
-            // const TOK_SUBTYPE_MATH = types.TOK_SUBTYPE_MATH = "math"; // Unused in current implementation
-            // const TOK_SUBTYPE_CONCAT = types.TOK_SUBTYPE_CONCAT = "concatenate"; // Unused in current implementation
-            const TOK_SUBTYPE_INTERSECT = types.TOK_SUBTYPE_INTERSECT = "intersect";
-            const TOK_SUBTYPE_UNION = types.TOK_SUBTYPE_UNION = "union";
-
-            // Global setting for EU style formulas (using ; instead of ,)
-            root.isEu = false;
-
-            // --- Token Classes ---
-
-            /**
-             * Represents a single token in a formula.
-             * @class
-             * @param {string} value The token's string value.
-             * @param {string} type The token's type (e.g., 'operand', 'function').
-             * @param {string} subtype The token's subtype (e.g., 'number', 'text').
-             */
-            function F_token(value, type, subtype) {
-                this.value = value;
-                this.type = type;
-                this.subtype = subtype;
-            }
-
-            /**
-             * A collection of F_token objects with an iterator.
-             * @class
-             */
-            function F_tokens() {
-                this.items = [];
-                this.add = function (value, type, subtype) {
-                    const token = new F_token(value, type, subtype || "");
-                    this.items.push(token);
-                    return token;
-                };
-                this.index = -1;
-                this.reset = () => { this.index = -1; };
-                this.BOF = () => this.index <= 0;
-                this.EOF = () => this.index >= this.items.length - 1;
-                this.moveNext = () => {
-                    if (this.EOF()) return false;
-                    this.index++;
-                    return true;
-                };
-                this.current = () => (this.index === -1 ? null : this.items[this.index]);
-                this.next = () => (this.EOF() ? null : this.items[this.index + 1]);
-                this.previous = () => (this.index < 1 ? null : this.items[this.index - 1]);
-            }
-
-            /**
-             * A stack for managing nested structures like functions and subexpressions.
-             * @class
-             */
-            function F_tokenStack() {
-                this.items = [];
-                this.push = (token) => { this.items.push(token); };
-                this.pop = (name) => {
-                    const token = this.items.pop();
-                    return new F_token(name || "", token.type, TOK_SUBTYPE_STOP);
-                };
-                this.token = () => (this.items.length > 0 ? this.items[this.items.length - 1] : null);
-                this.type = () => (this.token() ? this.token().type : "");
-            }
-
-            /**
-             * The core parser. Converts a formula string into a stream of tokens.
-             * @param {string} formula The Excel formula string.
-             * @returns {F_tokens} A collection of tokens.
-             */
-            function getTokens(formula) {
-                 // ... [The entire complex parsing logic from the original file] ...
-                // This is a large and complex state machine that iterates through the formula
-                // character by character, identifying operands, functions, operators, strings, etc.,
-                // and creating a flat list of token objects. It handles various states like
-                // being inside a string, a range, or an error literal.
-                let tokens = new F_tokens();
-                let tokenStack = new F_tokenStack();
-                let offset = 0;
-                let token = "";
-                let inString = false, inPath = false, inRange = false, inError = false;
-
-                formula = formula.trim().replace(/^=/, '').trim();
-
-                const currentChar = () => formula.substring(offset, offset + 1);
-                const doubleChar = () => formula.substring(offset, offset + 2);
-                const nextChar = () => formula.substring(offset + 1, offset + 2);
-                const EOF = () => offset >= formula.length;
-
-                while (!EOF()) {
-                     if (inString) {
-                        if (currentChar() === '"') {
-                            if (nextChar() === '"') {
-                                token += '"';
-                                offset++;
-                            } else {
-                                inString = false;
-                                tokens.add(token, TOK_TYPE_OPERAND, TOK_SUBTYPE_TEXT);
-                                token = "";
-                            }
-                        } else {
-                            token += currentChar();
-                        }
-                        offset++;
-                        continue;
-                    }
-                    if (inPath) {
-                         if (currentChar() === "'") {
-                            if (nextChar() === "'") {
-                                token += "'";
-                                offset++;
-                            } else {
-                                inPath = false;
-                            }
-                        }
-                        token += currentChar();
-                        offset++;
-                        continue;
-                    }
-                     if (inRange) {
-                        if (currentChar() === ']') inRange = false;
-                        token += currentChar();
-                        offset++;
-                        continue;
-                    }
-
-                    if (inError) {
-                        token += currentChar();
-                        offset++;
-                        if ((",#NULL!,#DIV/0!,#VALUE!,#REF!,#NAME?,#NUM!,#N/A,").indexOf("," + token + ",") !== -1) {
-                            inError = false;
-                            tokens.add(token, TOK_TYPE_OPERAND, TOK_SUBTYPE_ERROR);
-                            token = "";
-                        }
-                        continue;
-                    }
-
-                    if (currentChar() === '"') {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_UNKNOWN);
-                        token = "";
-                        inString = true;
-                        offset++;
-                        continue;
-                    }
-                    if (currentChar() === "'") {
-                       if (token.length > 0) tokens.add(token, TOK_TYPE_UNKNOWN);
-                       token = "";
-                       inPath = true;
-                       token += "'";
-                       offset++;
-                       continue;
-                    }
-
-                     if (currentChar() === '[') {
-                        token += currentChar();
-                        inRange = true;
-                        offset++;
-                        continue;
-                    }
-                    if (currentChar() === '#') {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_UNKNOWN);
-                        token = "";
-                        inError = true;
-                        token += currentChar();
-                        offset++;
-                        continue;
-                    }
-
-                    if (currentChar() === '{') {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_UNKNOWN);
-                        tokenStack.push(tokens.add("ARRAY", TOK_TYPE_FUNCTION, TOK_SUBTYPE_START));
-                        tokenStack.push(tokens.add("ARRAYROW", TOK_TYPE_FUNCTION, TOK_SUBTYPE_START));
-                        offset++;
-                        continue;
-                    }
-
-                     if (currentChar() === '}') {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-                        token = "";
-                        tokens.items.push(tokenStack.pop("ARRAYROW"));
-                        tokens.items.push(tokenStack.pop("ARRAY"));
-                        offset++;
-                        continue;
-                    }
-
-
-                     if (currentChar() === ' ' || currentChar() === '\n' || currentChar() === '\r') {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-                        token = "";
-                        tokens.add("", TOK_TYPE_WHITE_SPACE);
-                        offset++;
-                        while (!EOF() && (currentChar() === ' ' || currentChar() === '\n' || currentChar() === '\r')) offset++;
-                        continue;
-                    }
-                    // operators
-                    if (doubleChar() === "<=" || doubleChar() === ">=" || doubleChar() === "<>") {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-                        token = "";
-                        tokens.add(doubleChar(), TOK_TYPE_OP_IN, TOK_SUBTYPE_LOGICAL);
-                        offset += 2;
-                        continue;
-                    }
-                    if ("+-*/^&=><".indexOf(currentChar()) !== -1) {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-                        token = "";
-                        tokens.add(currentChar(), TOK_TYPE_OP_IN);
-                        offset++;
-                        continue;
-                    }
-
-                     if (currentChar() === '%') {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-                        token = "";
-                        tokens.add('%', TOK_TYPE_OP_POST);
-                        offset++;
-                        continue;
-                    }
-
-                     if (currentChar() === '(') {
-                        if (token.length > 0) {
-                            tokenStack.push(tokens.add(token, TOK_TYPE_FUNCTION, TOK_SUBTYPE_START));
-                        } else {
-                            tokenStack.push(tokens.add("", TOK_TYPE_SUBEXPR, TOK_SUBTYPE_START));
-                        }
-                        token = "";
-                        offset++;
-                        continue;
-                    }
-
-                    if (currentChar() === ')') {
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-                        token = "";
-                        tokens.items.push(tokenStack.pop());
-                        offset++;
-                        continue;
-                    }
-
-                    const listSep = root.isEu ? ';' : ',';
-
-                    if (currentChar() === listSep) {
-                         if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-                        token = "";
-                        if (tokenStack.type() === TOK_TYPE_FUNCTION) {
-                           tokens.add(listSep, TOK_TYPE_ARGUMENT);
-                        } else {
-                           tokens.add(listSep, TOK_TYPE_OP_IN, TOK_SUBTYPE_UNION);
-                        }
-                        offset++;
-                        continue;
-                    }
-                    if (root.isEu === false && currentChar() === ';') { // Array row separator
-                        if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-                        token = "";
-                        tokens.items.push(tokenStack.pop("ARRAYROW"));
-                        tokens.add(";", TOK_TYPE_ARGUMENT); // Represents the row separator
-                        tokenStack.push(tokens.add("ARRAYROW", TOK_TYPE_FUNCTION, TOK_SUBTYPE_START));
-                        offset++;
-                        continue;
-                    }
-
-
-                    token += currentChar();
-                    offset++;
-                }
-                if (token.length > 0) tokens.add(token, TOK_TYPE_OPERAND);
-
-
-                // Post-processing steps
-                let tokens2 = new F_tokens();
-                while(tokens.moveNext()) {
-                    let t = tokens.current();
-                    if (t.type === TOK_TYPE_WHITE_SPACE) {
-                        if (!tokens.BOF() && !tokens.EOF()) {
-                            let prev = tokens.previous();
-                            let next = tokens.next();
-                            if(
-                               (prev.type === TOK_TYPE_OPERAND || (prev.subtype === TOK_SUBTYPE_STOP)) &&
-                               (next.type === TOK_TYPE_OPERAND || (next.subtype === TOK_SUBTYPE_START))
-                            ) {
-                                tokens2.items.push(new F_token("", TOK_TYPE_OP_IN, TOK_SUBTYPE_INTERSECT));
-                            }
-                        }
-                        continue;
-                    }
-                    tokens2.items.push(t);
-                }
-
+    setPlainOutput(newPlainOutput === null ? newOutput : newPlainOutput);
+    setMappingWarnings(newMappingWarnings);
+  }, [formula, mode, isEu, numberOfSpaces, layoutOptions, compactOptions, locationMappings, mappingFormat, smartsheetFormat, smartsheetShape, columnHeader, appsheetTable, localeFrom, localeTo, functionLocaleFrom, functionLocaleTo, templateConversion]);
 
-                while(tokens2.moveNext()) {
-                    let t = tokens2.current();
-                     if (t.type === TOK_TYPE_OP_IN && (t.value === "+" || t.value === "-")) {
-                         if (tokens2.BOF()) {
-                             t.type = t.value === "-" ? TOK_TYPE_OP_PRE : TOK_TYPE_NOOP;
-                         } else {
-                             let prev = tokens2.previous();
-                             if (!(prev.type === TOK_TYPE_OPERAND || prev.subtype === TOK_SUBTYPE_STOP || prev.type === TOK_TYPE_OP_POST)) {
-                                 t.type = t.value === "-" ? TOK_TYPE_OP_PRE : TOK_TYPE_NOOP;
-                             }
-                         }
-                     }
+  // Syntax diagnostics for the modes whose input is a formula
+  const diagnostics = useMemo(() => {
+    if (mode === 'format-converter') return [];
+    if (mode === 'locale') return getDiagnostics(formula, { isEu: localeFrom !== 'us' });
+    return getDiagnostics(formula, { isEu });
+  }, [formula, mode, isEu, localeFrom]);
 
-                    if (t.type === TOK_TYPE_OPERAND && !t.subtype) {
-                        if (!isNaN(parseFloat(t.value)) && isFinite(t.value)) {
-                            t.subtype = TOK_SUBTYPE_NUMBER;
-                        } else if (t.value.toUpperCase() === 'TRUE' || t.value.toUpperCase() === 'FALSE') {
-                            t.subtype = TOK_SUBTYPE_LOGICAL;
-                        } else {
-                            t.subtype = TOK_SUBTYPE_RANGE;
-                        }
-                    }
-                }
-
-                let finalTokens = new F_tokens();
-                tokens2.reset();
-                while(tokens2.moveNext()) {
-                    if (tokens2.current().type !== TOK_TYPE_NOOP) {
-                        finalTokens.items.push(tokens2.current());
-                    }
-                }
-
-                return finalTokens;
-            }
-
-            // --- Formatting and Conversion Logic ---
-            // const fromBase26 = (number) => { /* ... logic ... */ return 0; }; // Unused in current implementation
-            // const toBase26 = (value) => { /* ... logic ... */ return 'A'; }; // Unused in current implementation
-            // const breakOutRanges = (rangeStr, delim) => { /* ... logic ... */ return rangeStr; }; // Unused in current implementation
-
-             function applyTokenTemplate(token, options, indent, lineBreak, override, lastToken) {
-                // ... [The entire template application logic from the original file] ...
-                // This function takes a token and formatting options and returns the
-                // formatted string for that token based on a set of templates.
-                // It's the core of the "beautifier" functionality.
-                let tokenString = token.value;
-                 if (override) {
-                    const res = override(tokenString, token, indent, lineBreak);
-                    tokenString = res.tokenString;
-                    if (!res.useTemplate) return tokenString;
-                }
-
-                const format = (template) => {
-                    return template
-                        .replace(/\{\{autoindent\}\}/g, indent)
-                        .replace(/\{\{token\}\}/g, tokenString)
-                        .replace(/\{\{autolinebreak\}\}/g, lineBreak);
-                };
-
-                 switch(token.type) {
-                    case TOK_TYPE_FUNCTION:
-                        if (token.subtype === TOK_SUBTYPE_START) {
-                           return format(options.tmplFunctionStart);
-                        } else { // STOP
-                           return format(options.tmplFunctionStop);
-                        }
-                    case TOK_TYPE_ARGUMENT:
-                        return format(options.tmplArgument);
-                    case TOK_TYPE_OPERAND:
-                         switch(token.subtype) {
-                            case TOK_SUBTYPE_TEXT: return format(options.tmplOperandText);
-                            case TOK_SUBTYPE_NUMBER: return format(options.tmplOperandNumber);
-                            case TOK_SUBTYPE_LOGICAL: return format(options.tmplOperandLogical);
-                            case TOK_SUBTYPE_RANGE: return format(options.tmplOperandRange);
-                            case TOK_SUBTYPE_ERROR: return format(options.tmplOperandError);
-                            default: return indent + tokenString;
-                        }
-                    case TOK_TYPE_OP_IN:
-                         return format(options.tmplOperandOperatorInfix);
-                    case TOK_TYPE_SUBEXPR:
-                        if (token.subtype === TOK_SUBTYPE_START) {
-                           return format(options.tmplSubexpressionStart);
-                        } else { // STOP
-                           return format(options.tmplSubexpressionStop);
-                        }
-                    default:
-                        return indent + tokenString;
-                }
-            }
-
-            /**
-             * Formats a formula string with indentation and line breaks.
-             * @param {string} formula The formula to format.
-             * @param {object} options Formatting options.
-             * @returns {string} The formatted formula.
-             */
-            root.formatFormula = function (formula, options) {
-                 const defaultOptions = {
-                    tmplFunctionStart: '{{autoindent}}{{token}}(\n',
-                    tmplFunctionStop: '\n{{autoindent}})',
-                    tmplOperandError: '{{token}}',
-                    tmplOperandRange: '{{autoindent}}{{token}}',
-                    tmplLogical: '{{token}}',
-                    tmplOperandLogical: '{{autoindent}}{{token}}',
-                    tmplOperandNumber: '{{autoindent}}{{token}}',
-                    tmplOperandText: '{{autoindent}}"{{token}}"',
-                    tmplArgument: ',\n',
-                    tmplOperandOperatorInfix: ' {{token}} ',
-                    tmplSubexpressionStart: '{{autoindent}}(\n',
-                    tmplSubexpressionStop: '\n{{autoindent}})',
-                    tmplIndentTab: '    ',
-                    tmplIndentSpace: ' ',
-                    newLine: '\n',
-                    customTokenRender: null,
-                    prefix: "=",
-                    postfix: ""
-                };
-                options = root.core.extend({}, defaultOptions, options);
-
-                let indentCount = 0;
-
-                const tokens = getTokens(formula);
-                if (!tokens) return "Error parsing formula";
-                let outputFormula = "";
-                let isNewLine = true;
-
-                while (tokens.moveNext()) {
-                    const token = tokens.current();
-
-                    // For function stops, we need to use the current indent level before decrementing
-                    let currentIndentCount = indentCount;
-                    if (token.subtype === TOK_SUBTYPE_STOP) {
-                        currentIndentCount = Math.max(0, indentCount - 1);
-                    }
-
-                    // Determine if this token will start a new line
-                    let willStartNewLine = isNewLine;
-                    if (token.subtype === TOK_SUBTYPE_STOP) {
-                        willStartNewLine = true; // Function stops always start a new line
-                    }
-
-                    const indent = willStartNewLine ? options.tmplIndentTab.repeat(currentIndentCount) : "";
-                    const nextToken = tokens.next();
-                    let lineBreak = "";
-                    if (nextToken) {
-                       if (nextToken.type === TOK_TYPE_ARGUMENT) {
-                           lineBreak = options.newLine;
-                       }
-                    }
-
-                    outputFormula += applyTokenTemplate(token, options, indent, lineBreak, options.customTokenRender, tokens.previous());
-
-                     if (token.subtype === TOK_SUBTYPE_START) {
-                        indentCount++;
-                    } else if (token.subtype === TOK_SUBTYPE_STOP) {
-                        indentCount = Math.max(0, indentCount - 1);
-                    }
-
-                    // Update isNewLine flag
-                    isNewLine = outputFormula.endsWith(options.newLine);
-                }
-
-                return options.prefix + trim(outputFormula) + options.postfix;
-            };
-
-
-            /**
-             * Exposes the getTokens function for external use.
-             * @param {string} formula The formula to tokenize.
-             * @returns {F_tokens} A collection of tokens.
-             */
-            root.getTokens = getTokens;
-
-            /**
-             * Generates a name from a field using the specified transformation rules.
-             * @param {string} field The field name to transform.
-             * @returns {string} The generated name.
-             */
-            function generateNameFromField(field) {
-                return field
-                    .replace(/^(\d)/g, "c$1")           // Add 'c' prefix to fields starting with digit
-                    .replace(/#$/g, " num")              // Replace trailing # with " num"
-                    .replace(/[^a-zA-Z0-9 ]/g, "")       // Remove non-alphanumeric characters except spaces
-                    .replace(/ /g, "_")                  // Replace spaces with underscores
-                    .toLowerCase();                      // Convert to lowercase
-            }
-
-            // Expose the function on the root object
-            root.generateNameFromField = generateNameFromField;
-
-            /**
-             * Convert CSV string to location mappings array
-             * @param {string} csvString - CSV string with headers: field,location,name,let_name
-             * @returns {Array} Array of mapping objects
-             */
-            root.convertCsvToMappings = function(csvString) {
-                if (!csvString.trim()) return [];
-
-                const lines = csvString.trim().split('\n');
-                if (lines.length < 2) {
-                    throw new Error('CSV must have at least a header row and one data row');
-                }
-
-                // Parse CSV line with proper quote handling
-                function parseCsvLine(line) {
-                    const result = [];
-                    let current = '';
-                    let inQuotes = false;
-                    let i = 0;
-
-                    while (i < line.length) {
-                        const char = line[i];
-
-                        if (char === '"') {
-                            if (inQuotes && line[i + 1] === '"') {
-                                // Escaped quote
-                                current += '"';
-                                i += 2;
-                            } else {
-                                // Toggle quote state
-                                inQuotes = !inQuotes;
-                                i++;
-                            }
-                        } else if (char === ',' && !inQuotes) {
-                            // End of field
-                            result.push(current.trim());
-                            current = '';
-                            i++;
-                        } else {
-                            current += char;
-                            i++;
-                        }
-                    }
-
-                    // Add the last field
-                    result.push(current.trim());
-                    return result;
-                }
-
-                // Parse header row
-                const headers = parseCsvLine(lines[0]).map(h => h.trim().toLowerCase());
-                const requiredHeaders = ['field', 'location'];
-
-                // Check for required headers
-                for (const required of requiredHeaders) {
-                    if (!headers.includes(required)) {
-                        throw new Error(`CSV must contain '${required}' column`);
-                    }
-                }
-
-                // Parse data rows
-                const mappings = [];
-                for (let i = 1; i < lines.length; i++) {
-                    const values = parseCsvLine(lines[i]);
-                    if (values.length !== headers.length) {
-                        throw new Error(`Row ${i + 1} has ${values.length} columns, expected ${headers.length}`);
-                    }
-
-                    const mapping = {};
-                    headers.forEach((header, index) => {
-                        // Remove surrounding quotes if present
-                        let value = values[index];
-                        if (value.startsWith('"') && value.endsWith('"')) {
-                            value = value.slice(1, -1);
-                        }
-                        mapping[header] = value;
-                    });
-
-                    // Generate name from field if not provided
-                    if (!mapping.name) {
-                        mapping.name = generateNameFromField(mapping.field);
-                    }
-
-                    // Calculate let_name if not provided
-                    if (!mapping.let_name) {
-                        mapping.let_name = `${mapping.name},${mapping.location},`;
-                    }
-
-                    mappings.push(mapping);
-                }
-
-                return mappings;
-            };
-
-            /**
-             * Convert a Smartsheet formula to Google Sheets formula by
-             * 1. Replace all @row column references with a standardized name
-             * 2. Replace true/false with TRUE/FALSE for use in Google sheet formula
-             * 3. Wrap converted formula in LET() function
-             * @param {string} formula - The Smartsheet formula to convert
-             * @param {Array} locationMappings - A list of headers mappings
-             * @returns {string} The converted formula
-             */
-            root.convertSmartsheetFormula = function(formula, locationMappings) {
-                // Remove leading = sign if found
-                let convertedFormula = formula.replace(/^[=']+/g, "");
-
-                // Extract unique @ row headers used in formula
-                let rowHeadersMatches = convertedFormula.match(/(\[.+?\]@row)|(\w+@row)/g) || [];
-                if (rowHeadersMatches.length === 0) {
-                    return "No @row column references found";
-                }
-                rowHeadersMatches = Array.from(new Set(rowHeadersMatches));
-
-                // Map extracted row headers to column names
-                const headerMappings = {};
-                rowHeadersMatches.forEach(header => {
-                    let fieldMatch = header.match(/\[(.+)\]/);
-                    if (!fieldMatch) fieldMatch = header.match(/(.+)@row/);
-                    if (!fieldMatch) throw new Error(`Unable to extract field from header [${header}]`);
-                    const field = fieldMatch[1];
-                    const mappedHeader = locationMappings.find(mapping => {
-                        return mapping.field === field;
-                    });
-                    if (mappedHeader) {
-                        headerMappings[header] = mappedHeader;
-                    }
-                });
-
-                // Create string of LET name and location references
-                const letNameString = Object.values(headerMappings).reduce((currStr, mappingObj) => {
-                    // Use let_name if provided, otherwise calculate from name and location
-                    if (mappingObj.let_name) {
-                        return currStr + mappingObj.let_name;
-                    } else {
-                        return currStr + mappingObj.name + "," + mappingObj.location + ",";
-                    }
-                }, "");
-
-                // Replace all unique @ row headers with LET name
-                Object.keys(headerMappings).forEach(mapping => {
-                    const replacementName = headerMappings[mapping].name;
-                    convertedFormula = convertedFormula.replaceAll(mapping, replacementName);
-                });
-
-                // Replace true with TRUE and false with FALSE
-                convertedFormula = convertedFormula.replaceAll(/\btrue\b/g, "TRUE").replaceAll(/\bfalse\b/g, "FALSE");
-
-                // Wrap function in LET formula with field name references
-                convertedFormula = `LET(${letNameString}\n${convertedFormula}\n)`;
-
-                return convertedFormula;
-            };
-
-            /**
-             * Converts Smartsheet placeholders and replaces "Smartsheet" with "AppSheet".
-             * @param {string} text The text to convert.
-             * @returns {string} The converted text.
-             */
-            root.convertSmartsheetFormat = function(text) {
-                if (!text) return "";
-
-                // Replace {{ with <<[ and }} with ]>>
-                let convertedText = text.replace(/\{\{/g, "<<[").replace(/\}\}/g, "]>>");
-
-                // Replace whole word mentions of "Smartsheet" with "AppSheet"
-                // Using word boundary regex to match whole words only
-                convertedText = convertedText.replace(/\bSmartsheet\b/g, "AppSheet");
-
-                return convertedText;
-            };
-
-
-
-            // Store the fully constructed library in the ref
-            excelFormulaUtilitiesRef.current = root;
-             // Trigger the first update
-            updateOutput();
-
-
-        })(excelFormulaUtilities); // Pass the object to be populated
-    }
-  }, [updateOutput]); // Include updateOutput dependency
+  // --- Effects ---
 
   // Effect to re-run the formula processing whenever an input changes.
   useEffect(() => {
-    // Only run if the library has been initialized
-    if (excelFormulaUtilitiesRef.current) {
-        updateOutput();
-    }
-  }, [updateOutput]); // Dependencies for the effect
+    updateOutput();
+  }, [updateOutput]);
 
   // --- Event Handlers ---
 
+  // Offers text as a file download
+  const downloadText = (text, fileName, type) => {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
   const handleFileImport = (event) => {
     const file = event.target.files[0];
-    if (file && file.type === 'text/csv') {
+    // Browsers disagree on the MIME type of CSV files, so go by the extension
+    const format = file && file.name.match(/\.(csv|json)$/i)?.[1].toLowerCase();
+    if (format) {
       const reader = new FileReader();
       reader.onload = (e) => {
-        const csvContent = e.target.result;
-        setLocationMappings(csvContent);
-        setMappingFormat('csv');
+        setLocationMappings(e.target.result);
+        setMappingFormat(format);
       };
       reader.readAsText(file);
     } else {
-      alert('Please select a valid CSV file.');
+      alert('Please select a valid CSV or JSON file.');
+    }
+    event.target.value = '';
+  };
+
+  // Rewrites the current mappings in the chosen format instead of reinterpreting the text
+  const handleMappingFormatChange = (format) => {
+    try {
+      setLocationMappings(convertMappingsText(locationMappings, mappingFormat, format));
+      setMappingFormat(format);
+    } catch (error) {
+      alert(`Could not convert mappings to ${format.toUpperCase()}: ${error.message}`);
+    }
+  };
+
+  const handleMappingsExport = (format) => {
+    try {
+      const type = format === 'csv' ? 'text/csv' : 'application/json';
+      downloadText(exportMappings(locationMappings, mappingFormat, format), `location-mappings.${format}`, type);
+    } catch (error) {
+      alert(`Could not export mappings: ${error.message}`);
     }
   };
 
+  const handleRulesImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setTemplateRules(parseTemplateRules(e.target.result).rules);
+        setTemplatePreset('custom');
+      } catch (error) {
+        alert(`Could not import rules: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const handleRulesExport = () => {
+    const name = templatePreset === 'custom' ? 'Custom rules' : TEMPLATE_PRESETS[templatePreset].name;
+    downloadText(exportTemplateRules(templateRules, name), 'template-rules.json', 'application/json');
+  };
+
+  const handlePresetChange = (preset) => {
+    setTemplatePreset(preset);
+    if (preset !== 'custom') setTemplateRules(TEMPLATE_PRESETS[preset].rules);
+  };
+
+  // Rewrites the mappings text from the table editor or the header-row builder
+  const handleMappingRowsChange = (rows) => {
+    setLocationMappings(formatMappings(rows, mappingFormat));
+  };
+
+  // Renames mappings to the names suggested by validation; a stale let_name is dropped so it is regenerated
+  const applyNameSuggestions = (issues) => {
+    if (!mappingRows) return;
+    const rows = [...mappingRows];
+    issues.forEach(({ row, suggestion }) => {
+      if (!suggestion) return;
+      rows[row - 1] = updateMappingRow(rows[row - 1], 'name', suggestion);
+    });
+    handleMappingRowsChange(rows);
+  };
+
+  // Appends an empty-location row for the field so the user only has to fill in the cell
+  const handleAddMapping = (field) => {
+    try {
+      setLocationMappings(appendMapping(locationMappings, mappingFormat, { field, location: '' }));
+    } catch (error) {
+      alert(`Could not add mapping: ${error.message}`);
+    }
+  };
+
+  // Copies the result as plain text; highlighted HTML is copied without its markup
   const handleCopyToClipboard = () => {
-    if (output) {
-      navigator.clipboard.writeText(output).then(() => {
+    if (plainOutput) {
+      navigator.clipboard.writeText(plainOutput).then(() => {
         setCopySuccess('Copied!');
         setTimeout(() => setCopySuccess(''), 2000); // Clear message after 2 seconds
       }, () => {
@@ -911,6 +422,7 @@ const App = () => {
                     className="w-full h-32 p-3 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200 text-gray-200 font-mono"
                     placeholder="Enter your text or formula here..."
                 />
+                <DiagnosticsPanel formula={formula} diagnostics={diagnostics} />
             </div>
 
             {/* Controls Area */}
@@ -925,14 +437,21 @@ const App = () => {
                     className="w-full p-3 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
                 >
                     <option value="beautify">Beautify</option>
+                    <option value="html">Beautify (highlighted)</option>
                     <option value="minify">Minify</option>
+                    <option value="javascript">Convert to JavaScript</option>
+                    <option value="python">Convert to Python</option>
+                    <option value="locale">Convert Locale (US / European)</option>
                     <option value="smartsheet">Smartsheet to Google Sheets</option>
-                    <option value="format-converter">Smartsheet to AppSheet Format Converter</option>
+                    <option value="to-smartsheet">Google Sheets to Smartsheet</option>
+                    <option value="airtable">Smartsheet to Airtable</option>
+                    <option value="appsheet">Smartsheet to AppSheet Expression</option>
+                    <option value="format-converter">Smartsheet Template Converter</option>
                 </select>
             </div>
 
              {/* Formatting Options (Conditional) */}
-             {(mode === 'beautify' || (mode === 'smartsheet' && smartsheetFormat === 'beautify')) && (
+             {(mode === 'beautify' || mode === 'html' || mode === 'minify' || ((mode === 'smartsheet' || mode === 'to-smartsheet' || mode === 'airtable' || mode === 'appsheet') && smartsheetFormat === 'beautify')) && (
                 <div className="bg-gray-800 rounded-lg p-4 shadow-md transition-all duration-300">
                      <h3 className="text-lg font-semibold mb-3 text-gray-300">Formatting Options</h3>
                      <div className="flex flex-col sm:flex-row sm:items-center gap-4">
@@ -946,6 +465,7 @@ const App = () => {
                             />
                             <label htmlFor="isEu">Use European Separators (;)</label>
                          </div>
+                         {mode !== 'minify' && (
                          <div className="flex items-center gap-2">
                             <label htmlFor="numberOfSpaces">Indent Spaces:</label>
                             <input
@@ -957,27 +477,338 @@ const App = () => {
                                 min="0"
                             />
                          </div>
+                         )}
+                     </div>
+                     {mode === 'minify' && (
+                     <div className="flex flex-col sm:flex-row sm:flex-wrap sm:items-center gap-4 mt-4">
+                         <div className="flex items-center gap-2">
+                             <input
+                                type="checkbox"
+                                id="canonicalMinify"
+                                checked={canonicalMinify}
+                                onChange={(e) => setCanonicalMinify(e.target.checked)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                            />
+                            <label htmlFor="canonicalMinify">Canonical form</label>
+                         </div>
+                         {canonicalMinify && (
+                         <>
+                         <div className="flex items-center gap-2">
+                             <input
+                                type="checkbox"
+                                id="uppercaseNames"
+                                checked={uppercaseNames}
+                                onChange={(e) => setUppercaseNames(e.target.checked)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                            />
+                            <label htmlFor="uppercaseNames">Uppercase names and references</label>
+                         </div>
+                         <div className="flex items-center gap-2">
+                             <input
+                                type="checkbox"
+                                id="removeParentheses"
+                                checked={removeParentheses}
+                                onChange={(e) => setRemoveParentheses(e.target.checked)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                            />
+                            <label htmlFor="removeParentheses">Remove redundant parentheses</label>
+                         </div>
+                         <div className="flex items-center gap-2">
+                             <input
+                                type="checkbox"
+                                id="normalizeNumbers"
+                                checked={normalizeNumbers}
+                                onChange={(e) => setNormalizeNumbers(e.target.checked)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                            />
+                            <label htmlFor="normalizeNumbers">Normalize numbers (0.50 → 0.5)</label>
+                         </div>
+                         <div className="flex items-center gap-2">
+                             <input
+                                type="checkbox"
+                                id="collapseLogicalCalls"
+                                checked={collapseLogicalCalls}
+                                onChange={(e) => setCollapseLogicalCalls(e.target.checked)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                            />
+                            <label htmlFor="collapseLogicalCalls">TRUE()/FALSE() → TRUE/FALSE</label>
+                         </div>
+                         </>
+                         )}
+                     </div>
+                     )}
+                     {(mode === 'beautify' || mode === 'html' || mode === 'smartsheet' || mode === 'to-smartsheet' || mode === 'appsheet') && (
+                     <div className="flex flex-col sm:flex-row sm:flex-wrap sm:items-center gap-4 mt-4">
+                         <div className="flex items-center gap-2">
+                            <label htmlFor="layoutStyle">Layout:</label>
+                            <select
+                                id="layoutStyle"
+                                value={layoutStyle}
+                                onChange={(e) => setLayoutStyle(e.target.value)}
+                                className="p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                <option value="classic">One argument per line</option>
+                                <option value="smart">Fit to width</option>
+                            </select>
+                         </div>
+                         {layoutStyle === 'classic' && (
+                         <div className="flex items-center gap-2">
+                             <input
+                                type="checkbox"
+                                id="breakOperatorChains"
+                                checked={breakOperatorChains}
+                                onChange={(e) => setBreakOperatorChains(e.target.checked)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                            />
+                            <label htmlFor="breakOperatorChains">Break long operator chains</label>
+                         </div>
+                         )}
+                         {(layoutStyle === 'smart' || breakOperatorChains) && (
+                         <div className="flex items-center gap-2">
+                            <label htmlFor="maxWidth">Max Width:</label>
+                            <input
+                                type="number"
+                                id="maxWidth"
+                                value={maxWidth}
+                                onChange={(e) => setMaxWidth(Math.max(20, parseInt(e.target.value, 10) || 20))}
+                                className="w-20 p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500"
+                                min="20"
+                            />
+                         </div>
+                         )}
+                         {layoutStyle === 'smart' && (
+                         <>
+                         <div className="flex items-center gap-2">
+                             <input
+                                type="checkbox"
+                                id="breakIfChains"
+                                checked={breakIfChains}
+                                onChange={(e) => setBreakIfChains(e.target.checked)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                            />
+                            <label htmlFor="breakIfChains">Break nested IF chains vertically</label>
+                         </div>
+                         <div className="flex items-center gap-2">
+                             <input
+                                type="checkbox"
+                                id="alignLetPairs"
+                                checked={alignLetPairs}
+                                onChange={(e) => setAlignLetPairs(e.target.checked)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                            />
+                            <label htmlFor="alignLetPairs">Align LET name/value pairs</label>
+                         </div>
+                         </>
+                         )}
+                         {(layoutStyle === 'smart' || breakOperatorChains) && (
+                         <div className="flex items-center gap-2">
+                            <label htmlFor="operatorPosition">Operator Breaks:</label>
+                            <select
+                                id="operatorPosition"
+                                value={operatorPosition}
+                                onChange={(e) => setOperatorPosition(e.target.value)}
+                                className="p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                <option value="leading">Before the operator</option>
+                                <option value="trailing">After the operator</option>
+                            </select>
+                            <select
+                                id="operatorIndent"
+                                aria-label="Continuation lines"
+                                value={operatorIndent}
+                                onChange={(e) => setOperatorIndent(e.target.value)}
+                                className="p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                <option value="indent">Indented</option>
+                                <option value="align">Under the first operand</option>
+                            </select>
+                         </div>
+                         )}
+                     </div>
+                     )}
+                     {mode !== 'smartsheet' && mode !== 'to-smartsheet' && mode !== 'airtable' && mode !== 'appsheet' && (
+                     <div className="flex flex-col sm:flex-row sm:items-center gap-4 mt-4">
+                         <div className="flex items-center gap-2">
+                            <label htmlFor="functionLocaleFrom">Function Names From:</label>
+                            <select
+                                id="functionLocaleFrom"
+                                value={functionLocaleFrom}
+                                onChange={(e) => setFunctionLocaleFrom(e.target.value)}
+                                className="p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                {Object.entries(FUNCTION_NAME_LOCALES).map(([id, name]) => (
+                                    <option key={id} value={id}>{name}</option>
+                                ))}
+                            </select>
+                         </div>
+                         <div className="flex items-center gap-2">
+                            <label htmlFor="functionLocaleTo">To:</label>
+                            <select
+                                id="functionLocaleTo"
+                                value={functionLocaleTo}
+                                onChange={(e) => setFunctionLocaleTo(e.target.value)}
+                                className="p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                {Object.entries(FUNCTION_NAME_LOCALES).map(([id, name]) => (
+                                    <option key={id} value={id}>{name}</option>
+                                ))}
+                            </select>
+                         </div>
                      </div>
+                     )}
+                </div>
+             )}
+
+             {/* Locale Conversion Options (Conditional) */}
+             {mode === 'locale' && (
+                <div className="bg-gray-800 rounded-lg p-4 shadow-md transition-all duration-300">
+                     <h3 className="text-lg font-semibold mb-3 text-gray-300">Locale Conversion</h3>
+                     <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+                         <div className="flex-1">
+                            <label htmlFor="localeFrom" className="block text-sm font-medium mb-2 text-gray-300">
+                                From:
+                            </label>
+                            <select
+                                id="localeFrom"
+                                value={localeFrom}
+                                onChange={(e) => setLocaleFrom(e.target.value)}
+                                className="w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                {Object.entries(FORMULA_LOCALES).map(([id, locale]) => (
+                                    <option key={id} value={id}>{locale.name}</option>
+                                ))}
+                            </select>
+                         </div>
+                         <button
+                            onClick={() => { setLocaleFrom(localeTo); setLocaleTo(localeFrom); }}
+                            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition duration-200"
+                            title="Swap direction"
+                         >
+                            &#8646;
+                         </button>
+                         <div className="flex-1">
+                            <label htmlFor="localeTo" className="block text-sm font-medium mb-2 text-gray-300">
+                                To:
+                            </label>
+                            <select
+                                id="localeTo"
+                                value={localeTo}
+                                onChange={(e) => setLocaleTo(e.target.value)}
+                                className="w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                {Object.entries(FORMULA_LOCALES).map(([id, locale]) => (
+                                    <option key={id} value={id}>{locale.name}</option>
+                                ))}
+                            </select>
+                         </div>
+                     </div>
+                     <p className="mt-3 text-xs text-gray-400">
+                         Rewrites argument separators, decimal separators and array separators. Text in quotes, quoted sheet names and bracketed references are left untouched.
+                     </p>
+                </div>
+             )}
+
+             {/* AppSheet Expression Options (Conditional) */}
+             {mode === 'appsheet' && (
+                <div className="bg-gray-800 rounded-lg p-4 shadow-md transition-all duration-300">
+                     <h3 className="text-lg font-semibold mb-3 text-gray-300">Smartsheet to AppSheet Expression</h3>
+                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="appsheetTable" className="block text-sm font-medium mb-2 text-gray-300">
+                                AppSheet Table:
+                            </label>
+                            <input
+                                type="text"
+                                id="appsheetTable"
+                                value={appsheetTable}
+                                onChange={(e) => setAppsheetTable(e.target.value)}
+                                placeholder="Table"
+                                className="w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="appsheetFormat" className="block text-sm font-medium mb-2 text-gray-300">
+                                Output Format:
+                            </label>
+                            <select
+                                id="appsheetFormat"
+                                value={smartsheetFormat}
+                                onChange={(e) => setSmartsheetFormat(e.target.value)}
+                                className="w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                <option value="beautify">Beautify</option>
+                                <option value="minify">Minify</option>
+                                <option value="raw">Raw</option>
+                            </select>
+                        </div>
+                     </div>
+                     <p className="mt-3 text-xs text-gray-400">
+                         Converts a Smartsheet column formula into an AppSheet app formula: <code>[Column]@row</code> becomes <code>[Column]</code>, COUNTIFS/SUMIFS/COLLECT become <code>COUNT(SELECT(...))</code>/<code>SUM(SELECT(...))</code> over the table's column lists, and <code>&amp;</code> becomes CONCATENATE.
+                     </p>
+                     {mappingWarnings && (
+                        <MappingWarningsPanel result={mappingWarnings} onAddMapping={handleAddMapping} />
+                     )}
                 </div>
              )}
 
              {/* Format Converter Options (Conditional) */}
              {mode === 'format-converter' && (
                 <div className="bg-gray-800 rounded-lg p-4 shadow-md transition-all duration-300">
-                     <h3 className="text-lg font-semibold mb-3 text-gray-300">Smartsheet to AppSheet Format Converter</h3>
-                     <div className="text-sm text-gray-400">
-                         <p className="mb-2">This tool converts Smartsheet placeholders and terminology:</p>
-                         <ul className="list-disc list-inside space-y-1">
-                             <li><code>{"{{placeholder}}"}</code> → <code>{"<<[placeholder]>>"}</code></li>
-                             <li><code>Smartsheet</code> → <code>AppSheet</code> (whole word matches only)</li>
-                         </ul>
-                         <p className="mt-2 text-xs">Perfect for converting Smartsheet templates to AppSheet format.</p>
+                     <h3 className="text-lg font-semibold mb-3 text-gray-300">Smartsheet Template Converter</h3>
+                     <p className="mb-3 text-sm text-gray-400">
+                         Converts <code>{"{{placeholder}}"}</code> templates for another platform. Rules run top to bottom and never rewrite text an earlier rule produced.
+                     </p>
+                     <div className="flex flex-col sm:flex-row sm:items-end gap-4 mb-4">
+                        <div className="flex-1">
+                            <label htmlFor="templatePreset" className="block text-sm font-medium mb-2 text-gray-300">
+                                Rule Set:
+                            </label>
+                            <select
+                                id="templatePreset"
+                                value={templatePreset}
+                                onChange={(e) => handlePresetChange(e.target.value)}
+                                className="w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                            >
+                                {Object.entries(TEMPLATE_PRESETS).map(([id, preset]) => (
+                                    <option key={id} value={id}>{preset.name}</option>
+                                ))}
+                                <option value="custom">Custom rules</option>
+                            </select>
+                        </div>
+                        <div className="flex gap-2">
+                            <input
+                                type="file"
+                                ref={rulesFileInputRef}
+                                onChange={handleRulesImport}
+                                accept=".json,application/json"
+                                className="hidden"
+                            />
+                            <button
+                                onClick={() => rulesFileInputRef.current?.click()}
+                                className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md transition duration-200"
+                            >
+                                Import JSON
+                            </button>
+                            <button
+                                onClick={handleRulesExport}
+                                className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition duration-200"
+                            >
+                                Export JSON
+                            </button>
+                        </div>
                      </div>
+                     <TemplateRulesEditor
+                        rules={templateRules}
+                        onChange={(rules) => { setTemplateRules(rules); setTemplatePreset('custom'); }}
+                     />
+                     {templateConversion && !templateConversion.error && (
+                        <ReplacementPreview segments={templateConversion.segments} count={templateConversion.count} />
+                     )}
                 </div>
              )}
 
              {/* Smartsheet Options (Conditional) */}
-             {mode === 'smartsheet' && (
+             {(mode === 'smartsheet' || mode === 'to-smartsheet' || mode === 'airtable') && (
                 <div className="bg-gray-800 rounded-lg p-4 shadow-md transition-all duration-300">
                      <h3 className="text-lg font-semibold mb-3 text-gray-300">Location Mappings</h3>
                      <div className="flex flex-col gap-4">
@@ -989,7 +820,7 @@ const App = () => {
                                 <select
                                     id="mappingFormat"
                                     value={mappingFormat}
-                                    onChange={(e) => setMappingFormat(e.target.value)}
+                                    onChange={(e) => handleMappingFormatChange(e.target.value)}
                                     className="w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
                                 >
                                     <option value="json">JSON</option>
@@ -1011,27 +842,71 @@ const App = () => {
                                     <option value="raw">Raw</option>
                                 </select>
                             </div>
+                            {mode === 'smartsheet' && (
+                            <div>
+                                <label htmlFor="smartsheetShape" className="block text-sm font-medium mb-2 text-gray-300">
+                                    Output Shape:
+                                </label>
+                                <select
+                                    id="smartsheetShape"
+                                    value={smartsheetShape}
+                                    onChange={(e) => setSmartsheetShape(e.target.value)}
+                                    className="w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                                >
+                                    {Object.entries(SMARTSHEET_OUTPUT_SHAPES).map(([id, name]) => (
+                                        <option key={id} value={id}>{name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            )}
+                            {mode === 'smartsheet' && smartsheetShape !== 'row' && (
+                            <div>
+                                <label htmlFor="columnHeader" className="block text-sm font-medium mb-2 text-gray-300">
+                                    Header Label (optional):
+                                </label>
+                                <input
+                                    type="text"
+                                    id="columnHeader"
+                                    value={columnHeader}
+                                    onChange={(e) => setColumnHeader(e.target.value)}
+                                    placeholder="Place the formula in the header row"
+                                    className="w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+                                />
+                            </div>
+                            )}
                          </div>
                          <div>
-                            <label htmlFor="csvFile" className="block text-sm font-medium mb-2 text-gray-300">
-                                Import CSV File:
+                            <label htmlFor="mappingsFile" className="block text-sm font-medium mb-2 text-gray-300">
+                                Import / Export Mappings:
                             </label>
-                            <div className="flex gap-2">
+                            <div className="flex flex-wrap gap-2">
                                 <input
                                     type="file"
-                                    id="csvFile"
+                                    id="mappingsFile"
                                     ref={fileInputRef}
                                     onChange={handleFileImport}
-                                    accept=".csv"
+                                    accept=".csv,.json"
                                     className="hidden"
                                 />
                                 <button
                                     onClick={() => fileInputRef.current?.click()}
                                     className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md transition duration-200"
                                 >
-                                    Choose CSV File
+                                    Choose CSV or JSON File
                                 </button>
-                                <span className="text-sm text-gray-400 self-center">Select a CSV file to import mappings</span>
+                                <button
+                                    onClick={() => handleMappingsExport('json')}
+                                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition duration-200"
+                                >
+                                    Download JSON
+                                </button>
+                                <button
+                                    onClick={() => handleMappingsExport('csv')}
+                                    className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition duration-200"
+                                >
+                                    Download CSV
+                                </button>
+                                <span className="text-sm text-gray-400 self-center">Downloads include the generated name and let_name</span>
                             </div>
                          </div>
                          <div>
@@ -1048,7 +923,31 @@ const App = () => {
                                     : 'field,location\n"Status","A2"\n"Amount","B2"\n"123Field","C2"'
                                 }
                             />
+                            <MappingValidationPanel
+                                issues={mappingIssues}
+                                onApplySuggestion={(issue) => applyNameSuggestions([issue])}
+                                onApplyAll={() => applyNameSuggestions(mappingIssues)}
+                            />
+                            {mappingWarnings && (
+                                <MappingWarningsPanel result={mappingWarnings} onAddMapping={handleAddMapping} />
+                            )}
                          </div>
+                         <details>
+                            <summary className="cursor-pointer text-sm font-medium text-gray-300">Edit as Table</summary>
+                            <div className="mt-2">
+                                {mappingRows ? (
+                                    <MappingGrid mappings={mappingRows} onChange={handleMappingRowsChange} />
+                                ) : (
+                                    <p className="text-sm text-amber-400">Fix the mappings text above to edit it as a table.</p>
+                                )}
+                            </div>
+                         </details>
+                         <details>
+                            <summary className="cursor-pointer text-sm font-medium text-gray-300">Build from Header Row</summary>
+                            <div className="mt-2">
+                                <MappingBuilder onGenerate={handleMappingRowsChange} />
+                            </div>
+                         </details>
                          <div className="text-sm text-gray-400">
                             {mappingFormat === 'json' ? (
                                 <>
@@ -1058,7 +957,11 @@ const App = () => {
                                         <li><code>location</code>: The Google Sheets cell reference. Example: A2</li>
                                         <li><code>name</code>: (Optional) The LET variable name. If not provided, will be auto-generated from field using: field.replace(/^(\d)/g, "c$1").replace(/#$/g, " num").replace(/[^a-zA-Z0-9 ]/g, "").replace(/ /g, "_").toLowerCase()</li>
                                         <li><code>let_name</code>: (Optional) The comma-separated LET variable name and location. If not provided, will be auto-generated from name and location. Example: status,A2,</li>
+                                        <li><code>column</code>: (Optional) The column letter used for ranges like <code>[Status]:[Status]</code> and <code>[Status]5</code>. Defaults to the column of <code>location</code></li>
+                                        <li><code>airtable_field</code>: (Optional, Airtable) The Airtable field to reference instead of the column name</li>
+                                        <li><code>type</code>: (Optional, Airtable) <code>date</code> for date columns, so <code>[Due]@row + 7</code> becomes DATEADD</li>
                                     </ul>
+                                    <p className="mt-2">For a cross-sheet reference, write its name in braces as the <code>field</code> (e.g. <code>{"{Budget Range}"}</code>) with the target range as <code>location</code>, plus an optional spreadsheet <code>url</code> to use IMPORTRANGE.</p>
                                 </>
                             ) : (
                                 <>
@@ -1068,6 +971,10 @@ const App = () => {
                                         <li><code>location</code>: The Google Sheets cell reference</li>
                                         <li><code>name</code>: (Optional) The LET variable name. If not provided, will be auto-generated from field</li>
                                         <li><code>let_name</code>: (Optional) The comma-separated LET variable name and location. If not provided, will be auto-generated from name and location</li>
+                                        <li><code>column</code>: (Optional) The column letter used for column ranges and specific-row references. Defaults to the column of location</li>
+                                        <li><code>url</code>: (Optional) For cross-sheet references like <code>{"{Budget Range}"}</code>, the spreadsheet to IMPORTRANGE from</li>
+                                        <li><code>airtable_field</code>: (Optional, Airtable) The Airtable field to reference instead of the column name</li>
+                                        <li><code>type</code>: (Optional, Airtable) <code>date</code> for date columns, used for date arithmetic</li>
                                     </ul>
                                     <p className="mt-2 text-xs">Note: Values containing commas should be wrapped in double quotes. Use double quotes to escape quotes within values.</p>
                                 </>
@@ -1105,8 +1012,16 @@ const App = () => {
                 <code>{output}</code>
                 )}
             </pre>
+            {mode === 'minify' && (
+                <p className="mt-2 text-sm text-gray-400">
+                    {output.length} characters, {formula.length - output.length} fewer than the input ({formula.length}).
+                </p>
+            )}
           </div>
         </div>
+
+        {/* Batch Processing */}
+        <BatchPanel mode={mode} options={batchOptions} mappings={batchMappings} onDownload={downloadText} />
       </main>
 
       {/* Footer Section */}
@@ -0,0 +1,143 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  BATCH_OPERATIONS,
+  findFormulaColumn,
+  formatBatchResults,
+  parseBatchFile,
+  runBatch,
+} from '../excelFormulaUtilities';
+
+const MAPPING_OPERATIONS = ['smartsheet', 'to-smartsheet'];
+
+// Runs the selected mode over every formula of an uploaded CSV/TSV file, with a preview and a CSV download
+const BatchPanel = ({ mode, options, mappings, onDownload }) => {
+  const [batchFile, setBatchFile] = useState(null);
+  const [formulaColumn, setFormulaColumn] = useState(0);
+  const [error, setError] = useState('');
+  const batchFileInputRef = useRef(null);
+
+  const supported = Boolean(BATCH_OPERATIONS[mode]);
+  const missingMappings = MAPPING_OPERATIONS.includes(mode) && !mappings;
+
+  const results = useMemo(() => {
+    if (!batchFile || !supported || missingMappings) return null;
+    return runBatch(batchFile.rows, formulaColumn, mode, { ...options, mappings: mappings || [] });
+  }, [batchFile, formulaColumn, mode, options, mappings, supported, missingMappings]);
+
+  const handleBatchImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const table = parseBatchFile(e.target.result);
+        setBatchFile({ name: file.name, ...table });
+        setFormulaColumn(findFormulaColumn(table.headers));
+        setError('');
+      } catch (importError) {
+        setError(`Could not read ${file.name}: ${importError.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const handleDownload = () => {
+    const baseName = batchFile.name.replace(/\.[^.]+$/, '');
+    onDownload(formatBatchResults(batchFile.headers, batchFile.rows, results), `${baseName}-${mode}.csv`, 'text/csv');
+  };
+
+  const errorCount = results ? results.filter((result) => result.error).length : 0;
+
+  return (
+    <div className="mt-6 bg-gray-800 rounded-lg p-4 shadow-md">
+      <h3 className="text-lg font-semibold mb-3 text-gray-300">Batch Processing</h3>
+      <p className="mb-3 text-sm text-gray-400">
+        Upload a CSV or TSV file with a column of formulas to run the selected mode ({Object.values(BATCH_OPERATIONS).join(', ')}) over every row with the current options.
+      </p>
+      <div className="flex flex-wrap items-end gap-3">
+        <input
+          type="file"
+          ref={batchFileInputRef}
+          onChange={handleBatchImport}
+          accept=".csv,.tsv,.txt"
+          className="hidden"
+        />
+        <button
+          onClick={() => batchFileInputRef.current?.click()}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md transition duration-200"
+        >
+          Choose CSV/TSV File
+        </button>
+        {batchFile && (
+          <div>
+            <label htmlFor="batchFormulaColumn" className="block text-sm font-medium mb-2 text-gray-300">
+              Formula Column:
+            </label>
+            <select
+              id="batchFormulaColumn"
+              value={formulaColumn}
+              onChange={(e) => setFormulaColumn(Number(e.target.value))}
+              className="p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200"
+            >
+              {batchFile.headers.map((header, index) => (
+                <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {results && (
+          <button
+            onClick={handleDownload}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition duration-200"
+          >
+            Download Results CSV
+          </button>
+        )}
+      </div>
+      {error && <p className="mt-3 text-sm text-red-400">{error}</p>}
+      {batchFile && !supported && (
+        <p className="mt-3 text-sm text-amber-400">Batch processing is not available for this mode; pick one of the modes listed above.</p>
+      )}
+      {batchFile && supported && missingMappings && (
+        <p className="mt-3 text-sm text-amber-400">Fix the location mappings to run this conversion.</p>
+      )}
+      {results && (
+        <>
+          <p className="mt-3 text-sm text-gray-400">
+            {batchFile.name}: {results.length} rows, {errorCount} with errors.
+          </p>
+          <div className="mt-2 max-h-96 overflow-auto border border-gray-700 rounded-md">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-gray-800 text-gray-400 text-left">
+                <tr>
+                  <th className="p-2">Row</th>
+                  <th className="p-2">Formula</th>
+                  <th className="p-2">Result</th>
+                  <th className="p-2">Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((result, index) => (
+                  <tr key={index} className="border-t border-gray-700 align-top">
+                    <td className="p-2 text-gray-400">{index + 1}</td>
+                    <td className="p-2 font-mono whitespace-pre-wrap break-all">{batchFile.rows[index][formulaColumn]}</td>
+                    <td className="p-2 font-mono whitespace-pre">{result.output}</td>
+                    <td className="p-2">
+                      {result.error && <p className="text-red-300">{result.error}</p>}
+                      {result.warnings.map((warning) => (
+                        <p key={warning} className="text-amber-300">{warning}</p>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,67 @@
+import React from 'react';
+
+const SEVERITY_CLASSES = {
+  error: 'bg-red-500/40 text-red-100 underline decoration-red-400 decoration-wavy',
+  warning: 'bg-amber-500/30 text-amber-100 underline decoration-amber-400 decoration-wavy',
+};
+
+/**
+ * Splits the formula into plain and highlighted segments. Where diagnostics
+ * overlap, errors win over warnings; zero-length diagnostics (e.g. a missing
+ * closing parenthesis at the end) become an insertion marker.
+ */
+const buildSegments = (formula, diagnostics) => {
+  const severities = new Array(formula.length).fill(null);
+  const markers = new Map();
+  diagnostics.forEach(({ offset, length, severity }) => {
+    if (length === 0) {
+      markers.set(offset, markers.get(offset) === 'error' ? 'error' : severity);
+      return;
+    }
+    for (let i = offset; i < Math.min(offset + length, formula.length); i++) {
+      if (severities[i] !== 'error') severities[i] = severity;
+    }
+  });
+
+  const segments = [];
+  for (let i = 0; i <= formula.length; i++) {
+    if (markers.has(i)) segments.push({ marker: true, severity: markers.get(i) });
+    if (i === formula.length) break;
+    const last = segments[segments.length - 1];
+    if (last && !last.marker && last.severity === severities[i]) {
+      last.text += formula[i];
+    } else {
+      segments.push({ text: formula[i], severity: severities[i] });
+    }
+  }
+  return segments;
+};
+
+// Shows syntax diagnostics beneath the input, with the offending spans highlighted
+const DiagnosticsPanel = ({ formula, diagnostics }) => {
+  if (!diagnostics.length) return null;
+
+  return (
+    <div className="mt-3 text-sm" role="status">
+      <pre className="p-2 bg-gray-900 border border-gray-700 rounded-md font-mono whitespace-pre-wrap break-all text-gray-300">
+        {buildSegments(formula, diagnostics).map((segment, index) => (
+          segment.marker ? (
+            <span key={index} className={`${SEVERITY_CLASSES[segment.severity]} px-0.5`}>&#8203;</span>
+          ) : (
+            <span key={index} className={segment.severity ? SEVERITY_CLASSES[segment.severity] : undefined}>{segment.text}</span>
+          )
+        ))}
+      </pre>
+      <ul className="mt-2 space-y-1">
+        {diagnostics.map((diagnostic, index) => (
+          <li key={index} className={diagnostic.severity === 'error' ? 'text-red-400' : 'text-amber-400'}>
+            <span className="font-semibold capitalize">{diagnostic.severity}</span>
+            {` at position ${diagnostic.offset + 1}: ${diagnostic.message}`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
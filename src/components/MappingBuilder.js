@@ -0,0 +1,91 @@
+import React, { useRef, useState } from 'react';
+import { buildMappingsFromHeader, parseHeaderRow } from '../excelFormulaUtilities';
+
+const INPUT_CLASSES = 'w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200';
+
+// Generates a mapping for every column of a pasted or imported sheet header row
+const MappingBuilder = ({ onGenerate }) => {
+  const [headerText, setHeaderText] = useState('');
+  const [dataRow, setDataRow] = useState(2);
+  const [startColumn, setStartColumn] = useState('A');
+  const [error, setError] = useState('');
+  const headerFileInputRef = useRef(null);
+
+  const handleHeaderImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    // Only the header row of an export is needed
+    reader.onload = (e) => setHeaderText(parseHeaderRow(e.target.result).join('\t'));
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const handleGenerate = () => {
+    try {
+      const mappings = buildMappingsFromHeader(parseHeaderRow(headerText), { row: dataRow, startColumn });
+      if (!mappings.length) throw new Error('Paste or import a header row first');
+      setError('');
+      onGenerate(mappings);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <textarea
+        aria-label="Header row"
+        value={headerText}
+        onChange={(e) => setHeaderText(e.target.value)}
+        placeholder={'Paste the header row, e.g. Status\tAmount\tDue Date'}
+        className={`${INPUT_CLASSES} h-20 font-mono text-sm`}
+      />
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+        <div>
+          <label htmlFor="mappingDataRow" className="block text-sm font-medium mb-2 text-gray-300">Data Row:</label>
+          <input
+            type="number"
+            id="mappingDataRow"
+            min="1"
+            value={dataRow}
+            onChange={(e) => setDataRow(parseInt(e.target.value, 10))}
+            className={INPUT_CLASSES}
+          />
+        </div>
+        <div>
+          <label htmlFor="mappingStartColumn" className="block text-sm font-medium mb-2 text-gray-300">Start Column:</label>
+          <input
+            type="text"
+            id="mappingStartColumn"
+            value={startColumn}
+            onChange={(e) => setStartColumn(e.target.value.toUpperCase())}
+            className={INPUT_CLASSES}
+          />
+        </div>
+        <input
+          type="file"
+          ref={headerFileInputRef}
+          onChange={handleHeaderImport}
+          accept=".csv,.tsv,.txt"
+          className="hidden"
+        />
+        <button
+          onClick={() => headerFileInputRef.current?.click()}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition duration-200"
+        >
+          Import CSV/TSV
+        </button>
+        <button
+          onClick={handleGenerate}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md transition duration-200"
+        >
+          Generate Mappings
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default MappingBuilder;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { generateNameFromField, updateMappingRow } from '../excelFormulaUtilities';
+
+const CELL_INPUT_CLASSES = 'w-full p-1 bg-gray-900 border border-gray-700 rounded focus:ring-2 focus:ring-green-500 font-mono text-sm';
+
+// Table view of the location mappings; edits are written back to the mappings text
+const MappingGrid = ({ mappings, onChange }) => {
+  const updateMapping = (index, key, value) => {
+    onChange(mappings.map((mapping, i) => (i === index ? updateMappingRow(mapping, key, value) : mapping)));
+  };
+
+  return (
+    <div className="max-h-80 overflow-auto border border-gray-700 rounded-md">
+      <table className="w-full text-sm">
+        <thead className="sticky top-0 bg-gray-800 text-gray-400 text-left">
+          <tr>
+            <th className="p-2">Field</th>
+            <th className="p-2">Location</th>
+            <th className="p-2">Name</th>
+            <th className="p-2"><span className="sr-only">Actions</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          {mappings.map((mapping, index) => (
+            <tr key={index} className="border-t border-gray-700">
+              {['field', 'location', 'name'].map((key) => (
+                <td key={key} className="p-1">
+                  <input
+                    type="text"
+                    aria-label={`Row ${index + 1} ${key}`}
+                    value={mapping[key] || ''}
+                    onChange={(e) => updateMapping(index, key, e.target.value)}
+                    placeholder={key === 'name' ? generateNameFromField(mapping.field || '') : ''}
+                    className={CELL_INPUT_CLASSES}
+                  />
+                </td>
+              ))}
+              <td className="p-1 text-right">
+                <button
+                  onClick={() => onChange(mappings.filter((_, i) => i !== index))}
+                  className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white text-xs rounded-md transition duration-200"
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        onClick={() => onChange([...mappings, { field: '', location: '' }])}
+        className="m-2 px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded-md transition duration-200"
+      >
+        Add Row
+      </button>
+    </div>
+  );
+};
+
+export default MappingGrid;
@@ -0,0 +1,47 @@
+import React from 'react';
+
+// Lists problems in the mappings text as it is edited, with one-click renames for unusable LET names
+const MappingValidationPanel = ({ issues, onApplySuggestion, onApplyAll }) => {
+  if (!issues.length) return null;
+  const hasErrors = issues.some((issue) => issue.severity === 'error');
+  const suggestionCount = issues.filter((issue) => issue.suggestion).length;
+
+  return (
+    <div
+      className={`mt-2 p-3 bg-gray-900 border rounded-md text-sm ${hasErrors ? 'border-red-500/50' : 'border-amber-500/50'}`}
+      role="status"
+    >
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <h4 className={`font-semibold ${hasErrors ? 'text-red-400' : 'text-amber-400'}`}>Mapping Problems</h4>
+        {suggestionCount > 1 && (
+          <button
+            onClick={onApplyAll}
+            className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white text-xs rounded-md transition duration-200"
+          >
+            Fix all names
+          </button>
+        )}
+      </div>
+      <ul className="space-y-2">
+        {issues.map((issue, index) => (
+          <li
+            key={`${issue.row}-${index}`}
+            className={`flex items-center justify-between gap-2 ${issue.severity === 'error' ? 'text-red-300' : 'text-amber-300'}`}
+          >
+            <span>{issue.message}</span>
+            {issue.suggestion && (
+              <button
+                onClick={() => onApplySuggestion(issue)}
+                className="shrink-0 px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white text-xs rounded-md transition duration-200"
+              >
+                Use <code>{issue.suggestion}</code>
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MappingValidationPanel;
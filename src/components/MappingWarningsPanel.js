@@ -0,0 +1,55 @@
+import React from 'react';
+
+// Lists problems found while converting and applying the location mappings, with a shortcut to add missing fields
+const MappingWarningsPanel = ({ result, onAddMapping }) => {
+  const {
+    unmappedFields = [],
+    unmappedReferences = [],
+    unusedMappings = [],
+    duplicateNames = [],
+    warnings: conversionWarnings = [],
+  } = result;
+  if (!unmappedFields.length && !unmappedReferences.length && !unusedMappings.length &&
+      !duplicateNames.length && !conversionWarnings.length) return null;
+
+  return (
+    <div className="mt-4 p-3 bg-gray-900 border border-amber-500/50 rounded-md text-sm" role="status">
+      <h4 className="font-semibold text-amber-400 mb-2">Conversion Warnings</h4>
+      <ul className="space-y-2">
+        {conversionWarnings.map((message) => (
+          <li key={message} className="text-amber-300">{message}</li>
+        ))}
+        {unmappedFields.map((field) => (
+          <li key={`unmapped-${field}`} className="flex items-center justify-between gap-2 text-amber-300">
+            <span>
+              No location mapping for <code>{field.startsWith('{') ? field : `[${field}]`}</code>; it is left unconverted.
+            </span>
+            <button
+              onClick={() => onAddMapping(field)}
+              className="shrink-0 px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white text-xs rounded-md transition duration-200"
+            >
+              Add mapping
+            </button>
+          </li>
+        ))}
+        {unmappedReferences.map((reference) => (
+          <li key={`reference-${reference}`} className="text-amber-300">
+            No mapping covers <code>{reference}</code>; it is left as written.
+          </li>
+        ))}
+        {duplicateNames.map(({ name, fields }) => (
+          <li key={`duplicate-${name}`} className="text-amber-300">
+            {fields.map((field) => `"${field}"`).join(', ')} all use the LET name <code>{name}</code>.
+          </li>
+        ))}
+        {unusedMappings.length > 0 && (
+          <li className="text-gray-400">
+            Unused mappings: {unusedMappings.map((mapping) => mapping.field).join(', ')}
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default MappingWarningsPanel;
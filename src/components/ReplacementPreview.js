@@ -0,0 +1,27 @@
+import React from 'react';
+
+// Shows the converted template with every replacement highlighted; hover a replacement for the text it replaced
+const ReplacementPreview = ({ segments, count }) => (
+  <div className="mt-4 text-sm" role="status">
+    <h4 className="font-semibold text-gray-300 mb-2">
+      Preview ({count} {count === 1 ? 'replacement' : 'replacements'})
+    </h4>
+    <pre className="p-2 bg-gray-900 border border-gray-700 rounded-md font-mono whitespace-pre-wrap break-all text-gray-300">
+      {segments.map((segment, index) => (
+        segment.rule === null ? (
+          <span key={index}>{segment.text}</span>
+        ) : (
+          <mark
+            key={index}
+            title={`Rule ${segment.rule + 1}: ${segment.original}`}
+            className="bg-green-500/30 text-green-100 rounded-sm"
+          >
+            {segment.text}
+          </mark>
+        )
+      ))}
+    </pre>
+  </div>
+);
+
+export default ReplacementPreview;
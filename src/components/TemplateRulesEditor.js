@@ -0,0 +1,73 @@
+import React from 'react';
+
+const EMPTY_RULE = { find: '', replace: '', regex: false, wholeWord: false, caseSensitive: true };
+
+const OPTIONS = [
+  ['regex', 'Regex'],
+  ['wholeWord', 'Whole word'],
+  ['caseSensitive', 'Match case'],
+];
+
+const INPUT_CLASSES = 'w-full p-2 bg-gray-900 border border-gray-700 rounded-md focus:ring-2 focus:ring-green-500 focus:border-green-500 transition duration-200 font-mono text-sm';
+
+// Editable list of find/replace rules for the template converter, applied top to bottom
+const TemplateRulesEditor = ({ rules, onChange }) => {
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      {rules.map((rule, index) => (
+        <div key={index} className="p-3 bg-gray-900/50 border border-gray-700 rounded-md">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <input
+              type="text"
+              aria-label={`Rule ${index + 1} find`}
+              value={rule.find}
+              onChange={(e) => updateRule(index, { find: e.target.value })}
+              placeholder={rule.regex ? 'Regular expression' : 'Find'}
+              className={INPUT_CLASSES}
+            />
+            <input
+              type="text"
+              aria-label={`Rule ${index + 1} replace`}
+              value={rule.replace}
+              onChange={(e) => updateRule(index, { replace: e.target.value })}
+              placeholder={rule.regex ? 'Replace ($1 for groups)' : 'Replace'}
+              className={INPUT_CLASSES}
+            />
+          </div>
+          <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+            <span className="text-gray-500">Rule {index + 1}</span>
+            {OPTIONS.map(([option, label]) => (
+              <label key={option} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={Boolean(rule[option])}
+                  onChange={(e) => updateRule(index, { [option]: e.target.checked })}
+                  className="h-4 w-4 rounded border-gray-600 bg-gray-900 text-green-500 focus:ring-green-500"
+                />
+                {label}
+              </label>
+            ))}
+            <button
+              onClick={() => onChange(rules.filter((_, i) => i !== index))}
+              className="ml-auto px-2 py-1 bg-gray-700 hover:bg-gray-600 text-white text-xs rounded-md transition duration-200"
+            >
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...rules, { ...EMPTY_RULE }])}
+        className="self-start px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition duration-200"
+      >
+        Add Rule
+      </button>
+    </div>
+  );
+};
+
+export default TemplateRulesEditor;
@@ -0,0 +1,282 @@
+/**
+ * Conversion from Smartsheet column formulas to Airtable formula fields.
+ *
+ * Airtable formulas only see the current record: `[Column]@row` becomes the
+ * field reference `{Column}`, while anything that reads other rows (column
+ * ranges, COUNTIFS, COLLECT, ...) needs a rollup or lookup field instead and
+ * is reported. The Excel formatter can't read `{Field}` references or `!=`,
+ * so the layout (beautify, minify or raw) is printed here.
+ */
+import { INFIX_PRECEDENCE, parseFormula } from './parser.js';
+import { CELL_REFERENCE, COLUMN_RANGE, ROW_REFERENCE } from './smartsheet.js';
+
+/**
+ * Airtable functions that take the same arguments as their Smartsheet
+ * namesakes, so calls to them are copied with converted arguments.
+ */
+const AIRTABLE_FUNCTIONS = [
+    'ABS', 'AND', 'AVERAGE', 'CEILING', 'CONCATENATE', 'COUNT', 'COUNTA', 'DAY', 'FIND', 'FLOOR', 'IF', 'INT',
+    'ISERROR', 'LEFT', 'LEN', 'LOWER', 'MAX', 'MID', 'MIN', 'MOD', 'MONTH', 'NOT', 'NOW', 'OR', 'REPLACE',
+    'RIGHT', 'ROUND', 'ROUNDDOWN', 'ROUNDUP', 'SQRT', 'SUBSTITUTE', 'SUM', 'TODAY', 'UPPER', 'VALUE', 'WEEKDAY',
+    'WORKDAY', 'YEAR',
+];
+
+/**
+ * Smartsheet functions that aggregate or look up other rows. Airtable
+ * formulas can't, so these point at rollup and lookup fields.
+ */
+const CROSS_ROW_FUNCTIONS = [
+    'ANCESTORS', 'AVERAGEIF', 'CHILDREN', 'COLLECT', 'COUNTIF', 'COUNTIFS', 'COUNTM', 'DISTINCT', 'HAS', 'INDEX',
+    'MATCH', 'PARENT', 'SUMIF', 'SUMIFS', 'VLOOKUP',
+];
+
+/**
+ * Calls that return a date, so `+`/`-` next to them is date arithmetic.
+ */
+const DATE_FUNCTIONS = ['DATE', 'DATEONLY', 'NOW', 'TODAY', 'WORKDAY'];
+
+/**
+ * Precedence of the expressions some rules produce, for calls whose
+ * replacement is not itself a call.
+ */
+const RULE_PRECEDENCE = {
+    CONTAINS: INFIX_PRECEDENCE['>'],
+    ISBLANK: INFIX_PRECEDENCE['='],
+    NETDAYS: INFIX_PRECEDENCE['+'],
+};
+
+const workdayDiff = (args, converter) => (args.length >= 2 ? converter.call('WORKDAY_DIFF', args.map(arg => converter.generate(arg))) : null);
+
+/**
+ * Smartsheet functions that are written differently in Airtable, keyed by
+ * upper-case name. Each rule receives the call's argument nodes and the
+ * converter (`generate(node)`, `call(name, args)`, `binary(left, operator,
+ * right)` and `operand(node, precedence)`), and returns the replacement text
+ * or null to keep the call as written.
+ */
+const FUNCTION_RULES = {
+    AVG: (args, converter) => converter.call('AVERAGE', args.map(arg => converter.generate(arg))),
+    CONTAINS: ([search, within], converter) => {
+        if (!within) return null;
+        // Smartsheet matches regardless of case; Airtable's FIND does not
+        const found = converter.call('FIND', [converter.call('LOWER', [converter.generate(search)]), converter.call('LOWER', [converter.generate(within)])]);
+        return converter.binary(found, '>', '0');
+    },
+    DATE: ([year, month, day], converter) => {
+        if (!day) return null;
+        const text = converter.call('CONCATENATE', [converter.generate(year), '"-"', converter.generate(month), '"-"', converter.generate(day)]);
+        return converter.call('DATETIME_PARSE', [text, '"YYYY-M-D"']);
+    },
+    DATEONLY: ([date], converter) => (date
+        ? converter.call('DATETIME_PARSE', [converter.call('DATETIME_FORMAT', [converter.generate(date), '"YYYY-MM-DD"']), '"YYYY-MM-DD"'])
+        : null),
+    IFERROR: ([value, fallback], converter) => {
+        if (!fallback) return null;
+        const text = converter.generate(value);
+        return converter.call('IF', [converter.call('ISERROR', [text]), converter.generate(fallback), text]);
+    },
+    ISBLANK: ([value], converter) => (value
+        ? converter.binary(converter.operand(value, INFIX_PRECEDENCE['=']), '=', 'BLANK()')
+        : null),
+    JOIN: ([range, delimiter], converter) => (range
+        ? converter.call('ARRAYJOIN', [converter.generate(range), delimiter ? converter.generate(delimiter) : '""'])
+        : null),
+    NETDAYS: ([start, end], converter) => (end
+        ? converter.binary(converter.call('DATETIME_DIFF', [converter.generate(end), converter.generate(start), '"days"']), '+', '1')
+        : null),
+    NETWORKDAY: workdayDiff,
+    NETWORKDAYS: workdayDiff,
+    WEEKNUMBER: ([date], converter) => (date ? converter.call('WEEKNUM', [converter.generate(date), '"Monday"']) : null),
+    YEARDAY: ([date], converter) => (date
+        ? converter.call('VALUE', [converter.call('DATETIME_FORMAT', [converter.generate(date), '"DDD"'])])
+        : null),
+};
+
+/**
+ * Converts a Smartsheet column formula to an Airtable formula:
+ * 1. `[Column]@row` becomes `{Column}`, or `{airtable_field}` when a mapping
+ *    for the column renames it
+ * 2. ISBLANK(x) becomes `x = BLANK()`, JOIN becomes ARRAYJOIN, IFERROR an
+ *    IF(ISERROR()), `<>` becomes `!=` and true/false become TRUE()/FALSE()
+ * 3. Date arithmetic on dates (TODAY(), DATE(), WORKDAY(), ... and columns
+ *    whose mapping has `type: "date"`) becomes DATEADD and DATETIME_DIFF,
+ *    NETWORKDAYS becomes WORKDAY_DIFF
+ * Cross-row functions, column ranges and functions without an Airtable
+ * equivalent are kept as written and reported.
+ * @param {string} formula The Smartsheet formula, with or without the leading '='.
+ * @param {Array} [locationMappings=[]] Mappings from parseLocationMappings;
+ *   only `field`, `airtable_field` and `type` are used.
+ * @param {object} [options]
+ * @param {string} [options.format='raw'] 'beautify', 'minify' or 'raw'.
+ * @param {string} [options.indent='    '] Indentation for 'beautify'.
+ * @param {boolean} [options.isEu=false] Whether the formula uses `;` separators.
+ * @returns {{formula: string, warnings: Array<string>}} The Airtable formula
+ *   and the constructs that could not be translated.
+ * @throws {Error} When the formula cannot be parsed.
+ */
+export function convertSmartsheetToAirtable(formula, locationMappings = [], options = {}) {
+    const format = options.format || 'raw';
+    const indent = options.indent !== undefined ? options.indent : '    ';
+    const warnings = new Set();
+    const ast = parseFormula(formula.replace(/^[=']+/g, ''), { isEu: options.isEu });
+
+    const warn = (message) => warnings.add(message);
+    const findMapping = (field) => locationMappings.find(mapping => mapping.field === field);
+
+    const call = (name, args) => {
+        if (format === 'beautify' && args.length) {
+            const lines = args.map(arg => indent + arg.split('\n').join(`\n${indent}`));
+            return `${name}(\n${lines.join(',\n')}\n)`;
+        }
+        return `${name}(${args.join(format === 'minify' ? ',' : ', ')})`;
+    };
+    const binary = (left, operator, right) => (format === 'minify' ? `${left}${operator}${right}` : `${left} ${operator} ${right}`);
+
+    /**
+     * Returns how tightly the converted text of a node binds, so operands
+     * are only parenthesised when needed.
+     * @param {object} node The node.
+     * @returns {number} The precedence; Infinity for atoms and calls.
+     */
+    function precedenceOf(node) {
+        if (node.type === 'Function') return RULE_PRECEDENCE[node.name.toUpperCase()] || Infinity;
+        if (node.type === 'Postfix') return INFIX_PRECEDENCE['/'];
+        if (node.type !== 'Binary' || node.operator === '^' || dateArithmetic(node)) return Infinity;
+        return INFIX_PRECEDENCE[node.operator];
+    }
+
+    const operand = (node, precedence, isRight = false) => {
+        const text = generate(node);
+        const inner = precedenceOf(node);
+        return inner < precedence || (isRight && inner === precedence) ? `(${text})` : text;
+    };
+
+    const rowField = (node) => {
+        const row = node.type === 'Reference' && node.value.match(ROW_REFERENCE);
+        return row ? (row[1] !== undefined ? row[1] : row[2]) : null;
+    };
+
+    function isDate(node) {
+        if (node.type === 'Group') return isDate(node.expression);
+        if (node.type === 'Function') return DATE_FUNCTIONS.includes(node.name.toUpperCase());
+        if (node.type === 'Binary') return dateArithmetic(node) === 'DATEADD';
+        const field = rowField(node);
+        const mapping = field !== null && findMapping(field);
+        return Boolean(mapping && mapping.type === 'date');
+    }
+
+    /**
+     * Tells which date function a `+` or `-` becomes, if any: a date plus or
+     * minus days is DATEADD, a date minus a date is DATETIME_DIFF.
+     * @param {object} node A Binary node.
+     * @returns {string|null} 'DATEADD', 'DATETIME_DIFF' or null.
+     */
+    function dateArithmetic(node) {
+        if (node.operator !== '+' && node.operator !== '-') return null;
+        const left = isDate(node.left);
+        const right = isDate(node.right);
+        if (node.operator === '-' && left && right) return 'DATETIME_DIFF';
+        if (left !== right && (left || node.operator === '+')) return 'DATEADD';
+        return null;
+    }
+
+    function reference(value) {
+        if (value.toLowerCase() === '@cell') {
+            warn('@cell criteria have no Airtable equivalent; filter linked records with a rollup instead.');
+            return value;
+        }
+        const row = value.match(ROW_REFERENCE);
+        const range = !row && value.match(COLUMN_RANGE);
+        if (row || (range && range[2] === range[5] && !range[3] && !range[6])) {
+            const field = row ? (row[1] !== undefined ? row[1] : row[2]) : range[2];
+            const mapping = findMapping(field);
+            const name = (mapping && mapping.airtable_field) || field;
+            if (range) {
+                warn(`${value} reads every row; Airtable formulas only see the current record, so make {${name}} a rollup or lookup field.`);
+            }
+            return `{${name}}`;
+        }
+        if (range) {
+            warn(`${value} spans several columns or specific rows; Airtable has no range references.`);
+        } else if (CELL_REFERENCE.test(value)) {
+            warn(`${value} refers to a specific row; Airtable formulas only see the current record.`);
+        } else {
+            warn(`${value} is not a Smartsheet column reference; it was left unchanged.`);
+        }
+        return value;
+    }
+
+    function generate(node) {
+        switch (node.type) {
+            case 'Number':
+                return node.raw;
+            case 'Text':
+                return `"${node.value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+            case 'Logical':
+                return node.value ? 'TRUE()' : 'FALSE()';
+            case 'Error':
+                warn(`The error value ${node.value} has no Airtable equivalent; it was left unchanged.`);
+                return node.value;
+            case 'Reference':
+                return reference(node.value);
+            case 'Empty':
+                return 'BLANK()';
+            case 'Group':
+                return `(${generate(node.expression)})`;
+            case 'Array':
+                warn('Cross-sheet references and array constants have no Airtable equivalent; use a linked record and a lookup field.');
+                return `{${node.rows.map(items => items.map(generate).join(', ')).join('; ')}}`;
+            case 'Prefix':
+                return `-${operand(node.operand, Infinity)}`;
+            case 'Postfix':
+                return binary(operand(node.operand, INFIX_PRECEDENCE['/']), '/', '100');
+            case 'Binary':
+                return generateBinary(node);
+            case 'Function':
+                return generateCall(node);
+            default:
+                throw new Error(`Unknown node type '${node.type}'`);
+        }
+    }
+
+    function generateBinary(node) {
+        const kind = dateArithmetic(node);
+        if (kind === 'DATETIME_DIFF') {
+            return call(kind, [generate(node.left), generate(node.right), '"days"']);
+        }
+        if (kind === 'DATEADD') {
+            const [date, days] = isDate(node.left) ? [node.left, node.right] : [node.right, node.left];
+            const amount = node.operator === '-' ? `-${operand(days, Infinity)}` : generate(days);
+            return call(kind, [generate(date), amount, '"days"']);
+        }
+        if (node.operator === '^') {
+            return call('POWER', [generate(node.left), generate(node.right)]);
+        }
+        if ([',', ' ', ':'].includes(node.operator)) {
+            warn(`The '${node.operator}' reference operator has no Airtable equivalent.`);
+        }
+        const precedence = INFIX_PRECEDENCE[node.operator];
+        const operator = node.operator === '<>' ? '!=' : node.operator;
+        return binary(operand(node.left, precedence), operator, operand(node.right, precedence, true));
+    }
+
+    function generateCall(node) {
+        const name = node.name.toUpperCase();
+        const rule = FUNCTION_RULES[name];
+        if (rule) {
+            const converted = rule(node.arguments, { generate, call, binary, operand });
+            if (converted !== null) return converted;
+        }
+        if (CROSS_ROW_FUNCTIONS.includes(name)) {
+            warn(`${name} reads other rows; in Airtable use a rollup or lookup field instead. It was left unchanged.`);
+        } else if (!AIRTABLE_FUNCTIONS.includes(name)) {
+            warn(`${name} has no Airtable equivalent; it was left unchanged.`);
+        }
+        return call(name, node.arguments.map(generate));
+    }
+
+    return {
+        formula: ast ? generate(ast) : '',
+        warnings: Array.from(warnings),
+    };
+}
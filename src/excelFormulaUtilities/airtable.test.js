@@ -0,0 +1,62 @@
+import { convertSmartsheetToAirtable } from './airtable.js';
+import { parseLocationMappings } from './mappings.js';
+
+const mappings = parseLocationMappings(JSON.stringify([
+    { field: 'Due Date', location: 'A2', type: 'date' },
+    { field: 'Start', location: 'B2', type: 'date' },
+    { field: 'Owner', location: 'C2', airtable_field: 'Assignee' },
+]));
+const convert = (formula) => convertSmartsheetToAirtable(formula, mappings).formula;
+
+describe('convertSmartsheetToAirtable', () => {
+    it.each([
+        ['=IF([Status]@row <> "Done", [Owner]@row & " - " & Notes@row, "")', 'IF({Status} != "Done", {Assignee} & " - " & {Notes}, "")'],
+        ['=IF(ISBLANK([Owner]@row), true, false)', 'IF({Assignee} = BLANK(), TRUE(), FALSE())'],
+        ['=NOT(ISBLANK([A]@row)) + 1', 'NOT({A} = BLANK()) + 1'],
+        ['=CONTAINS("x", [Notes]@row)', 'FIND(LOWER("x"), LOWER({Notes})) > 0'],
+        ['=IFERROR([A]@row / [B]@row, 0)', 'IF(ISERROR({A} / {B}), 0, {A} / {B})'],
+        ['="Say ""hi"" \\o/"', '"Say \\"hi\\" \\\\o/"'],
+        ['=[Price]@row ^ 2 * 5%', 'POWER({Price}, 2) * (5 / 100)'],
+        ['=AVG([A]@row, [B]@row)', 'AVERAGE({A}, {B})'],
+    ])('converts %s', (smartsheet, airtable) => {
+        expect(convert(smartsheet)).toBe(airtable);
+    });
+
+    it.each([
+        ['=TODAY() + 7', 'DATEADD(TODAY(), 7, "days")'],
+        ['=[Due Date]@row - 2', 'DATEADD({Due Date}, -2, "days")'],
+        ['=[Due Date]@row - [Start]@row', 'DATETIME_DIFF({Due Date}, {Start}, "days")'],
+        ['=[Due Date]@row - TODAY() > 3', 'DATETIME_DIFF({Due Date}, TODAY(), "days") > 3'],
+        ['=NETWORKDAYS([Start]@row, [Due Date]@row)', 'WORKDAY_DIFF({Start}, {Due Date})'],
+        ['=WORKDAY([Start]@row, 5)', 'WORKDAY({Start}, 5)'],
+        ['=NETDAYS([Start]@row, [Due Date]@row) * 8', '(DATETIME_DIFF({Due Date}, {Start}, "days") + 1) * 8'],
+        ['=DATE(2024, 1, 31)', 'DATETIME_PARSE(CONCATENATE(2024, "-", 1, "-", 31), "YYYY-M-D")'],
+        ['=WEEKNUMBER([Due Date]@row)', 'WEEKNUM({Due Date}, "Monday")'],
+        ['=[Hours]@row - 2', '{Hours} - 2'],
+    ])('converts the date expression %s', (smartsheet, airtable) => {
+        expect(convert(smartsheet)).toBe(airtable);
+    });
+
+    it('maps JOIN to ARRAYJOIN and reports column ranges', () => {
+        const result = convertSmartsheetToAirtable('=JOIN([Tags]:[Tags], ", ")');
+        expect(result.formula).toBe('ARRAYJOIN({Tags}, ", ")');
+        expect(result.warnings).toEqual([
+            '[Tags]:[Tags] reads every row; Airtable formulas only see the current record, so make {Tags} a rollup or lookup field.',
+        ]);
+    });
+
+    it('flags unsupported functions', () => {
+        const result = convertSmartsheetToAirtable('=COUNTIFS([A]:[A], "x") + MEDIAN([B]@row)');
+        expect(result.formula).toBe('COUNTIFS({A}, "x") + MEDIAN({B})');
+        expect(result.warnings).toContain('COUNTIFS reads other rows; in Airtable use a rollup or lookup field instead. It was left unchanged.');
+        expect(result.warnings).toContain('MEDIAN has no Airtable equivalent; it was left unchanged.');
+    });
+
+    it('beautifies and minifies the result', () => {
+        const formula = '=IF(ISBLANK([A]@row), "", TODAY())';
+        expect(convertSmartsheetToAirtable(formula, [], { format: 'beautify', indent: '  ' }).formula)
+            .toBe('IF(\n  {A} = BLANK(),\n  "",\n  TODAY()\n)');
+        expect(convertSmartsheetToAirtable(formula, [], { format: 'minify' }).formula)
+            .toBe('IF({A}=BLANK(),"",TODAY())');
+    });
+});
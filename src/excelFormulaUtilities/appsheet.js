@@ -0,0 +1,313 @@
+/**
+ * Conversion from Smartsheet column formulas to AppSheet expressions.
+ *
+ * A Smartsheet column formula becomes an app formula on the matching AppSheet
+ * column: `[Column]@row` reads a column of the current row (`[Column]`), and
+ * column ranges such as `[Amount]:[Amount]` become table column lists
+ * (`Table[Amount]`) that SELECT filters row by row.
+ */
+import { INFIX_PRECEDENCE, parseFormula } from './parser.js';
+import { CELL_REFERENCE, COLUMN_RANGE, ROW_REFERENCE } from './smartsheet.js';
+
+/**
+ * AppSheet functions that take the same arguments as their Smartsheet
+ * namesakes, so calls to them are copied with converted arguments.
+ */
+const APPSHEET_FUNCTIONS = [
+    'ABS', 'AND', 'AVERAGE', 'CEILING', 'CONCATENATE', 'COUNT', 'DAY', 'EOMONTH', 'FIND', 'FLOOR', 'IF',
+    'INDEX', 'ISBLANK', 'LEFT', 'LEN', 'LOWER', 'MAX', 'MID', 'MIN', 'MOD', 'MONTH', 'NETWORKDAYS', 'NOT',
+    'OR', 'RIGHT', 'ROUND', 'SQRT', 'SUBSTITUTE', 'SUM', 'TODAY', 'UPPER', 'WEEKDAY', 'WORKDAY', 'YEAR',
+];
+
+/**
+ * Matches the value of a text criterion with a comparison, e.g. `>5`.
+ */
+const CRITERION_OPERATOR = /^(<>|<=|>=|<|>|=)(.*)$/;
+
+const DEFAULT_TABLE = 'Table';
+
+/**
+ * Smartsheet functions that are written differently in AppSheet, keyed by
+ * upper-case name. Each rule receives the call's argument nodes and the
+ * converter, and returns the replacement text or null to keep the call as
+ * written (converting only its arguments). The converter offers
+ * `generate(node, inSelect)`, `column(node)` and `list(node)` for
+ * single-column ranges, `select(list, criteria)` for range/criterion pairs
+ * and `aggregate(name, valuesNode, criteria)` to wrap such a SELECT.
+ */
+const FUNCTION_RULES = {
+    AVERAGEIF: ([range, criterion, averageRange], converter) => (criterion
+        ? converter.aggregate('AVERAGE', averageRange || range, [range, criterion])
+        : null),
+    AVG: (args, converter) => `AVERAGE(${args.map(arg => converter.generate(arg)).join(', ')})`,
+    COLLECT: ([range, ...criteria], converter) => (criteria.length >= 2
+        ? converter.select(converter.list(range), criteria)
+        : null),
+    CONTAINS: ([search, within], converter) => {
+        if (!within) return null;
+        // Smartsheet searches inside any cell of a range
+        const column = converter.column(within);
+        if (column) {
+            const list = converter.list(within);
+            return list && `COUNT(SELECT(${list}, CONTAINS([${column}], ${converter.generate(search, true)}))) > 0`;
+        }
+        return `CONTAINS(${converter.generate(within)}, ${converter.generate(search)})`;
+    },
+    COUNTIF: ([range, criterion], converter) => (criterion ? converter.aggregate('COUNT', range, [range, criterion]) : null),
+    COUNTIFS: (criteria, converter) => (criteria.length >= 2 ? converter.aggregate('COUNT', criteria[0], criteria) : null),
+    DATEONLY: ([date], converter) => (date ? `DATE(${converter.generate(date)})` : null),
+    DISTINCT: ([range], converter) => (range ? `UNIQUE(${converter.generate(range)})` : null),
+    HAS: ([range, value], converter) => (value ? `IN(${converter.generate(value)}, ${converter.generate(range)})` : null),
+    IF: ([condition, whenTrue, whenFalse], converter) => {
+        // AppSheet's IF needs all three arguments; Smartsheet leaves the cell blank
+        if (!whenTrue) return null;
+        return `IF(${converter.generate(condition)}, ${converter.generate(whenTrue)}, ${whenFalse ? converter.generate(whenFalse) : '""'})`;
+    },
+    JOIN: ([range, delimiter], converter) => {
+        if (!range) return null;
+        // A list joins as "a , b"; swap in the requested delimiter
+        return `SUBSTITUTE(CONCATENATE(${converter.generate(range)}), " , ", ${delimiter ? converter.generate(delimiter) : '""'})`;
+    },
+    NETDAYS: ([start, end], converter) => (end
+        ? `(HOUR(${converter.generate(end)} - ${converter.generate(start)}) / 24 + 1)`
+        : null),
+    NETWORKDAY: (args, converter) => `NETWORKDAYS(${args.map(arg => converter.generate(arg)).join(', ')})`,
+    SUMIF: ([range, criterion, sumRange], converter) => (criterion
+        ? converter.aggregate('SUM', sumRange || range, [range, criterion])
+        : null),
+    SUMIFS: ([sumRange, ...criteria], converter) => (criteria.length >= 2
+        ? converter.aggregate('SUM', sumRange, criteria)
+        : null),
+    VALUE: ([text], converter) => (text ? `NUMBER(${converter.generate(text)})` : null),
+    WEEKNUMBER: ([date], converter) => (date ? `ISOWEEKNUM(${converter.generate(date)})` : null),
+    YEARDAY: ([date], converter) => {
+        if (!date) return null;
+        // Days since the last day of the previous year
+        const value = converter.generate(date);
+        return `(HOUR(${value} - EOMONTH(${value}, -MONTH(${value}))) / 24)`;
+    },
+};
+
+/**
+ * Converts a Smartsheet column formula to an AppSheet expression:
+ * 1. `[Column]@row` becomes `[Column]`, or `[_THISROW].[Column]` inside a
+ *    SELECT condition
+ * 2. COUNTIF(S), SUMIF(S), AVERAGEIF and COLLECT become COUNT/SUM/AVERAGE of
+ *    a SELECT over the table, with `@cell` standing for the selected row's
+ *    column
+ * 3. `&` concatenation becomes CONCATENATE, CONTAINS swaps its arguments and
+ *    date functions (DATEONLY, NETDAYS, WEEKNUMBER, YEARDAY, ...) use their
+ *    AppSheet counterparts
+ * Functions, references and operators without an AppSheet equivalent are
+ * kept as written and reported.
+ * @param {string} formula The Smartsheet formula, with or without the leading '='.
+ * @param {object} [options]
+ * @param {string} [options.table='Table'] The AppSheet table that column
+ *   ranges like `[Amount]:[Amount]` read from.
+ * @returns {{formula: string, warnings: Array<string>}} The expression and
+ *   the constructs that could not be translated.
+ * @throws {Error} When the formula cannot be parsed.
+ */
+export function convertSmartsheetToAppSheet(formula, options = {}) {
+    const table = options.table || DEFAULT_TABLE;
+    const warnings = new Set();
+    const ast = parseFormula(formula.replace(/^[=']+/g, ''));
+
+    const warn = (message) => warnings.add(message);
+
+    // Operands keep their grouping: looser operators, and equal ones on the right, need parentheses
+    const operand = (node, scope, precedence, isRight = false) => {
+        const text = generate(node, scope);
+        if (node.type !== 'Binary' || ['&', '^'].includes(node.operator)) return text;
+        const inner = INFIX_PRECEDENCE[node.operator];
+        return inner < precedence || (isRight && inner === precedence) ? `(${text})` : text;
+    };
+
+    /**
+     * Returns the column of a single-column range such as `[Amount]:[Amount]`.
+     * @param {object} node An argument node.
+     * @returns {string|null} The column name, or null for anything else.
+     */
+    function column(node) {
+        const range = node.type === 'Reference' && node.value.match(COLUMN_RANGE);
+        if (!range || range[2] !== range[5] || range[3] || range[6]) return null;
+        return range[2];
+    }
+
+    /**
+     * Converts a column range to the list of that column's values.
+     * @param {object} node An argument node.
+     * @returns {string|null} `Table[Column]`, or null (with a warning) when
+     *   the node is not a whole single column.
+     */
+    function list(node) {
+        const name = column(node);
+        if (name === null) {
+            const written = node.type === 'Reference' ? node.value : 'A criterion or value range';
+            warn(`${written} is not a whole column such as [Amount]:[Amount]; AppSheet can only select whole columns.`);
+            return null;
+        }
+        if (!options.table) {
+            warn(`Column ranges read from the table '${DEFAULT_TABLE}'; set the AppSheet table name.`);
+        }
+        return `${table}[${name}]`;
+    }
+
+    /**
+     * Turns one criterion into a condition on the selected row: `@cell`
+     * expressions are evaluated against the column, text comparisons such as
+     * ">5" compare it and anything else is an equality test.
+     * @param {string} name The column of the criterion range.
+     * @param {object} criterion The criterion node.
+     * @returns {string} The condition.
+     */
+    function condition(name, criterion) {
+        const scope = { cell: `[${name}]`, inSelect: true };
+        const match = criterion.type === 'Text' && criterion.value.match(CRITERION_OPERATOR);
+        if (match) {
+            const value = match[2] !== '' && !isNaN(match[2]) ? match[2] : `"${match[2].replace(/"/g, '""')}"`;
+            return `[${name}] ${match[1]} ${value}`;
+        }
+        if (containsCell(criterion)) return generate(criterion, scope);
+        return `[${name}] = ${generate(criterion, scope)}`;
+    }
+
+    /**
+     * Builds a SELECT over the table from criterion range / criterion pairs.
+     * @param {string|null} values The list to select from.
+     * @param {Array<object>} criteria The alternating range and criterion nodes.
+     * @returns {string|null} The SELECT, or null when a range is not a column.
+     */
+    function select(values, criteria) {
+        const conditions = [];
+        for (let i = 0; i + 1 < criteria.length; i += 2) {
+            const name = column(criteria[i]);
+            if (name === null) return list(criteria[i]);  // reports the range
+            conditions.push(condition(name, criteria[i + 1]));
+        }
+        if (values === null) return null;
+        const test = conditions.length > 1 ? `AND(${conditions.join(', ')})` : conditions[0];
+        return `SELECT(${values}, ${test})`;
+    }
+
+    const aggregate = (name, valuesNode, criteria) => {
+        const values = list(valuesNode);
+        const selected = values && select(values, criteria);
+        return selected ? `${name}(${selected})` : null;
+    };
+
+    /**
+     * Converts a reference: current-row columns, `@cell`, column ranges and
+     * specific-row cells.
+     * @param {string} value The reference as written.
+     * @param {object} scope `cell` is the column `@cell` stands for and
+     *   `inSelect` is set inside SELECT conditions.
+     * @returns {string} The AppSheet reference.
+     */
+    function reference(value, scope) {
+        if (value.toLowerCase() === '@cell') {
+            if (scope.cell) return scope.cell;
+            warn('@cell can only be converted inside a criterion of COLLECT, COUNTIF(S), SUMIF(S) or AVERAGEIF.');
+            return value;
+        }
+        const row = value.match(ROW_REFERENCE);
+        if (row) {
+            const name = row[1] !== undefined ? row[1] : row[2];
+            return scope.inSelect ? `[_THISROW].[${name}]` : `[${name}]`;
+        }
+        if (column({ type: 'Reference', value }) !== null) {
+            return list({ type: 'Reference', value });
+        }
+        if (COLUMN_RANGE.test(value)) {
+            warn(`${value} spans several columns or specific rows; AppSheet can only select whole columns.`);
+        } else if (CELL_REFERENCE.test(value)) {
+            warn(`${value} refers to a specific row; AppSheet has no row-number references, use LOOKUP or SELECT instead.`);
+        } else {
+            warn(`${value} is not a Smartsheet column reference; it was left unchanged.`);
+        }
+        return value;
+    }
+
+    function generate(node, scope = {}) {
+        switch (node.type) {
+            case 'Number':
+                return node.raw;
+            case 'Text':
+                return `"${node.value.replace(/"/g, '""')}"`;
+            case 'Logical':
+                return node.value ? 'TRUE' : 'FALSE';
+            case 'Error':
+                warn(`The error value ${node.value} has no AppSheet equivalent; it was left unchanged.`);
+                return node.value;
+            case 'Reference':
+                return reference(node.value, scope);
+            case 'Empty':
+                return '""';
+            case 'Group':
+                return `(${generate(node.expression, scope)})`;
+            case 'Array':
+                warn('Cross-sheet references and array constants have no AppSheet equivalent; use a SELECT over the other table.');
+                return `{${node.rows.map(items => items.map(item => generate(item, scope)).join(', ')).join('; ')}}`;
+            case 'Prefix':
+                return `-${operand(node.operand, scope, Infinity)}`;
+            case 'Postfix':
+                return `(${operand(node.operand, scope, INFIX_PRECEDENCE['/'])} / 100)`;
+            case 'Binary': {
+                if (node.operator === '&') {
+                    return `CONCATENATE(${concatenated(node).map(part => generate(part, scope)).join(', ')})`;
+                }
+                if (node.operator === '^') {
+                    return `POWER(${generate(node.left, scope)}, ${generate(node.right, scope)})`;
+                }
+                if ([',', ' ', ':'].includes(node.operator)) {
+                    warn(`The '${node.operator}' reference operator has no AppSheet equivalent.`);
+                }
+                const precedence = INFIX_PRECEDENCE[node.operator];
+                return `${operand(node.left, scope, precedence)} ${node.operator} ${operand(node.right, scope, precedence, true)}`;
+            }
+            case 'Function':
+                return generateCall(node, scope);
+            default:
+                throw new Error(`Unknown node type '${node.type}'`);
+        }
+    }
+
+    function generateCall(node, scope) {
+        const name = node.name.toUpperCase();
+        const rule = FUNCTION_RULES[name];
+        if (rule) {
+            const converter = {
+                generate: (arg, inSelect) => generate(arg, inSelect ? { ...scope, inSelect } : scope),
+                column,
+                list,
+                select,
+                aggregate,
+            };
+            const converted = rule(node.arguments, converter);
+            if (converted !== null) return converted;
+            if (!APPSHEET_FUNCTIONS.includes(name)) warn(`${name} could not be converted; it was left unchanged.`);
+        } else if (!APPSHEET_FUNCTIONS.includes(name)) {
+            warn(`${name} has no AppSheet equivalent; it was left unchanged.`);
+        }
+        return `${name}(${node.arguments.map(arg => generate(arg, scope)).join(', ')})`;
+    }
+
+    return {
+        formula: ast ? generate(ast) : '',
+        warnings: Array.from(warnings),
+    };
+}
+
+// A&B&C is one CONCATENATE with three parts
+const concatenated = (node) => (node.type === 'Binary' && node.operator === '&'
+    ? [...concatenated(node.left), ...concatenated(node.right)]
+    : [node]);
+
+const containsCell = (node) => {
+    if (node.type === 'Reference') return node.value.toLowerCase() === '@cell';
+    if (node.type === 'Function') return node.arguments.some(containsCell);
+    if (node.type === 'Group') return containsCell(node.expression);
+    if (node.type === 'Prefix' || node.type === 'Postfix') return containsCell(node.operand);
+    if (node.type === 'Binary') return containsCell(node.left) || containsCell(node.right);
+    return false;
+};
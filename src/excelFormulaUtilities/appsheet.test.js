@@ -0,0 +1,68 @@
+import { convertSmartsheetToAppSheet } from './appsheet.js';
+
+const convert = (formula) => convertSmartsheetToAppSheet(formula, { table: 'Tasks' }).formula;
+
+describe('convertSmartsheetToAppSheet', () => {
+    it.each([
+        ['=IF(AND([Status]@row = "Done", NOT(ISBLANK(Owner@row))), 1, 0)', 'IF(AND([Status] = "Done", NOT(ISBLANK([Owner]))), 1, 0)'],
+        ['=IF([Done]@row, "Yes")', 'IF([Done], "Yes", "")'],
+        ['=[First]@row & " " & [Last]@row', 'CONCATENATE([First], " ", [Last])'],
+        ['=IF(OR([A]@row > 1, [B]@row < 2), true, false)', 'IF(OR([A] > 1, [B] < 2), TRUE, FALSE)'],
+        ['=CONTAINS("urgent", [Notes]@row)', 'CONTAINS([Notes], "urgent")'],
+        ['=CONTAINS([Tag]@row, [Tags]:[Tags])', 'COUNT(SELECT(Tasks[Tags], CONTAINS([Tags], [_THISROW].[Tag]))) > 0'],
+        ['=[Price]@row ^ 2 + 10%', 'POWER([Price], 2) + (10 / 100)'],
+        ['="Say ""hi"""', '"Say ""hi"""'],
+    ])('converts %s', (smartsheet, appsheet) => {
+        expect(convert(smartsheet)).toBe(appsheet);
+    });
+
+    it('turns COUNTIFS and SUMIFS into SELECTs over the table', () => {
+        expect(convert('=COUNTIFS([Status]:[Status], "Done", [Owner]:[Owner], [Owner]@row)'))
+            .toBe('COUNT(SELECT(Tasks[Status], AND([Status] = "Done", [Owner] = [_THISROW].[Owner])))');
+        expect(convert('=SUMIFS([Amount]:[Amount], [Amount]:[Amount], ">100")'))
+            .toBe('SUM(SELECT(Tasks[Amount], [Amount] > 100))');
+        expect(convert('=SUMIF([Status]:[Status], "Open", [Amount]:[Amount])'))
+            .toBe('SUM(SELECT(Tasks[Amount], [Status] = "Open"))');
+        expect(convert('=COUNTIF([Due]:[Due], @cell < TODAY())'))
+            .toBe('COUNT(SELECT(Tasks[Due], [Due] < TODAY()))');
+    });
+
+    it('turns COLLECT into SELECT', () => {
+        expect(convert('=JOIN(COLLECT([Name]:[Name], [Status]:[Status], "Done"), ", ")'))
+            .toBe('SUBSTITUTE(CONCATENATE(SELECT(Tasks[Name], [Status] = "Done")), " , ", ", ")');
+    });
+
+    it.each([
+        ['=DATEONLY([Created]@row)', 'DATE([Created])'],
+        ['=NETDAYS([Start]@row, [End]@row)', '(HOUR([End] - [Start]) / 24 + 1)'],
+        ['=NETWORKDAY([Start]@row, [End]@row)', 'NETWORKDAYS([Start], [End])'],
+        ['=WEEKNUMBER(TODAY())', 'ISOWEEKNUM(TODAY())'],
+        ['=YEARDAY([Due]@row)', '(HOUR([Due] - EOMONTH([Due], -MONTH([Due]))) / 24)'],
+        ['=WORKDAY([Start]@row, 5) - [Start]@row', 'WORKDAY([Start], 5) - [Start]'],
+    ])('converts the date function in %s', (smartsheet, appsheet) => {
+        expect(convert(smartsheet)).toBe(appsheet);
+    });
+
+    it('warns about constructs without an AppSheet equivalent', () => {
+        const result = convertSmartsheetToAppSheet('=IFERROR(PARENT([Amount]@row) + [Amount]5 + SUM([A]1:[B]3), 0)', { table: 'Tasks' });
+        expect(result.formula).toBe('IFERROR(PARENT([Amount]) + [Amount]5 + SUM([A]1:[B]3), 0)');
+        expect(result.warnings).toEqual([
+            'IFERROR has no AppSheet equivalent; it was left unchanged.',
+            'PARENT has no AppSheet equivalent; it was left unchanged.',
+            '[Amount]5 refers to a specific row; AppSheet has no row-number references, use LOOKUP or SELECT instead.',
+            '[A]1:[B]3 spans several columns or specific rows; AppSheet can only select whole columns.',
+        ]);
+    });
+
+    it('warns when column ranges use the default table name', () => {
+        const result = convertSmartsheetToAppSheet('=SUM([Amount]:[Amount])');
+        expect(result.formula).toBe('SUM(Table[Amount])');
+        expect(result.warnings).toEqual(["Column ranges read from the table 'Table'; set the AppSheet table name."]);
+    });
+
+    it('keeps criteria functions with partial column ranges and reports them', () => {
+        const result = convertSmartsheetToAppSheet('=COUNTIF([Status]1:[Status]9, "Done")', { table: 'Tasks' });
+        expect(result.formula).toBe('COUNTIF([Status]1:[Status]9, "Done")');
+        expect(result.warnings).toContain('COUNTIF could not be converted; it was left unchanged.');
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Batch processing: runs one operation over every formula of a CSV or TSV
+ * file and writes the results back out as CSV.
+ */
+import { formatCsvValue, parseCsvLine, splitCsvRecords } from './csv.js';
+import { formatFormula, minify } from './formatter.js';
+import { convertFormulaLocale } from './locale.js';
+import { convertSmartsheetFormula } from './smartsheet.js';
+import { convertToSmartsheetFormula } from './toSmartsheet.js';
+import { getDiagnostics } from './tokenizer.js';
+
+/**
+ * Operations that can be run over a batch file, by mode id.
+ */
+export const BATCH_OPERATIONS = {
+    beautify: 'Beautify',
+    minify: 'Minify',
+    locale: 'Convert Locale',
+    smartsheet: 'Smartsheet to Google Sheets',
+    'to-smartsheet': 'Google Sheets to Smartsheet',
+};
+
+/**
+ * Reads a batch file. The first row is the header; rows are separated by
+ * tabs when the header has any and by commas otherwise.
+ * @param {string} text The CSV or TSV text.
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}} The
+ *   header and the data rows, each padded to the header's length.
+ * @throws {Error} When the file has no header row.
+ */
+export function parseBatchFile(text) {
+    const records = splitCsvRecords(text.replace(/^\uFEFF/, '').trim());
+    if (!records[0]) {
+        throw new Error('The file is empty');
+    }
+    const delimiter = records[0].includes('\t') ? '\t' : ',';
+    const headers = parseCsvLine(records[0], delimiter);
+    const rows = records.slice(1)
+        .filter(record => record.trim())
+        .map(record => {
+            const values = parseCsvLine(record, delimiter);
+            return headers.map((_, index) => values[index] || '');
+        });
+    return { headers, rows };
+}
+
+/**
+ * Picks the column most likely to hold the formulas: the first header
+ * containing "formula", or else the first column.
+ * @param {Array<string>} headers The column headers.
+ * @returns {number} The zero-based column index.
+ */
+export function findFormulaColumn(headers) {
+    const index = headers.findIndex(header => /formula/i.test(header));
+    return index === -1 ? 0 : index;
+}
+
+/**
+ * Applies the beautify/minify/raw choice to a converted formula.
+ * @param {string} formula The converted formula.
+ * @param {string} prefix The prefix to put in front, '' or '='.
+ * @param {object} options The batch options.
+ * @returns {string} The formatted formula.
+ */
+function formatConverted(formula, prefix, options) {
+    if (options.format === 'beautify') {
+        return formatFormula(formula, { ...options.layout, tmplIndentTab: options.indent, prefix, isEu: options.isEu });
+    } else if (options.format === 'minify') {
+        return minify(formula, { prefix, isEu: options.isEu });
+    }
+    return prefix + formula;
+}
+
+/**
+ * Runs an operation over one formula.
+ * @param {string} formula The formula.
+ * @param {string} operation One of the keys of BATCH_OPERATIONS.
+ * @param {object} options The batch options.
+ * @returns {{output: string, warnings: Array<string>}} The result.
+ */
+function runOperation(formula, operation, options) {
+    switch (operation) {
+        case 'beautify':
+            return {
+                output: formatFormula(formula, {
+                    ...options.layout,
+                    tmplIndentTab: options.indent,
+                    prefix: '=',
+                    isEu: options.isEu,
+                    translateFunctions: options.translateFunctions,
+                }),
+                warnings: [],
+            };
+        case 'minify':
+            return {
+                output: minify(formula, {
+                    ...options.compact,
+                    prefix: '=',
+                    isEu: options.isEu,
+                    translateFunctions: options.translateFunctions,
+                }),
+                warnings: [],
+            };
+        case 'locale':
+            return { output: convertFormulaLocale(formula, options.localeFrom, options.localeTo), warnings: [] };
+        case 'smartsheet': {
+            const result = convertSmartsheetFormula(formula, options.mappings, { shape: options.shape, header: options.header });
+            return {
+                output: formatConverted(result.formula, '', options),
+                warnings: [
+                    ...result.unmappedFields.map(field => `No location mapping for ${field.startsWith('{') ? field : `[${field}]`}`),
+                    ...result.warnings,
+                ],
+            };
+        }
+        case 'to-smartsheet': {
+            const result = convertToSmartsheetFormula(formula, options.mappings, { isEu: options.isEu });
+            return {
+                output: formatConverted(result.formula, '=', options),
+                warnings: [
+                    ...result.unmappedReferences.map(reference => `No location mapping for ${reference}`),
+                    ...result.warnings,
+                ],
+            };
+        }
+        default:
+            throw new Error(`'${operation}' can't be run as a batch`);
+    }
+}
+
+/**
+ * Runs an operation over the formula column of every row. A row whose
+ * formula has syntax errors, or whose conversion fails, gets an error
+ * instead of stopping the batch.
+ * @param {Array<Array<string>>} rows The data rows of the batch file.
+ * @param {number} column The index of the formula column.
+ * @param {string} operation One of the keys of BATCH_OPERATIONS.
+ * @param {object} [options]
+ * @param {string} [options.indent='    '] Indentation for beautified output.
+ * @param {object} [options.layout] Layout options for beautified output, as
+ *   taken by formatFormula: `{layout, maxWidth, breakOperatorChains,
+ *   breakIfChains, alignLetPairs, operatorPosition, operatorIndent}`.
+ * @param {object} [options.compact] Options for minify, as taken by minify:
+ *   `{canonical, uppercase, removeParentheses, normalizeNumbers, collapseLogicalCalls}`.
+ * @param {boolean} [options.isEu=false] Whether formulas use ; separators.
+ * @param {string} [options.format='beautify'] 'beautify', 'minify' or 'raw'
+ *   for the result of a Smartsheet conversion.
+ * @param {Array<object>} [options.mappings=[]] Location mappings for the
+ *   Smartsheet conversions.
+ * @param {string} [options.shape] Output shape of Smartsheet to Google Sheets.
+ * @param {string} [options.header] Column header for whole-column shapes.
+ * @param {string} [options.localeFrom='us'] Source locale of 'locale'.
+ * @param {string} [options.localeTo='eu'] Target locale of 'locale'.
+ * @param {{from: string, to: string}} [options.translateFunctions] Function
+ *   name translation for beautify and minify.
+ * @returns {Array<{output: string, error: string, warnings: Array<string>}>}
+ *   One result per row; blank formulas give an empty output.
+ */
+export function runBatch(rows, column, operation, options = {}) {
+    const batchOptions = {
+        indent: '    ',
+        isEu: false,
+        format: 'beautify',
+        mappings: [],
+        localeFrom: 'us',
+        localeTo: 'eu',
+        ...options,
+    };
+    if (!BATCH_OPERATIONS[operation]) {
+        throw new Error(`'${operation}' can't be run as a batch`);
+    }
+    // Smartsheet formulas are not Excel syntax, so only the other inputs are checked
+    const checkSyntax = operation !== 'smartsheet';
+    const syntaxOptions = { isEu: operation === 'locale' ? batchOptions.localeFrom !== 'us' : batchOptions.isEu };
+
+    return rows.map(row => {
+        const formula = (row[column] || '').trim();
+        if (!formula) return { output: '', error: '', warnings: [] };
+        const syntaxError = checkSyntax && getDiagnostics(formula, syntaxOptions).find(diagnostic => diagnostic.severity === 'error');
+        if (syntaxError) {
+            return { output: '', error: `At position ${syntaxError.offset + 1}: ${syntaxError.message}`, warnings: [] };
+        }
+        try {
+            return { ...runOperation(formula, operation, batchOptions), error: '' };
+        } catch (error) {
+            return { output: '', error: error.message, warnings: [] };
+        }
+    });
+}
+
+/**
+ * Writes the batch file back out as CSV with result, error and warnings
+ * columns after the original ones.
+ * @param {Array<string>} headers The column headers of the batch file.
+ * @param {Array<Array<string>>} rows The data rows of the batch file.
+ * @param {Array<object>} results The results of runBatch, one per row.
+ * @returns {string} The CSV text.
+ */
+export function formatBatchResults(headers, rows, results) {
+    const lines = [[...headers, 'result', 'error', 'warnings']];
+    rows.forEach((row, index) => {
+        const { output, error, warnings } = results[index];
+        lines.push([...row, output, error, warnings.join('; ')]);
+    });
+    return lines.map(line => line.map(value => formatCsvValue(value)).join(',')).join('\n');
+}
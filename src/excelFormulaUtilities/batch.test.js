@@ -0,0 +1,63 @@
+import { findFormulaColumn, formatBatchResults, parseBatchFile, runBatch } from './batch.js';
+import { parseLocationMappings } from './mappings.js';
+
+describe('parseBatchFile', () => {
+    it('reads CSV with quoted formulas and line breaks', () => {
+        const text = '\uFEFFid,Formula\r\n1,"=IF(A1=""x"",\n1, 2)"\r\n\r\n2,=SUM(A1:A3)\n';
+        expect(parseBatchFile(text)).toEqual({
+            headers: ['id', 'Formula'],
+            rows: [['1', '=IF(A1="x",\n1, 2)'], ['2', '=SUM(A1:A3)']],
+        });
+    });
+
+    it('reads TSV and pads short rows', () => {
+        expect(parseBatchFile('name\tformula\tnote\nTotal\t=SUM(A1,B1)')).toEqual({
+            headers: ['name', 'formula', 'note'],
+            rows: [['Total', '=SUM(A1,B1)', '']],
+        });
+        expect(() => parseBatchFile('  \n')).toThrow('The file is empty');
+    });
+
+    it('finds the formula column', () => {
+        expect(findFormulaColumn(['id', 'Column Formula'])).toBe(1);
+        expect(findFormulaColumn(['a', 'b'])).toBe(0);
+    });
+});
+
+describe('runBatch', () => {
+    const rows = [['=SUM( A1, B1 )'], [''], ['=IF(A1>,1,2)'], ['=A1+']];
+
+    it('minifies every row and reports syntax errors per row', () => {
+        expect(runBatch(rows, 0, 'minify')).toEqual([
+            { output: '=SUM(A1,B1)', error: '', warnings: [] },
+            { output: '', error: '', warnings: [] },
+            expect.objectContaining({ output: '', error: expect.stringMatching(/^At position \d+: /) }),
+            expect.objectContaining({ output: '', error: "At position 4: Operator '+' is missing its right operand" }),
+        ]);
+    });
+
+    it('minifies to the canonical form with the compact options', () => {
+        expect(runBatch([['=(a1+b1)*(1.50)']], 0, 'minify', { compact: { canonical: true } })[0].output).toBe('=(A1+B1)*1.5');
+    });
+
+    it('converts Smartsheet formulas with the mappings', () => {
+        const mappings = parseLocationMappings('[{"field": "Status", "location": "A2"}]');
+        const [result] = runBatch([['=IF([Status]@row = "Done", [Owner]@row)']], 0, 'smartsheet', { mappings, format: 'minify' });
+        expect(result.error).toBe('');
+        expect(result.output).toContain('LET(status,A2,');
+        expect(result.warnings).toEqual(['No location mapping for [Owner]']);
+    });
+
+    it('converts locales and rejects other operations', () => {
+        expect(runBatch([['=SUM(1.5,2)']], 0, 'locale')).toEqual([{ output: '=SUM(1,5;2)', error: '', warnings: [] }]);
+        expect(() => runBatch(rows, 0, 'javascript')).toThrow("'javascript' can't be run as a batch");
+    });
+});
+
+describe('formatBatchResults', () => {
+    it('adds the result, error and warnings columns', () => {
+        const results = [{ output: '=IF(A1="x",1)', error: '', warnings: ['a', 'b'] }];
+        expect(formatBatchResults(['id', 'formula'], [['1', '=if(a1="x",1)']], results))
+            .toBe('id,formula,result,error,warnings\n1,"=if(a1=""x"",1)","=IF(A1=""x"",1)",,a; b');
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * A lightweight tree of function calls over the token stream. Every node
+ * keeps its source span, so converters can rewrite individual calls and
+ * references while copying the rest of the formula (spacing, strings,
+ * separators) exactly as written.
+ */
+import {
+    TOK_TYPE_ARGUMENT,
+    TOK_TYPE_FUNCTION,
+    TOK_SUBTYPE_START,
+    TOK_SUBTYPE_STOP,
+} from './tokens.js';
+
+/**
+ * Groups tokens into calls whose arguments keep their source spans. Leaves
+ * are `{token, start, end}`; calls are `{token, start, end, args}` where
+ * each argument is `{start, end, children}`. Array constants appear as
+ * ARRAY calls with one ARRAYROW call per row.
+ * @param {Array<F_token>} items The tokens of the formula.
+ * @param {number} length The length of the formula text.
+ * @returns {object} The top-level argument: `{start, end, children}`.
+ */
+export function buildCallTree(items, length) {
+    const root = { args: [{ start: 0, end: length, children: [] }] };
+    const stack = [root];
+    items.forEach(token => {
+        const call = stack[stack.length - 1];
+        const arg = call.args[call.args.length - 1];
+        if (token.type === TOK_TYPE_FUNCTION && token.subtype === TOK_SUBTYPE_START) {
+            const node = { token, start: token.offset, args: [{ start: token.offset + token.length, children: [] }] };
+            arg.children.push(node);
+            stack.push(node);
+        } else if (token.type === TOK_TYPE_FUNCTION && token.subtype === TOK_SUBTYPE_STOP && stack.length > 1) {
+            arg.end = token.offset;
+            call.end = token.offset + token.length;
+            stack.pop();
+        } else if (token.type === TOK_TYPE_ARGUMENT && stack.length > 1) {
+            arg.end = token.offset;
+            call.args.push({ start: token.offset + token.length, children: [] });
+        } else {
+            arg.children.push({ token, start: token.offset, end: token.offset + token.length });
+        }
+    });
+    return root.args[0];
+}
+
+/**
+ * Renders an argument span, copying the text between its nodes.
+ * @param {object} arg An argument from buildCallTree.
+ * @param {string} text The formula text the tree was built from.
+ * @param {Function} renderNode Called with each child node; returns its text.
+ * @returns {string} The rendered argument.
+ */
+export function renderArgument(arg, text, renderNode) {
+    let output = '';
+    let position = arg.start;
+    arg.children.forEach(node => {
+        output += text.slice(position, node.start) + renderNode(node);
+        position = node.end;
+    });
+    return output + text.slice(position, arg.end);
+}
+
+/**
+ * Renders a call with its name, brackets and separators as written.
+ * @param {object} node A call node from buildCallTree.
+ * @param {string} text The formula text the tree was built from.
+ * @param {Function} renderArg Called with each argument; returns its text.
+ * @returns {string} The rendered call.
+ */
+export function renderCallAsWritten(node, text, renderArg) {
+    let output = text.slice(node.start, node.args[0].start);
+    node.args.forEach((arg, index) => {
+        output += renderArg(arg);
+        const next = node.args[index + 1];
+        output += text.slice(arg.end, next ? next.start : node.end);
+    });
+    return output;
+}
+
+/**
+ * Returns the single leaf token of an argument, if that is all it holds.
+ * @param {object} arg An argument from buildCallTree.
+ * @returns {F_token|null} The token, or null.
+ */
+export function singleToken(arg) {
+    return arg.children.length === 1 && !arg.children[0].args ? arg.children[0].token : null;
+}
@@ -0,0 +1,193 @@
+/**
+ * The formula-beautifier command line. runCli takes the arguments and the
+ * file system and console as an `io` object, so it runs the same under Node
+ * (bin/formula-beautifier.mjs) and in the tests.
+ */
+import { formatFormula, minify } from './formatter.js';
+import { parseLocationMappings } from './mappings.js';
+import { convertSmartsheetFormat, convertSmartsheetFormula } from './smartsheet.js';
+import { getDiagnostics } from './tokenizer.js';
+
+export const USAGE = `Usage: formula-beautifier <command> [options] [file...]
+
+Commands:
+  beautify          Indent a formula, one argument per line
+  minify            Remove all optional whitespace
+  smartsheet        Convert a Smartsheet formula to a Google Sheets LET
+  appsheet-format   Convert {{placeholder}} templates to AppSheet syntax
+
+Reads each file, or stdin when no file (or -) is given.
+
+Options:
+  --eu                    Formulas use ; as the argument separator (not
+                          smartsheet, whose output always uses commas)
+  --indent <n>            Spaces per indent level (default 4)
+  --canonical             Also uppercase names, drop redundant parentheses and
+                          shorten numbers (minify)
+  --mappings <file>       Location mappings, .json or .csv (smartsheet)
+  --output-format <fmt>   beautify, minify or raw (smartsheet; default beautify)
+  --check                 Exit with 1 when a file is not already in output form
+  --write                 Rewrite the files in place instead of printing them
+  -h, --help              Show this help`;
+
+const COMMANDS = ['beautify', 'minify', 'smartsheet', 'appsheet-format'];
+const OUTPUT_FORMATS = ['beautify', 'minify', 'raw'];
+
+/**
+ * Reads the command line.
+ * @param {Array<string>} args The arguments after the program name.
+ * @returns {object} `{command, files, eu, indent, canonical, mappings, outputFormat, check, write, help}`.
+ * @throws {Error} For unknown commands or options and missing values.
+ */
+function parseArgs(args) {
+    const parsed = { files: [], eu: false, indent: 4, canonical: false, outputFormat: 'beautify', check: false, write: false, help: false };
+    const value = (index, option) => {
+        if (index >= args.length) throw new Error(`${option} needs a value`);
+        return args[index];
+    };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') {
+            parsed.help = true;
+        } else if (arg === '--eu') {
+            parsed.eu = true;
+        } else if (arg === '--canonical') {
+            parsed.canonical = true;
+        } else if (arg === '--check') {
+            parsed.check = true;
+        } else if (arg === '--write') {
+            parsed.write = true;
+        } else if (arg === '--indent') {
+            parsed.indent = Number(value(++i, arg));
+            if (!Number.isInteger(parsed.indent) || parsed.indent < 0) {
+                throw new Error('--indent must be a whole number of spaces');
+            }
+        } else if (arg === '--mappings') {
+            parsed.mappings = value(++i, arg);
+        } else if (arg === '--output-format') {
+            parsed.outputFormat = value(++i, arg);
+            if (!OUTPUT_FORMATS.includes(parsed.outputFormat)) {
+                throw new Error(`--output-format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+            }
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (!parsed.command) {
+            parsed.command = arg;
+        } else {
+            parsed.files.push(arg);
+        }
+    }
+    if (parsed.help) return parsed;
+    if (!parsed.command) throw new Error('Missing command');
+    if (!COMMANDS.includes(parsed.command)) throw new Error(`Unknown command '${parsed.command}'`);
+    if (parsed.write && (!parsed.files.length || parsed.files.includes('-'))) {
+        throw new Error('--write needs files to rewrite');
+    }
+    if (parsed.write && parsed.check) throw new Error('Use either --check or --write');
+    if (parsed.eu && parsed.command === 'smartsheet') {
+        throw new Error('--eu does not apply to smartsheet, which writes Google Sheets formulas with commas');
+    }
+    return parsed;
+}
+
+/**
+ * Runs the command over one input.
+ * @param {string} text The file contents.
+ * @param {object} options The parsed command line, with the loaded mappings.
+ * @returns {{output: string, warnings: Array<string>}} The result, without
+ *   a trailing line break.
+ * @throws {Error} When the formula has a syntax error.
+ */
+function processText(text, options) {
+    const input = text.trim();
+    const formatOptions = { tmplIndentTab: ' '.repeat(options.indent), isEu: options.eu };
+    if (options.command === 'appsheet-format') {
+        return { output: convertSmartsheetFormat(input), warnings: [] };
+    }
+    if (options.command === 'smartsheet') {
+        const result = convertSmartsheetFormula(input, options.locationMappings);
+        let output = result.formula;
+        if (options.outputFormat === 'beautify') {
+            output = formatFormula(output, { ...formatOptions, prefix: '' });
+        } else if (options.outputFormat === 'minify') {
+            output = minify(output, { prefix: '' });
+        }
+        return {
+            output,
+            warnings: [
+                ...result.unmappedFields.map(field => `no location mapping for ${field.startsWith('{') ? field : `[${field}]`}`),
+                ...result.warnings,
+            ],
+        };
+    }
+
+    const syntaxError = getDiagnostics(input, { isEu: options.eu }).find(diagnostic => diagnostic.severity === 'error');
+    if (syntaxError) {
+        throw new Error(`at position ${syntaxError.offset + 1}: ${syntaxError.message}`);
+    }
+    const output = options.command === 'beautify'
+        ? formatFormula(input, { ...formatOptions, prefix: '=' })
+        : minify(input, { prefix: '=', isEu: options.eu, canonical: options.canonical });
+    return { output, warnings: [] };
+}
+
+/**
+ * Runs the command line.
+ * @param {Array<string>} args The arguments after the program name.
+ * @param {object} io
+ * @param {function(string): string} io.readFile Reads a file as UTF-8.
+ * @param {function(string, string): void} io.writeFile Writes a file.
+ * @param {function(): string} io.readStdin Reads all of stdin.
+ * @param {function(string): void} io.stdout Writes to stdout.
+ * @param {function(string): void} io.stderr Writes to stderr.
+ * @returns {number} The exit code: 0 on success, 1 when --check finds
+ *   unformatted files, 2 for usage errors and files that can't be processed.
+ */
+export function runCli(args, io) {
+    let options;
+    try {
+        options = parseArgs(args);
+        if (options.help) {
+            io.stdout(`${USAGE}\n`);
+            return 0;
+        }
+        options.locationMappings = options.mappings
+            ? parseLocationMappings(io.readFile(options.mappings), /\.csv$/i.test(options.mappings) ? 'csv' : 'json')
+            : [];
+    } catch (error) {
+        io.stderr(`formula-beautifier: ${error.message}\n${args.length ? '' : `\n${USAGE}\n`}`);
+        return 2;
+    }
+
+    const files = options.files.length ? options.files : ['-'];
+    let exitCode = 0;
+    files.forEach(file => {
+        const label = file === '-' ? '<stdin>' : file;
+        let text;
+        let result;
+        try {
+            text = file === '-' ? io.readStdin() : io.readFile(file);
+            result = processText(text, options);
+        } catch (error) {
+            io.stderr(`${label}: ${error.message}\n`);
+            exitCode = 2;
+            return;
+        }
+        result.warnings.forEach(warning => io.stderr(`${label}: warning: ${warning}\n`));
+
+        const output = `${result.output}\n`;
+        // Line endings and a missing or doubled final line break don't count as unformatted
+        const formatted = text.replace(/\r\n/g, '\n').replace(/\n*$/, '\n') === output;
+        if (options.check) {
+            if (!formatted) {
+                io.stderr(`${label}: not formatted\n`);
+                exitCode = Math.max(exitCode, 1);
+            }
+        } else if (options.write) {
+            if (!formatted) io.writeFile(file, output);
+        } else {
+            io.stdout(output);
+        }
+    });
+    return exitCode;
+}
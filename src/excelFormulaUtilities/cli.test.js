@@ -0,0 +1,103 @@
+import { runCli } from './cli.js';
+
+// A file system and console kept in memory
+const createIo = (files = {}, stdin = '') => {
+    const io = {
+        files: { ...files },
+        out: '',
+        err: '',
+        readFile: (file) => {
+            if (!(file in io.files)) throw new Error(`ENOENT: no such file '${file}'`);
+            return io.files[file];
+        },
+        writeFile: (file, text) => { io.files[file] = text; },
+        readStdin: () => stdin,
+        stdout: (text) => { io.out += text; },
+        stderr: (text) => { io.err += text; },
+    };
+    return io;
+};
+
+describe('runCli', () => {
+    it('beautifies stdin with the given indent', () => {
+        const io = createIo({}, '=IF(A1,1,2)\n');
+        expect(runCli(['beautify', '--indent', '2'], io)).toBe(0);
+        expect(io.out).toBe('=IF(\n  A1,\n  1,\n  2\n)\n');
+    });
+
+    it('reads European formulas', () => {
+        const io = createIo({ 'a.txt': '=SUM( A1 ; B1 )' });
+        expect(runCli(['minify', '--eu', 'a.txt'], io)).toBe(0);
+        expect(io.out).toBe('=SUM(A1;B1)\n');
+    });
+
+    it('minifies to the canonical form with --canonical', () => {
+        const io = createIo({ 'a.txt': '=sum( (a1*b1), 0.50, true() )' });
+        expect(runCli(['minify', '--canonical', 'a.txt'], io)).toBe(0);
+        expect(io.out).toBe('=SUM(A1*B1,0.5,TRUE)\n');
+    });
+
+    it('checks files without changing them', () => {
+        const io = createIo({ 'ok.txt': '=SUM(A1,B1)\n', 'bad.txt': '=SUM( A1, B1 )\n' });
+        expect(runCli(['minify', '--check', 'ok.txt', 'bad.txt'], io)).toBe(1);
+        expect(io.err).toBe('bad.txt: not formatted\n');
+        expect(io.out).toBe('');
+        expect(io.files['bad.txt']).toBe('=SUM( A1, B1 )\n');
+    });
+
+    it('ignores line endings and the final line break when checking', () => {
+        const io = createIo({ 'bare.txt': '=SUM(A1,B1)', 'crlf.txt': '=SUM(A1,B1)\r\n', 'blank.txt': '=SUM(A1,B1)\n\n' });
+        expect(runCli(['minify', '--check', 'bare.txt', 'crlf.txt', 'blank.txt'], io)).toBe(0);
+        expect(io.err).toBe('');
+    });
+
+    it('rewrites files in place', () => {
+        const io = createIo({ 'a.txt': '=SUM( A1, B1 )' });
+        expect(runCli(['minify', '--write', 'a.txt'], io)).toBe(0);
+        expect(io.files['a.txt']).toBe('=SUM(A1,B1)\n');
+        expect(io.out).toBe('');
+    });
+
+    it('converts Smartsheet formulas with CSV mappings and reports unmapped fields', () => {
+        const io = createIo({ 'm.csv': 'field,location\nStatus,A2', 'f.txt': '=IF([Status]@row = "Done", [Owner]@row)' });
+        expect(runCli(['smartsheet', '--mappings', 'm.csv', '--output-format', 'minify', 'f.txt'], io)).toBe(0);
+        expect(io.out).toBe('LET(status,A2,IF(status="Done",[Owner]@row))\n');
+        expect(io.err).toBe('f.txt: warning: no location mapping for [Owner]\n');
+    });
+
+    it('converts templates to AppSheet syntax', () => {
+        const io = createIo({}, 'Hi {{name}}');
+        expect(runCli(['appsheet-format'], io)).toBe(0);
+        expect(io.out).toBe('Hi <<[name]>>\n');
+    });
+
+    it('reports syntax errors and missing files, and carries on', () => {
+        const io = createIo({ 'ok.txt': '=A1' });
+        expect(runCli(['beautify', 'missing.txt', 'ok.txt'], io)).toBe(2);
+        expect(io.err).toBe("missing.txt: ENOENT: no such file 'missing.txt'\n");
+        expect(io.out).toBe('=A1\n');
+
+        const broken = createIo({}, '=A1+');
+        expect(runCli(['minify'], broken)).toBe(2);
+        expect(broken.err).toBe("<stdin>: at position 4: Operator '+' is missing its right operand\n");
+    });
+
+    it.each([
+        [['format'], "Unknown command 'format'"],
+        [['beautify', '--indent'], '--indent needs a value'],
+        [['beautify', '--fast'], 'Unknown option --fast'],
+        [['smartsheet', '--output-format', 'pretty'], '--output-format must be one of beautify, minify, raw'],
+        [['beautify', '--write'], '--write needs files to rewrite'],
+        [['smartsheet', '--eu'], '--eu does not apply to smartsheet, which writes Google Sheets formulas with commas'],
+    ])('rejects %j', (args, message) => {
+        const io = createIo();
+        expect(runCli(args, io)).toBe(2);
+        expect(io.err).toBe(`formula-beautifier: ${message}\n`);
+    });
+
+    it('prints the usage', () => {
+        const io = createIo();
+        expect(runCli(['--help'], io)).toBe(0);
+        expect(io.out).toMatch(/^Usage: formula-beautifier <command>/);
+    });
+});
@@ -0,0 +1,495 @@
+/**
+ * Translates formulas into equivalent JavaScript or Python functions.
+ *
+ * The generated function takes a single `data` object holding the value of
+ * every referenced cell or range, keyed by the reference as written in the
+ * formula without `$` (e.g. data["A1"], data["Sheet1!B2:C10"]). Ranges are
+ * expected as arrays of rows. Spreadsheet functions are mapped onto a small
+ * `xl` runtime that is emitted alongside the function, containing only the
+ * helpers the formula needs.
+ */
+import { parseFormula, walkAst } from './parser.js';
+
+const INDENT = '    ';
+
+/**
+ * Runtime helpers per language. Each entry holds the member definition for
+ * the `xl` object (JavaScript) or class (Python) and the helpers it relies on.
+ */
+const RUNTIME = {
+    flatten: {
+        js: ['flatten: (values) => values.flat(Infinity),'],
+        py: [
+            '@staticmethod',
+            'def flatten(values):',
+            '    for value in values:',
+            '        if isinstance(value, (list, tuple)):',
+            '            yield from xl.flatten(value)',
+            '        else:',
+            '            yield value',
+        ],
+    },
+    numbers: {
+        requires: ['flatten'],
+        js: ['numbers: (values) => xl.flatten(values).filter((value) => typeof value === "number"),'],
+        py: [
+            '@staticmethod',
+            'def numbers(values):',
+            '    return [v for v in xl.flatten(values) if isinstance(v, (int, float)) and not isinstance(v, bool)]',
+        ],
+    },
+    text: {
+        js: ['text: (value) => (value === true ? "TRUE" : value === false ? "FALSE" : value == null ? "" : String(value)),'],
+        py: [
+            '@staticmethod',
+            'def text(value):',
+            '    if value is True or value is False:',
+            '        return "TRUE" if value else "FALSE"',
+            '    if value is None:',
+            '        return ""',
+            '    if isinstance(value, float) and value.is_integer():',
+            '        return str(int(value))',
+            '    return str(value)',
+        ],
+    },
+    error: {
+        js: ['error: (code) => { throw new Error(code); },'],
+        py: [
+            '@staticmethod',
+            'def error(code):',
+            '    raise ValueError(code)',
+        ],
+    },
+    IFERROR: {
+        js: [
+            'IFERROR: (compute, fallback) => {',
+            '    try {',
+            '        return compute();',
+            '    } catch (e) {',
+            '        return fallback;',
+            '    }',
+            '},',
+        ],
+        py: [
+            '@staticmethod',
+            'def IFERROR(compute, fallback):',
+            '    try:',
+            '        return compute()',
+            '    except Exception:',
+            '        return fallback',
+        ],
+    },
+    AND: {
+        requires: ['flatten'],
+        js: ['AND: (...values) => xl.flatten(values).every(Boolean),'],
+        py: ['@staticmethod', 'def AND(*values):', '    return all(xl.flatten(values))'],
+    },
+    OR: {
+        requires: ['flatten'],
+        js: ['OR: (...values) => xl.flatten(values).some(Boolean),'],
+        py: ['@staticmethod', 'def OR(*values):', '    return any(xl.flatten(values))'],
+    },
+    NOT: {
+        js: ['NOT: (value) => !value,'],
+        py: ['@staticmethod', 'def NOT(value):', '    return not value'],
+    },
+    SUM: {
+        requires: ['numbers'],
+        js: ['SUM: (...values) => xl.numbers(values).reduce((total, value) => total + value, 0),'],
+        py: ['@staticmethod', 'def SUM(*values):', '    return sum(xl.numbers(values))'],
+    },
+    AVERAGE: {
+        requires: ['numbers', 'error'],
+        js: [
+            'AVERAGE: (...values) => {',
+            '    const numbers = xl.numbers(values);',
+            '    return numbers.length ? numbers.reduce((total, value) => total + value, 0) / numbers.length : xl.error("#DIV/0!");',
+            '},',
+        ],
+        py: [
+            '@staticmethod',
+            'def AVERAGE(*values):',
+            '    numbers = xl.numbers(values)',
+            '    return sum(numbers) / len(numbers) if numbers else xl.error("#DIV/0!")',
+        ],
+    },
+    MIN: {
+        requires: ['numbers'],
+        js: ['MIN: (...values) => (xl.numbers(values).length ? Math.min(...xl.numbers(values)) : 0),'],
+        py: ['@staticmethod', 'def MIN(*values):', '    return min(xl.numbers(values), default=0)'],
+    },
+    MAX: {
+        requires: ['numbers'],
+        js: ['MAX: (...values) => (xl.numbers(values).length ? Math.max(...xl.numbers(values)) : 0),'],
+        py: ['@staticmethod', 'def MAX(*values):', '    return max(xl.numbers(values), default=0)'],
+    },
+    COUNT: {
+        requires: ['numbers'],
+        js: ['COUNT: (...values) => xl.numbers(values).length,'],
+        py: ['@staticmethod', 'def COUNT(*values):', '    return len(xl.numbers(values))'],
+    },
+    COUNTA: {
+        requires: ['flatten'],
+        js: ['COUNTA: (...values) => xl.flatten(values).filter((value) => value != null).length,'],
+        py: ['@staticmethod', 'def COUNTA(*values):', '    return len([v for v in xl.flatten(values) if v is not None])'],
+    },
+    ROUND: {
+        js: ['ROUND: (value, digits = 0) => Math.sign(value) * Number(Math.round(Number(Math.abs(value) + "e" + digits)) + "e" + -digits),'],
+        py: [
+            '@staticmethod',
+            'def ROUND(value, digits=0):',
+            '    from decimal import Decimal, ROUND_HALF_UP',
+            '    return float(Decimal(str(value)).quantize(Decimal(1).scaleb(-digits), rounding=ROUND_HALF_UP))',
+        ],
+    },
+    ROUNDUP: {
+        js: ['ROUNDUP: (value, digits = 0) => Math.sign(value) * Number(Math.ceil(Number(Math.abs(value) + "e" + digits)) + "e" + -digits),'],
+        py: [
+            '@staticmethod',
+            'def ROUNDUP(value, digits=0):',
+            '    from decimal import Decimal, ROUND_UP',
+            '    return float(Decimal(str(value)).quantize(Decimal(1).scaleb(-digits), rounding=ROUND_UP))',
+        ],
+    },
+    ROUNDDOWN: {
+        js: ['ROUNDDOWN: (value, digits = 0) => Math.sign(value) * Number(Math.floor(Number(Math.abs(value) + "e" + digits)) + "e" + -digits),'],
+        py: [
+            '@staticmethod',
+            'def ROUNDDOWN(value, digits=0):',
+            '    from decimal import Decimal, ROUND_DOWN',
+            '    return float(Decimal(str(value)).quantize(Decimal(1).scaleb(-digits), rounding=ROUND_DOWN))',
+        ],
+    },
+    ABS: {
+        js: ['ABS: (value) => Math.abs(value),'],
+        py: ['@staticmethod', 'def ABS(value):', '    return abs(value)'],
+    },
+    INT: {
+        js: ['INT: (value) => Math.floor(value),'],
+        py: ['@staticmethod', 'def INT(value):', '    import math', '    return math.floor(value)'],
+    },
+    MOD: {
+        js: ['MOD: (value, divisor) => value - divisor * Math.floor(value / divisor),'],
+        py: ['@staticmethod', 'def MOD(value, divisor):', '    return value % divisor'],
+    },
+    CONCAT: {
+        requires: ['flatten', 'text'],
+        js: ['CONCAT: (...values) => xl.flatten(values).map(xl.text).join(""),'],
+        py: ['@staticmethod', 'def CONCAT(*values):', '    return "".join(xl.text(v) for v in xl.flatten(values))'],
+    },
+    CONCATENATE: {
+        requires: ['CONCAT'],
+        js: ['CONCATENATE: (...values) => xl.CONCAT(...values),'],
+        py: ['@staticmethod', 'def CONCATENATE(*values):', '    return xl.CONCAT(*values)'],
+    },
+    LEN: {
+        requires: ['text'],
+        js: ['LEN: (value) => xl.text(value).length,'],
+        py: ['@staticmethod', 'def LEN(value):', '    return len(xl.text(value))'],
+    },
+    LEFT: {
+        requires: ['text'],
+        js: ['LEFT: (value, count = 1) => xl.text(value).slice(0, count),'],
+        py: ['@staticmethod', 'def LEFT(value, count=1):', '    return xl.text(value)[:count]'],
+    },
+    RIGHT: {
+        requires: ['text'],
+        js: ['RIGHT: (value, count = 1) => (count > 0 ? xl.text(value).slice(-count) : ""),'],
+        py: ['@staticmethod', 'def RIGHT(value, count=1):', '    return xl.text(value)[-count:] if count > 0 else ""'],
+    },
+    MID: {
+        requires: ['text'],
+        js: ['MID: (value, start, count) => xl.text(value).slice(start - 1, start - 1 + count),'],
+        py: ['@staticmethod', 'def MID(value, start, count):', '    return xl.text(value)[start - 1:start - 1 + count]'],
+    },
+    UPPER: {
+        requires: ['text'],
+        js: ['UPPER: (value) => xl.text(value).toUpperCase(),'],
+        py: ['@staticmethod', 'def UPPER(value):', '    return xl.text(value).upper()'],
+    },
+    LOWER: {
+        requires: ['text'],
+        js: ['LOWER: (value) => xl.text(value).toLowerCase(),'],
+        py: ['@staticmethod', 'def LOWER(value):', '    return xl.text(value).lower()'],
+    },
+    TRIM: {
+        requires: ['text'],
+        js: ['TRIM: (value) => xl.text(value).trim().replace(/ +/g, " "),'],
+        py: ['@staticmethod', 'def TRIM(value):', '    return " ".join(part for part in xl.text(value).split(" ") if part)'],
+    },
+    TEXT: {
+        js: [
+            '// Numeric formats only, e.g. "0", "0.00", "#,##0.00", "0%"',
+            'TEXT: (value, format) => {',
+            '    const percent = format.endsWith("%");',
+            '    const decimals = (format.split(".")[1] || "").replace(/[^0#]/g, "").length;',
+            '    const text = (percent ? value * 100 : value).toLocaleString("en-US", {',
+            '        minimumFractionDigits: decimals,',
+            '        maximumFractionDigits: decimals,',
+            '        useGrouping: format.includes(","),',
+            '    });',
+            '    return percent ? text + "%" : text;',
+            '},',
+        ],
+        py: [
+            '@staticmethod',
+            'def TEXT(value, format):',
+            '    # Numeric formats only, e.g. "0", "0.00", "#,##0.00", "0%"',
+            '    percent = format.endswith("%")',
+            '    decimals = len([c for c in (format.split(".")[1] if "." in format else "") if c in "0#"])',
+            '    grouping = "," if "," in format else ""',
+            '    text = f"{(value * 100 if percent else value):{grouping}.{decimals}f}"',
+            '    return text + "%" if percent else text',
+        ],
+    },
+    VLOOKUP: {
+        requires: ['error'],
+        js: [
+            'VLOOKUP: (value, table, column, approximate = true) => {',
+            '    const same = (a, b) => (typeof a === "string" && typeof b === "string" ? a.toLowerCase() === b.toLowerCase() : a === b);',
+            '    const row = approximate',
+            '        ? table.filter((candidate) => candidate[0] <= value).pop()',
+            '        : table.find((candidate) => same(candidate[0], value));',
+            '    return row ? row[column - 1] : xl.error("#N/A");',
+            '},',
+        ],
+        py: [
+            '@staticmethod',
+            'def VLOOKUP(value, table, column, approximate=True):',
+            '    def same(a, b):',
+            '        return a.lower() == b.lower() if isinstance(a, str) and isinstance(b, str) else a == b',
+            '    if approximate:',
+            '        rows = [candidate for candidate in table if candidate[0] <= value]',
+            '        row = rows[-1] if rows else None',
+            '    else:',
+            '        row = next((candidate for candidate in table if same(candidate[0], value)), None)',
+            '    return row[column - 1] if row else xl.error("#N/A")',
+        ],
+    },
+    ISBLANK: {
+        js: ['ISBLANK: (value) => value == null || value === "",'],
+        py: ['@staticmethod', 'def ISBLANK(value):', '    return value is None or value == ""'],
+    },
+    ISNUMBER: {
+        js: ['ISNUMBER: (value) => typeof value === "number",'],
+        py: ['@staticmethod', 'def ISNUMBER(value):', '    return isinstance(value, (int, float)) and not isinstance(value, bool)'],
+    },
+    TODAY: {
+        js: ['TODAY: () => new Date(new Date().toDateString()),'],
+        py: ['@staticmethod', 'def TODAY():', '    import datetime', '    return datetime.date.today()'],
+    },
+};
+
+// Functions compiled to language constructs rather than runtime calls
+const INLINE_FUNCTIONS = ['IF'];
+
+/**
+ * Names of the spreadsheet functions the code generator understands.
+ */
+export const SUPPORTED_CODE_FUNCTIONS = INLINE_FUNCTIONS
+    .concat(Object.keys(RUNTIME).filter(name => name === name.toUpperCase()))
+    .sort();
+
+const LANGUAGES = {
+    javascript: {
+        true: 'true',
+        false: 'false',
+        empty: 'undefined',
+        operators: { '=': '===', '<>': '!==', '^': '**' },
+        ternary: (condition, whenTrue, whenFalse) => `(${condition} ? ${whenTrue} : ${whenFalse})`,
+        lazy: (expression) => `() => ${expression}`,
+        lookup: (key) => `data[${key}]`,
+    },
+    python: {
+        true: 'True',
+        false: 'False',
+        empty: 'None',
+        operators: { '=': '==', '<>': '!=', '^': '**' },
+        ternary: (condition, whenTrue, whenFalse) => `(${whenTrue} if ${condition} else ${whenFalse})`,
+        lazy: (expression) => `lambda: ${expression}`,
+        // Missing cells read as blank (None), like empty cells in a sheet
+        lookup: (key) => `data.get(${key})`,
+    },
+};
+
+/**
+ * Translates a formula into a standalone JavaScript or Python function.
+ * @param {string} formula The formula to translate.
+ * @param {object} [options] Generator options.
+ * @param {string} [options.language='javascript'] Either 'javascript' or 'python'.
+ * @param {string} [options.functionName='formula'] Name of the generated function.
+ * @param {boolean} [options.isEu=false] Parse the formula with European separators.
+ * @returns {{code: string, references: Array<string>, unsupported: Array<string>}}
+ *   The generated source, the data keys it reads and the functions or
+ *   operators that have no translation (their calls are emitted as-is, with
+ *   stubs on xl that throw until they are replaced).
+ * @throws {Error} When the formula cannot be parsed or the language is unknown.
+ */
+export function convertFormulaToCode(formula, options = {}) {
+    const languageName = options.language || 'javascript';
+    const language = LANGUAGES[languageName];
+    if (!language) throw new Error(`Unknown language '${languageName}'`);
+    const functionName = options.functionName || 'formula';
+    const isPython = languageName === 'python';
+
+    const ast = parseFormula(formula, { isEu: options.isEu });
+    const references = [];
+    const unsupported = [];
+    const used = new Set();
+
+    walkAst(ast, node => {
+        if (node.type === 'Reference') {
+            const key = node.value.replace(/\$/g, '');
+            if (!references.includes(key)) references.push(key);
+        }
+    });
+
+    const noteUnsupported = (name) => {
+        if (!unsupported.includes(name)) unsupported.push(name);
+    };
+    // Unsupported functions still get a member on xl, so the code loads and fails only when called
+    const stubs = [];
+
+    // Operands of operators are parenthesised when they are operations themselves
+    const operand = (node) => {
+        const code = generate(node);
+        return ['Binary', 'Prefix'].includes(node.type) ? `(${code})` : code;
+    };
+
+    function generate(node) {
+        switch (node.type) {
+            case 'Number':
+                return node.raw.replace(',', '.');
+            case 'Text':
+                return JSON.stringify(node.value);
+            case 'Logical':
+                return node.value ? language.true : language.false;
+            case 'Error':
+                used.add('error');
+                return `xl.error(${JSON.stringify(node.value)})`;
+            case 'Reference':
+                return language.lookup(JSON.stringify(node.value.replace(/\$/g, '')));
+            case 'Empty':
+                return language.empty;
+            case 'Group':
+                return `(${generate(node.expression)})`;
+            case 'Array': {
+                const rows = node.rows.map(row => `[${row.map(generate).join(', ')}]`);
+                return `[${rows.join(', ')}]`;
+            }
+            case 'Prefix':
+                return `-${operand(node.operand)}`;
+            case 'Postfix':
+                return `(${operand(node.operand)} / 100)`;
+            case 'Binary':
+                if (node.operator === '&') {
+                    return generateConcatenation(node);
+                }
+                if (node.operator === ',' || node.operator === ' ' || node.operator === ':') {
+                    noteUnsupported(node.operator === ',' ? 'union operator (,)' : node.operator === ' ' ? 'intersection operator ( )' : 'range operator (:)');
+                }
+                return `${operand(node.left)} ${language.operators[node.operator] || node.operator} ${operand(node.right)}`;
+            case 'Function':
+                return generateCall(node);
+            default:
+                throw new Error(`Unknown node type '${node.type}'`);
+        }
+    }
+
+    // A&B&C becomes one string addition; text literals need no conversion
+    function generateConcatenation(node) {
+        const parts = [];
+        const collect = (n) => {
+            if (n.type === 'Binary' && n.operator === '&') {
+                collect(n.left);
+                collect(n.right);
+            } else if (n.type === 'Text') {
+                parts.push(generate(n));
+            } else {
+                used.add('text');
+                parts.push(`xl.text(${generate(n)})`);
+            }
+        };
+        collect(node);
+        return parts.join(' + ');
+    }
+
+    function generateCall(node) {
+        const name = node.name.toUpperCase().replace(/^_XLFN\./, '');
+        const args = node.arguments.map(generate);
+        if (name === 'IF') {
+            return language.ternary(args[0], args[1] || language.true, args.length > 2 ? args[2] : language.false);
+        }
+        if (name === 'IFERROR') {
+            used.add(name);
+            return `xl.IFERROR(${language.lazy(args[0])}, ${args[1]})`;
+        }
+        if (RUNTIME[name] && name === name.toUpperCase()) {
+            used.add(name);
+        } else {
+            noteUnsupported(name);
+            if (/^[A-Z_][A-Z0-9_]*$/.test(name) && !stubs.includes(name)) stubs.push(name);
+        }
+        return `xl.${name}(${args.join(', ')})`;
+    }
+
+    const body = ast ? generate(ast) : language.empty;
+
+    // Collect the runtime helpers in dependency order
+    const runtime = [];
+    const include = (name) => {
+        if (runtime.includes(name)) return;
+        (RUNTIME[name].requires || []).forEach(include);
+        runtime.push(name);
+    };
+    Array.from(used).sort().forEach(include);
+
+    const lines = [];
+    if (unsupported.length) {
+        const comment = isPython ? '#' : '//';
+        lines.push(`${comment} Unsupported: ${unsupported.join(', ')} - provide these on xl before calling ${functionName}`);
+    }
+    const source = formula.trim();
+    if (isPython) {
+        if (runtime.length || stubs.length) {
+            lines.push('class xl:');
+            const members = [
+                ...runtime.map(name => RUNTIME[name].py),
+                ...stubs.map(name => ['@staticmethod', `def ${name}(*args):`, `    raise NotImplementedError("${name} is not supported")`]),
+            ];
+            members.forEach((member, i) => {
+                if (i > 0) lines.push('');
+                member.forEach(line => lines.push(INDENT + line));
+            });
+            lines.push('', '');
+        }
+        const docSource = source.replace(/\\/g, '\\\\').replace(/"""/g, '\\"\\"\\"');
+        lines.push(`def ${functionName}(data):`);
+        lines.push(`${INDENT}"""Generated from: ${docSource}`);
+        if (references.length) {
+            lines.push('', `${INDENT}data: cell values keyed by reference: ${references.join(', ')}`);
+        }
+        lines.push(`${INDENT}"""`);
+        lines.push(`${INDENT}return ${body}`);
+    } else {
+        if (runtime.length || stubs.length) {
+            lines.push('const xl = {');
+            runtime.forEach(name => {
+                RUNTIME[name].js.forEach(line => lines.push(INDENT + line));
+            });
+            stubs.forEach(name => lines.push(`${INDENT}${name}: () => { throw new Error("${name} is not supported"); },`));
+            lines.push('};', '');
+        }
+        lines.push('/**');
+        lines.push(` * Generated from: ${source.replace(/\*\//g, '*\\/')}`);
+        if (references.length) {
+            lines.push(` * @param {object} data Cell values keyed by reference: ${references.join(', ')}`);
+        }
+        lines.push(' */');
+        lines.push(`function ${functionName}(data) {`);
+        lines.push(`${INDENT}return ${body};`);
+        lines.push('}');
+    }
+
+    return { code: lines.join('\n') + '\n', references, unsupported };
+}
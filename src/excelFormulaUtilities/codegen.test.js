@@ -0,0 +1,130 @@
+import vm from 'vm';
+import { convertFormulaToCode, SUPPORTED_CODE_FUNCTIONS } from './codegen.js';
+
+// Runs the generated JavaScript in a fresh context and returns the formula function
+const compile = (formula, options) => {
+    const { code } = convertFormulaToCode(formula, options);
+    return vm.runInNewContext(`${code}\nformula;`);
+};
+
+describe('convertFormulaToCode (javascript)', () => {
+    it('reads references from the data object', () => {
+        const result = convertFormulaToCode('=$A$1+B2*2');
+        expect(result.references).toEqual(['A1', 'B2']);
+        expect(result.code).toContain('return data["A1"] + (data["B2"] * 2);');
+        expect(compile('=$A$1+B2*2')({ A1: 1, B2: 3 })).toBe(7);
+    });
+
+    it('only emits the runtime helpers that are used', () => {
+        expect(convertFormulaToCode('=A1*2').code).not.toContain('const xl');
+        const { code } = convertFormulaToCode('=SUM(A1:A3)');
+        expect(code).toContain('SUM: (...values)');
+        expect(code).toContain('flatten:');
+        expect(code).not.toContain('ROUND:');
+    });
+
+    it.each([
+        ['=IF(A1>0,"pos","neg")', { A1: -1 }, 'neg'],
+        ['=IF(A1="x",1)', { A1: 'y' }, false],
+        ['=AND(A1,OR(FALSE,TRUE),NOT(FALSE))', { A1: true }, true],
+        ['=ROUND(A1,2)', { A1: 1.005 }, 1.01],
+        ['=ROUND(-2.5,0)', {}, -3],
+        ['=ROUNDUP(1.21,1)+ROUNDDOWN(1.29,1)', {}, 2.5],
+        ['=SUM(A1:B2,5)', { 'A1:B2': [[1, 'x'], [2, null]] }, 8],
+        ['=AVERAGE(2,4)+MIN(3,1)+MAX(3,1)+COUNT(1,"a")+COUNTA(1,"a")', {}, 10],
+        ['=A1&" is "&TRUE', { A1: 5 }, '5 is TRUE'],
+        ['=CONCATENATE(LEFT(A1,2),MID(A1,3,2),RIGHT(A1))', { A1: 'abcdef' }, 'abcdf'],
+        ['=TRIM(UPPER(A1))&LEN(A1)', { A1: ' a  b ' }, 'A B6'],
+        ['=TEXT(A1,"#,##0.00")&" / "&TEXT(0.256,"0%")', { A1: 1234.5 }, '1,234.50 / 26%'],
+        ['=VLOOKUP("b",A1:B2,2,FALSE)', { 'A1:B2': [['a', 1], ['B', 2]] }, 2],
+        ['=VLOOKUP(15,A1:B2,2)', { 'A1:B2': [[10, 'ten'], [20, 'twenty']] }, 'ten'],
+        ['=IFERROR(VLOOKUP("z",A1:B1,2,FALSE),"none")', { 'A1:B1': [['a', 1]] }, 'none'],
+        ['=IFERROR(#N/A,0)', {}, 0],
+        ['=-2^2+50%', {}, 4.5],
+        ['=MOD(-3,2)+INT(-1.5)+ABS(-2)', {}, 1],
+        ['=ISBLANK(A1)&ISNUMBER(A2)', { A2: 1 }, 'TRUETRUE'],
+    ])('%s', (formula, data, expected) => {
+        expect(compile(formula)(data)).toEqual(expected);
+    });
+
+    it('honours isEu and the function name', () => {
+        const { code } = convertFormulaToCode('=ROUND(A1;2)', { isEu: true, functionName: 'price' });
+        expect(code).toContain('function price(data) {');
+        expect(code).toContain('return xl.ROUND(data["A1"], 2);');
+    });
+
+    it('reports unsupported functions and operators', () => {
+        const result = convertFormulaToCode('=XLOOKUP(A1,B1:B9,C1:C9)+SUM(A1:B5 B2:C3)');
+        expect(result.unsupported).toEqual(['XLOOKUP', 'intersection operator ( )']);
+        expect(result.code.split('\n')[0]).toBe('// Unsupported: XLOOKUP, intersection operator ( ) - provide these on xl before calling formula');
+    });
+
+    it('declares stubs for unsupported functions, so the code loads and fails only when called', () => {
+        const { code } = convertFormulaToCode('=FOO(A1)');
+        expect(code).toContain('const xl = {\n    FOO: () => { throw new Error("FOO is not supported"); },\n};');
+        expect(() => compile('=FOO(A1)')({ A1: 1 })).toThrow('FOO is not supported');
+        expect(compile('=IF(A1,1,FOO(A1))')({ A1: true })).toBe(1);
+    });
+
+    it('does not let the formula close the doc comment', () => {
+        expect(convertFormulaToCode('="*/"&A1').code).toContain('Generated from: ="*\\/"&A1');
+    });
+});
+
+describe('convertFormulaToCode (python)', () => {
+    it('generates a function with a runtime class', () => {
+        expect(convertFormulaToCode('=IF(A1>0,ROUND(A1,2),"")', { language: 'python' }).code).toBe([
+            'class xl:',
+            '    @staticmethod',
+            '    def ROUND(value, digits=0):',
+            '        from decimal import Decimal, ROUND_HALF_UP',
+            '        return float(Decimal(str(value)).quantize(Decimal(1).scaleb(-digits), rounding=ROUND_HALF_UP))',
+            '',
+            '',
+            'def formula(data):',
+            '    """Generated from: =IF(A1>0,ROUND(A1,2),"")',
+            '',
+            '    data: cell values keyed by reference: A1',
+            '    """',
+            '    return (xl.ROUND(data.get("A1"), 2) if data.get("A1") > 0 else "")',
+            '',
+        ].join('\n'));
+    });
+
+    it('uses Python literals and operators', () => {
+        const { code } = convertFormulaToCode('=IFERROR(A1<>TRUE,FALSE)&2^3', { language: 'python' });
+        expect(code).toContain('return xl.text(xl.IFERROR(lambda: data.get("A1") != True, False)) + xl.text(2 ** 3)');
+    });
+
+    it('declares stubs for unsupported functions', () => {
+        expect(convertFormulaToCode('=FOO(A1)', { language: 'python' }).code).toBe([
+            '# Unsupported: FOO - provide these on xl before calling formula',
+            'class xl:',
+            '    @staticmethod',
+            '    def FOO(*args):',
+            '        raise NotImplementedError("FOO is not supported")',
+            '',
+            '',
+            'def formula(data):',
+            '    """Generated from: =FOO(A1)',
+            '',
+            '    data: cell values keyed by reference: A1',
+            '    """',
+            '    return xl.FOO(data.get("A1"))',
+            '',
+        ].join('\n'));
+    });
+
+    it('escapes the formula inside the docstring', () => {
+        expect(convertFormulaToCode('="""\\"', { language: 'python' }).code).toContain('Generated from: =\\"\\"\\"\\\\"\n');
+    });
+});
+
+it('lists the supported functions', () => {
+    expect(SUPPORTED_CODE_FUNCTIONS).toEqual(expect.arrayContaining(['IF', 'IFERROR', 'VLOOKUP', 'TEXT', 'CONCAT']));
+    expect(SUPPORTED_CODE_FUNCTIONS).not.toContain('flatten');
+});
+
+it('rejects unknown languages', () => {
+    expect(() => convertFormulaToCode('=1', { language: 'cobol' })).toThrow("Unknown language 'cobol'");
+});
@@ -0,0 +1,176 @@
+/**
+ * Canonical minification: rewrites a formula to the shortest spelling with
+ * the same meaning, for contexts with formula length limits (Smartsheet,
+ * data validation, conditional formatting).
+ *
+ * Unlike minify, which only drops whitespace, the formula is parsed and
+ * printed back from its syntax tree, so names, numbers and parentheses are
+ * normalized as well. Unary plus (the `=+A1` convention) is already dropped
+ * by the tokenizer.
+ */
+import { translateFunctionName } from './functionNames.js';
+import { INFIX_PRECEDENCE, POSTFIX_PRECEDENCE, PREFIX_PRECEDENCE, parseFormula, printFormula } from './parser.js';
+
+/**
+ * Options of compactFormula, also accepted by minify together with
+ * `canonical: true`.
+ */
+export const defaultCompactOptions = {
+    uppercase: true,
+    removeParentheses: true,
+    normalizeNumbers: true,
+    collapseLogicalCalls: true,
+    translateFunctions: null,
+    prefix: '=',
+    isEu: false,
+};
+
+/**
+ * Writes a number literal without redundant zeros and with the shortest
+ * exponent: 0.50 → 0.5, 007 → 7, 1E+03 → 1E3, 2.0E0 → 2. A single zero
+ * before the decimal point is kept as written (.5 stays .5, 0.5 stays 0.5),
+ * so the literal never gets longer.
+ * @param {string} raw The literal as written, with either decimal separator.
+ * @returns {string} The literal, with '.' as the decimal separator.
+ */
+export function normalizeNumber(raw) {
+    const match = /^(\d*)(?:[.,](\d*))?(?:E([+-]?)(\d+))?$/i.exec(raw);
+    if (!match) return raw;
+    const [, whole, fraction = '', sign, exponent = ''] = match;
+    const decimals = fraction.replace(/0+$/, '');
+    const integer = whole.replace(/^0+/, '') || (decimals && !whole ? '' : '0');
+    let text = integer + (decimals ? `.${decimals}` : '');
+    const power = exponent.replace(/^0+/, '');
+    if (power && text !== '0') text += `E${sign === '-' ? '-' : ''}${power}`;
+    return text;
+}
+
+/**
+ * Uppercases a reference, leaving quoted sheet names and the bracketed parts
+ * of structured references and workbook names as written.
+ * @param {string} reference The reference, e.g. "'My Sheet'!a1" or 'Table1[Col]'.
+ * @returns {string} The uppercased reference.
+ */
+function uppercaseReference(reference) {
+    return reference.replace(/'(?:[^']|'')*'|\[[^\]]*\]|[^'[]+/g, part => (/^['[]/.test(part) ? part : part.toUpperCase()));
+}
+
+const isUnion = (node) => node.type === 'Binary' && node.operator === ',';
+
+/**
+ * Binding power of a node when it is the operand of an operator; calls,
+ * literals and parenthesised subexpressions never need parentheses.
+ * @param {object} node The node.
+ * @returns {number} The precedence.
+ */
+function precedence(node) {
+    switch (node.type) {
+        case 'Binary': return INFIX_PRECEDENCE[node.operator];
+        case 'Prefix': return PREFIX_PRECEDENCE;
+        case 'Postfix': return POSTFIX_PRECEDENCE;
+        default: return Infinity;
+    }
+}
+
+/**
+ * Puts parentheses back into a tree without Group nodes, only where the
+ * operator precedence needs them. Unions are always parenthesised, since
+ * their commas would otherwise read as argument separators.
+ * @param {object} node The node.
+ * @returns {object} The node, with Group nodes where needed.
+ */
+function parenthesize(node) {
+    const wrap = (child, needed) => {
+        const inner = parenthesize(child);
+        return needed || isUnion(child) ? { type: 'Group', expression: inner } : inner;
+    };
+    switch (node.type) {
+        case 'Function':
+            return { ...node, arguments: node.arguments.map(arg => wrap(arg, false)) };
+        case 'Prefix':
+            return { ...node, operand: wrap(node.operand, precedence(node.operand) < PREFIX_PRECEDENCE) };
+        case 'Postfix':
+            return { ...node, operand: wrap(node.operand, precedence(node.operand) < POSTFIX_PRECEDENCE) };
+        case 'Binary': {
+            const binding = INFIX_PRECEDENCE[node.operator];
+            return {
+                ...node,
+                // A union chain (A1,B1,C1) shares one pair of parentheses
+                left: isUnion(node) && isUnion(node.left) ? parenthesize(node.left) : wrap(node.left, precedence(node.left) < binding),
+                // All operators are left-associative, so an equal operator on the right keeps its parentheses
+                right: wrap(node.right, precedence(node.right) <= binding),
+            };
+        }
+        default:
+            return node;
+    }
+}
+
+/**
+ * Rewrites a formula to its canonical compact form.
+ * @param {string} formula The formula, with or without the leading '='.
+ * @param {object} [options] Options; see defaultCompactOptions.
+ * @param {boolean} [options.uppercase=true] Uppercase function names,
+ *   references and TRUE/FALSE.
+ * @param {boolean} [options.removeParentheses=true] Drop parentheses that
+ *   operator precedence makes redundant, as in `=(A1*B1)+(C1)`.
+ * @param {boolean} [options.normalizeNumbers=true] Write numbers without
+ *   redundant zeros or exponent signs (see normalizeNumber).
+ * @param {boolean} [options.collapseLogicalCalls=true] Write TRUE() and
+ *   FALSE() as the TRUE and FALSE literals.
+ * @returns {{formula: string, originalLength: number, length: number, saved: number}}
+ *   The compact formula, the lengths of the input and the output, and the
+ *   number of characters saved.
+ * @throws {Error} When the formula does not parse.
+ */
+export function compactFormula(formula, options) {
+    options = { ...defaultCompactOptions, ...options };
+    const translate = options.translateFunctions;
+    const name = (text) => {
+        const translated = translate ? translateFunctionName(text, translate.from, translate.to) : text;
+        return options.uppercase ? translated.toUpperCase() : translated;
+    };
+    const english = (text) => (translate ? translateFunctionName(text, translate.from, 'en') : text).toUpperCase();
+
+    const canonical = (node) => {
+        switch (node.type) {
+            case 'Number':
+                return options.normalizeNumbers ? { ...node, raw: normalizeNumber(node.raw) } : node;
+            case 'Logical':
+                return { ...node, raw: name(node.raw) };
+            case 'Reference':
+                // Localized TRUE/FALSE written without parentheses read as references
+                if (translate && ['TRUE', 'FALSE'].includes(english(node.value))) {
+                    return { type: 'Logical', value: english(node.value) === 'TRUE', raw: name(node.value) };
+                }
+                return options.uppercase ? { ...node, value: uppercaseReference(node.value) } : node;
+            case 'Function':
+                if (options.collapseLogicalCalls && !node.arguments.length && ['TRUE', 'FALSE'].includes(english(node.name))) {
+                    return { type: 'Logical', value: english(node.name) === 'TRUE', raw: name(node.name) };
+                }
+                return { ...node, name: name(node.name), arguments: node.arguments.map(canonical) };
+            case 'Array':
+                return { ...node, rows: node.rows.map(row => row.map(canonical)) };
+            case 'Group':
+                return options.removeParentheses ? canonical(node.expression) : { ...node, expression: canonical(node.expression) };
+            case 'Prefix':
+            case 'Postfix':
+                return { ...node, operand: canonical(node.operand) };
+            case 'Binary':
+                return { ...node, left: canonical(node.left), right: canonical(node.right) };
+            default:
+                return node;
+        }
+    };
+
+    const ast = parseFormula(formula, { isEu: options.isEu });
+    let result = options.prefix;
+    if (ast) {
+        let tree = canonical(ast);
+        if (options.removeParentheses) {
+            tree = isUnion(tree) ? { type: 'Group', expression: parenthesize(tree) } : parenthesize(tree);
+        }
+        result = printFormula(tree, options);
+    }
+    return { formula: result, originalLength: formula.length, length: result.length, saved: formula.length - result.length };
+}
@@ -0,0 +1,112 @@
+import { compactFormula, normalizeNumber } from './compact.js';
+import { minify } from './formatter.js';
+import { parseFormula } from './parser.js';
+
+describe('normalizeNumber', () => {
+    it.each([
+        ['0.50', '0.5'],
+        ['007.100', '7.1'],
+        ['.5', '.5'],
+        ['.50', '.5'],
+        ['00.5', '0.5'],
+        ['.0', '0'],
+        ['5.', '5'],
+        ['1E+03', '1E3'],
+        ['2.50e-007', '2.5E-7'],
+        ['2.0E0', '2'],
+        ['0E+5', '0'],
+        ['1,50', '1.5'],
+    ])('writes %s as %s', (raw, expected) => {
+        expect(normalizeNumber(raw)).toBe(expected);
+    });
+});
+
+describe('compactFormula', () => {
+    it('uppercases names and references but not quoted sheets or table columns', () => {
+        expect(compactFormula("=vlookup(a1,'my sheet'!a:d,4,false)+sum(table1[[#This Row],[qty]],sheet2!b$2)").formula)
+            .toBe("=VLOOKUP(A1,'my sheet'!A:D,4,FALSE)+SUM(TABLE1[[#This Row],[qty]],SHEET2!B$2)");
+    });
+
+    it('drops the parentheses that precedence makes redundant', () => {
+        expect(compactFormula('=((A1*B1))+(C1)-(-D1)').formula).toBe('=A1*B1+C1--D1');
+        expect(compactFormula('=(A1-B1)-(C1-D1)').formula).toBe('=A1-B1-(C1-D1)');
+        expect(compactFormula('=-(A1+B1)*(2^3)%').formula).toBe('=-(A1+B1)*(2^3)%');
+        expect(compactFormula('=(-2)^2').formula).toBe('=-2^2');
+        expect(compactFormula('=IF((A1>0),("yes"),"no")').formula).toBe('=IF(A1>0,"yes","no")');
+    });
+
+    it('keeps the parentheses around unions', () => {
+        expect(compactFormula('=SUM(((A1,B1),C1))').formula).toBe('=SUM((A1,B1,C1))');
+        expect(compactFormula('=SUM((A1,(B1,C1)))').formula).toBe('=SUM((A1,(B1,C1)))');
+        expect(compactFormula('=((A1:A3,C1:C3))').formula).toBe('=(A1:A3,C1:C3)');
+    });
+
+    it('normalizes numbers, also in arrays and European formulas', () => {
+        expect(compactFormula('=ROUND(A1*1.50,02)+{0.50,1E+03}').formula).toBe('=ROUND(A1*1.5,2)+{0.5,1E3}');
+        expect(compactFormula('=SUMME(A1;0,50;(2))', { isEu: true }).formula).toBe('=SUMME(A1;0,5;2)');
+    });
+
+    it('collapses TRUE() and FALSE() and drops the =+ prefix', () => {
+        expect(compactFormula('=+IF(true(),FALSE(),true)').formula).toBe('=IF(TRUE,FALSE,TRUE)');
+        expect(compactFormula('=WENN(WAHR();1;2)', { isEu: true, translateFunctions: { from: 'de', to: 'en' } }).formula)
+            .toBe('=IF(TRUE;1;2)');
+    });
+
+    it('translates localized TRUE and FALSE literals', () => {
+        const translateFunctions = { from: 'de', to: 'en' };
+        expect(compactFormula('=WENN(A1>0;SUMME(B1;B2);WAHR)', { isEu: true, translateFunctions }).formula)
+            .toBe('=IF(A1>0;SUM(B1;B2);TRUE)');
+        expect(compactFormula('=UND(falsch;A1)', { isEu: true, translateFunctions, uppercase: false }).formula).toBe('=AND(FALSE;A1)');
+    });
+
+    it('applies only the enabled options', () => {
+        const formula = '=sum((a1),0.50,true())';
+        expect(compactFormula(formula, { uppercase: false }).formula).toBe('=sum(a1,0.5,true)');
+        expect(compactFormula(formula, { removeParentheses: false }).formula).toBe('=SUM((A1),0.5,TRUE)');
+        expect(compactFormula(formula, { normalizeNumbers: false }).formula).toBe('=SUM(A1,0.50,TRUE)');
+        expect(compactFormula(formula, { collapseLogicalCalls: false }).formula).toBe('=SUM(A1,0.5,TRUE())');
+    });
+
+    it('reports the characters saved', () => {
+        expect(compactFormula('= SUM( (A1), 0.50 )')).toEqual({ formula: '=SUM(A1,0.5)', originalLength: 19, length: 12, saved: 7 });
+        expect(compactFormula('', { prefix: '=' })).toEqual({ formula: '=', originalLength: 0, length: 1, saved: -1 });
+    });
+
+    it('never makes a number longer', () => {
+        expect(compactFormula('=.5*A1')).toEqual({ formula: '=.5*A1', originalLength: 6, length: 6, saved: 0 });
+        expect(compactFormula('=0.50*A1')).toEqual({ formula: '=0.5*A1', originalLength: 8, length: 7, saved: 1 });
+    });
+
+    it('keeps the meaning of the formula', () => {
+        [
+            '=A1-(B1-C1)*(D1/(E1*F1))',
+            '=(A1&B1)&(C1&D1)',
+            '=2^(3^2)',
+            '=((A1:B2 B1:C3))',
+            '=-(A1%)',
+            '=(A1=1)=(B1=2)',
+        ].forEach(formula => {
+            const compact = compactFormula(formula, { uppercase: false, normalizeNumbers: false }).formula;
+            expect(compactFormula(compact).formula).toBe(compact);
+            expect(minify(compact, { canonical: true })).toBe(compact);
+            expect(compact.length).toBeLessThanOrEqual(formula.length);
+            // Same tree once the parentheses are ignored
+            const strip = (text) => JSON.stringify(parseFormula(text), (key, value) => {
+                while (value && value.type === 'Group') value = value.expression;
+                return value;
+            });
+            expect(strip(compact)).toBe(strip(formula));
+        });
+    });
+
+    it('throws on formulas that do not parse', () => {
+        expect(() => compactFormula('=SUM(A1')).toThrow();
+    });
+});
+
+describe('minify with canonical', () => {
+    it('falls back to removing whitespace when the formula does not parse', () => {
+        expect(minify('=sum( a1 , (2) ', { canonical: true })).toBe('=sum(a1,(2))');
+        expect(minify('=sum( (a1) )', { canonical: true })).toBe('=SUM(A1)');
+    });
+});
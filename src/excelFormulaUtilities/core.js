@@ -0,0 +1,41 @@
+/**
+ * Small helpers shared across the formula utilities modules.
+ */
+
+/**
+ * A simple extend function to merge objects, similar to jQuery.extend.
+ * @param {object} target The object to copy properties onto.
+ * @param {...object} sources The objects whose own properties are copied.
+ * @returns {object} The target object.
+ */
+export function extend(target, ...sources) {
+    for (const source of sources) {
+        for (const key in source) {
+            if (Object.prototype.hasOwnProperty.call(source, key)) {
+                target[key] = source[key];
+            }
+        }
+    }
+    return target;
+}
+
+/**
+ * Formats a string by replacing placeholders like {0}, {1}.
+ * @param {string} str The template string.
+ * @param {...*} args The values to substitute.
+ * @returns {string} The formatted string.
+ */
+export function formatStr(str, ...args) {
+    return str.replace(/{(\d+)}/g, function(match, number) {
+        return typeof args[number] != 'undefined' ? args[number] : match;
+    });
+}
+
+/**
+ * Trims whitespace from both ends of a string.
+ * @param {string} text The text to trim.
+ * @returns {string} The trimmed text.
+ */
+export function trim(text) {
+    return (text || "").replace(/^\s+|\s+$/g, "");
+}
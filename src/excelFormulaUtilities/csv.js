@@ -0,0 +1,89 @@
+/**
+ * CSV reading and writing shared by the location mappings and batch files.
+ */
+
+/**
+ * Parse CSV line with proper quote handling. Unquoted values are trimmed;
+ * quoted values are kept exactly as written between the quotes.
+ * @param {string} line A single CSV line.
+ * @param {string} [delimiter=','] The field separator, e.g. a tab for TSV.
+ * @returns {Array<string>} The field values.
+ */
+export function parseCsvLine(line, delimiter = ',') {
+    const result = [];
+    let current = '';
+    let inQuotes = false;
+    // Length of the quoted part of current, or -1 for an unquoted value
+    let quotedLength = -1;
+    let i = 0;
+
+    const endField = () => {
+        result.push(quotedLength < 0 ? current.trim() : current.slice(0, quotedLength) + current.slice(quotedLength).trim());
+        current = '';
+        quotedLength = -1;
+    };
+
+    while (i < line.length) {
+        const char = line[i];
+
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                // Escaped quote
+                current += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                inQuotes = false;
+                quotedLength = current.length;
+            } else {
+                current += char;
+            }
+        } else if (char === '"' && quotedLength < 0 && !current.trim()) {
+            // Opening quote; spaces before it are not part of the value
+            inQuotes = true;
+            current = '';
+        } else if (char === delimiter) {
+            endField();
+        } else {
+            current += char;
+        }
+        i++;
+    }
+
+    // Add the last field
+    endField();
+    return result;
+}
+
+/**
+ * Splits CSV text into records, keeping line breaks inside quoted values.
+ * @param {string} text The CSV text.
+ * @returns {Array<string>} One string per record, without the line break.
+ */
+export function splitCsvRecords(text) {
+    const records = [];
+    let start = 0;
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (text[i] === '\n' && !inQuotes) {
+            records.push(text.slice(start, i).replace(/\r$/, ''));
+            start = i + 1;
+        }
+    }
+    records.push(text.slice(start));
+    return records;
+}
+
+/**
+ * Quotes a CSV value when it contains a comma, quote or line break, or
+ * starts or ends with spaces that parseCsvLine would otherwise trim.
+ * @param {string} value The raw value.
+ * @returns {string} The value as it should appear in a CSV cell.
+ */
+export function formatCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,35 @@
+import { formatCsvValue, parseCsvLine, splitCsvRecords } from './csv.js';
+
+describe('parseCsvLine', () => {
+    it('trims unquoted values', () => {
+        expect(parseCsvLine(' a , b ,c')).toEqual(['a', 'b', 'c']);
+    });
+
+    it('keeps quoted values as written, with their spaces and quotes', () => {
+        expect(parseCsvLine('" a ", "say ""hi""" ,"x,y",""')).toEqual([' a ', 'say "hi"', 'x,y', '']);
+        expect(parseCsvLine('"""quoted"""')).toEqual(['"quoted"']);
+    });
+
+    it('reads quotes inside unquoted values literally', () => {
+        expect(parseCsvLine('5" pipe,b')).toEqual(['5" pipe', 'b']);
+    });
+
+    it('splits on the given delimiter', () => {
+        expect(parseCsvLine('a\t"b\tc"', '\t')).toEqual(['a', 'b\tc']);
+    });
+});
+
+describe('formatCsvValue', () => {
+    it.each([
+        ' leading and trailing ',
+        'say "hi"',
+        '"quoted"',
+        'a, b',
+        'two\nlines',
+        '',
+        'plain',
+    ])('round-trips %j through parseCsvLine', (value) => {
+        const line = [value, 'next'].map(formatCsvValue).join(',');
+        expect(parseCsvLine(splitCsvRecords(line).join('\n'))).toEqual([value, 'next']);
+    });
+});
@@ -0,0 +1,379 @@
+/**
+ * Template-driven formatting of token streams (the "beautifier").
+ */
+import { compactFormula } from './compact.js';
+import { extend, trim } from './core.js';
+import { layoutFormula } from './layout.js';
+import { INFIX_PRECEDENCE, parseFormula } from './parser.js';
+import { getTokens } from './tokenizer.js';
+import { translateTokens } from './functionNames.js';
+import {
+    TOK_TYPE_OPERAND,
+    TOK_TYPE_FUNCTION,
+    TOK_TYPE_SUBEXPR,
+    TOK_TYPE_ARGUMENT,
+    TOK_TYPE_OP_IN,
+    TOK_TYPE_OP_PRE,
+    TOK_TYPE_OP_POST,
+    TOK_SUBTYPE_START,
+    TOK_SUBTYPE_STOP,
+    TOK_SUBTYPE_TEXT,
+    TOK_SUBTYPE_NUMBER,
+    TOK_SUBTYPE_LOGICAL,
+    TOK_SUBTYPE_ERROR,
+    TOK_SUBTYPE_RANGE,
+    TOK_SUBTYPE_INTERSECT,
+} from './tokens.js';
+
+/**
+ * Default templates used by formatFormula: one argument per line, nested
+ * calls indented by tmplIndentTab. Templates may use the placeholders
+ * {{token}}, {{autoindent}}, {{autolinebreak}} and {{depth}} (the nesting
+ * depth, taken modulo depthCycle when that is set). Separators are the
+ * {{token}} of argument tokens, so European formulas keep their `;`, and
+ * text tokens arrive with their quotes doubled again. Array constants are
+ * written on one line whatever the templates. Set translateFunctions
+ * to `{ from, to }` (ids from FUNCTION_NAME_LOCALES) to translate function
+ * names and TRUE/FALSE literals while formatting. Set breakOperatorChains
+ * to break operator chains wider than maxWidth at their operators, placed
+ * and indented as operatorPosition and operatorIndent say (the same options
+ * as in the smart layout). Set layout to 'smart' to
+ * keep calls and operator chains on one line when they fit instead (see
+ * layoutFormula for its options); the templates and customTokenRender are
+ * not used then, but renderToken is, and it also renders the prefix of the
+ * template layout.
+ */
+export const defaultFormatOptions = {
+    tmplFunctionStart: '{{autoindent}}{{token}}(\n',
+    tmplFunctionStop: '\n{{autoindent}})',
+    tmplOperandError: '{{autoindent}}{{token}}',
+    tmplOperandRange: '{{autoindent}}{{token}}',
+    tmplLogical: '{{token}}',
+    tmplOperandLogical: '{{autoindent}}{{token}}',
+    tmplOperandNumber: '{{autoindent}}{{token}}',
+    tmplOperandText: '{{autoindent}}"{{token}}"',
+    tmplArgument: '{{token}}\n',
+    tmplOperandOperatorInfix: ' {{token}} ',
+    tmplOperatorIntersect: ' ',
+    tmplOperatorPrefix: '{{autoindent}}{{token}}',
+    tmplOperatorPostfix: '{{token}}',
+    tmplArrayStart: '{{autoindent}}{',
+    tmplArrayStop: '}',
+    tmplArraySeparator: '{{token}}',
+    tmplSubexpressionStart: '{{autoindent}}(\n',
+    tmplSubexpressionStop: '\n{{autoindent}})',
+    tmplIndentTab: '    ',
+    tmplIndentSpace: ' ',
+    newLine: '\n',
+    customTokenRender: null,
+    renderToken: null,
+    depthCycle: 0,
+    translateFunctions: null,
+    breakOperatorChains: false,
+    maxWidth: 80,
+    operatorPosition: 'leading',
+    operatorIndent: 'indent',
+    layout: 'classic',
+    prefix: "=",
+    postfix: "",
+    isEu: false
+};
+
+/**
+ * Template overrides that strip all whitespace from the output.
+ */
+export const minifyFormatOptions = {
+    tmplFunctionStart: '{{token}}(',
+    tmplFunctionStop: ')',
+    tmplOperandText: '"{{token}}"',
+    tmplArgument: '{{token}}',
+    tmplOperandOperatorInfix: '{{token}}',
+    tmplSubexpressionStart: '(',
+    tmplSubexpressionStop: ')',
+    tmplIndentTab: '',
+    tmplIndentSpace: '',
+    newLine: ''
+};
+
+/**
+ * Renders a single token using the matching template from the options.
+ * @param {F_token} token The token to render.
+ * @param {object} options Formatting options holding the templates.
+ * @param {string} indent The indentation to substitute for {{autoindent}}.
+ * @param {string} lineBreak The line break to substitute for {{autolinebreak}}.
+ * @param {Function} [override] A customTokenRender callback.
+ * @param {F_token} [lastToken] The previously rendered token.
+ * @param {number} [depth=0] The nesting depth to substitute for {{depth}}.
+ * @returns {string} The formatted token.
+ */
+export function applyTokenTemplate(token, options, indent, lineBreak, override, lastToken, depth = 0) {
+    // The tokenizer unescapes "" inside text
+    let tokenString = token.subtype === TOK_SUBTYPE_TEXT ? token.value.replace(/"/g, '""') : token.value;
+    if (override) {
+        const res = override(tokenString, token, indent, lineBreak);
+        tokenString = res.tokenString;
+        if (!res.useTemplate) return tokenString;
+    }
+
+    const format = (template) => {
+        return template
+            .replace(/\{\{autoindent\}\}/g, indent)
+            .replace(/\{\{token\}\}/g, tokenString)
+            .replace(/\{\{autolinebreak\}\}/g, lineBreak)
+            .replace(/\{\{depth\}\}/g, depth);
+    };
+
+    switch(token.type) {
+        case TOK_TYPE_FUNCTION:
+            // Array constants are tokenized as ARRAY(ARRAYROW(...), ...) calls
+            if (token.value === 'ARRAY') {
+                return format(token.subtype === TOK_SUBTYPE_START ? options.tmplArrayStart : options.tmplArrayStop);
+            } else if (token.value === 'ARRAYROW') {
+                return '';
+            } else if (token.subtype === TOK_SUBTYPE_START) {
+                return format(options.tmplFunctionStart);
+            } else { // STOP
+                return format(options.tmplFunctionStop);
+            }
+        case TOK_TYPE_ARGUMENT:
+            return format(options.tmplArgument);
+        case TOK_TYPE_OPERAND:
+            switch(token.subtype) {
+                case TOK_SUBTYPE_TEXT: return format(options.tmplOperandText);
+                case TOK_SUBTYPE_NUMBER: return format(options.tmplOperandNumber);
+                case TOK_SUBTYPE_LOGICAL: return format(options.tmplOperandLogical);
+                case TOK_SUBTYPE_RANGE: return format(options.tmplOperandRange);
+                case TOK_SUBTYPE_ERROR: return format(options.tmplOperandError);
+                default: return indent + tokenString;
+            }
+        case TOK_TYPE_OP_IN:
+            if (token.subtype === TOK_SUBTYPE_INTERSECT) return format(options.tmplOperatorIntersect);
+            return format(options.tmplOperandOperatorInfix);
+        case TOK_TYPE_OP_PRE:
+            return format(options.tmplOperatorPrefix);
+        case TOK_TYPE_OP_POST:
+            return format(options.tmplOperatorPostfix);
+        case TOK_TYPE_SUBEXPR:
+            if (token.subtype === TOK_SUBTYPE_START) {
+                return format(options.tmplSubexpressionStart);
+            } else { // STOP
+                return format(options.tmplSubexpressionStop);
+            }
+        default:
+            return indent + tokenString;
+    }
+}
+
+/**
+ * Checks whether a formula parses, for the layouts and the canonical minify
+ * that need a syntax tree.
+ * @param {string} formula The formula.
+ * @param {object} options Options with isEu.
+ * @returns {boolean} Whether parseFormula accepts it.
+ */
+function parses(formula, options) {
+    try {
+        parseFormula(formula, { isEu: options.isEu });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Width of a token written on one line, as the default templates write it.
+ * @param {F_token} token The token.
+ * @returns {number} The number of characters.
+ */
+function flatWidth(token) {
+    switch (token.type) {
+        case TOK_TYPE_FUNCTION:
+            if (token.value === 'ARRAYROW') return 0;
+            return token.subtype === TOK_SUBTYPE_START && token.value !== 'ARRAY' ? token.value.length + 1 : 1;
+        case TOK_TYPE_ARGUMENT:
+            return token.value.length + 1;
+        case TOK_TYPE_OP_IN:
+            return token.subtype === TOK_SUBTYPE_INTERSECT ? 1 : token.value.length + 2;
+        case TOK_TYPE_OPERAND:
+            return token.subtype === TOK_SUBTYPE_TEXT ? token.value.replace(/"/g, '""').length + 2 : token.value.length;
+        default:
+            return token.value.length;
+    }
+}
+
+/**
+ * Finds the operators where breakOperatorChains breaks the template layout.
+ * An argument or subexpression wider than maxWidth on one line (indent
+ * included) is broken at each of its own operators that bind the loosest,
+ * so `A1*B1 & C1` breaks at the `&` only. Range operators never break.
+ * @param {Array<F_token>} items The tokens.
+ * @param {object} options Formatting options with maxWidth and tmplIndentTab.
+ * @returns {Set<number>} The indexes of the operator tokens to break at.
+ */
+function findChainBreaks(items, options) {
+    const breaks = new Set();
+    const segments = [];
+    const open = (depth) => segments.push({ depth, width: 0, operators: [] });
+    const close = () => {
+        const { depth, width, operators } = segments.pop();
+        if (!operators.length || options.tmplIndentTab.length * depth + width <= options.maxWidth) return;
+        const loosest = Math.min(...operators.map(index => INFIX_PRECEDENCE[items[index].value]));
+        operators.filter(index => INFIX_PRECEDENCE[items[index].value] === loosest).forEach(index => breaks.add(index));
+    };
+    const add = (width) => segments.forEach(segment => { segment.width += width; });
+
+    let depth = 0;
+    open(depth);
+    items.forEach((token, index) => {
+        const isBracket = token.type === TOK_TYPE_FUNCTION || token.type === TOK_TYPE_SUBEXPR;
+        if (isBracket && token.subtype === TOK_SUBTYPE_START) {
+            add(flatWidth(token));
+            open(++depth);
+        } else if (isBracket && token.subtype === TOK_SUBTYPE_STOP) {
+            close();
+            depth--;
+            add(flatWidth(token));
+        } else if (token.type === TOK_TYPE_ARGUMENT) {
+            close();
+            add(flatWidth(token));
+            open(depth);
+        } else {
+            if (token.type === TOK_TYPE_OP_IN && token.value !== ':' && token.value in INFIX_PRECEDENCE) {
+                segments[segments.length - 1].operators.push(index);
+            }
+            add(flatWidth(token));
+        }
+    });
+    close();
+    return breaks;
+}
+
+/**
+ * Formats a formula string with indentation and line breaks.
+ * @param {string} formula The formula to format.
+ * @param {object} [options] Formatting options; see defaultFormatOptions.
+ * @returns {string} The formatted formula.
+ */
+export function formatFormula(formula, options) {
+    options = extend({}, defaultFormatOptions, options);
+    // Formulas the parser rejects keep the template layout
+    if (options.layout === 'smart' && parses(formula, options)) {
+        return layoutFormula(formula, options) + options.postfix;
+    }
+
+    let indentCount = 0;
+
+    const tokens = getTokens(formula, { isEu: options.isEu });
+    if (!tokens) return "Error parsing formula";
+    if (options.translateFunctions) {
+        translateTokens(tokens.items, options.translateFunctions.from, options.translateFunctions.to);
+    }
+    let outputFormula = "";
+    let isNewLine = true;
+    // Separators inside array constants use tmplArraySeparator
+    const arrayOptions = extend({}, options, { tmplArgument: options.tmplArraySeparator });
+    let arrayDepth = 0;
+
+    // Broken operators keep the infix template's markup, with the line break before or after it
+    const chainBreaks = options.breakOperatorChains ? findChainBreaks(tokens.items, options) : new Set();
+    const infix = options.tmplOperandOperatorInfix.trim();
+    const breakOptions = extend({}, options, {
+        tmplOperandOperatorInfix: options.operatorPosition === 'trailing'
+            ? ` ${infix}{{autolinebreak}}{{autoindent}}`
+            : `{{autolinebreak}}{{autoindent}}${infix} `,
+    });
+    // Bracket depth, and the depths whose chain indents its continuation lines one more level
+    let nesting = 0;
+    const indentedChains = [];
+
+    while (tokens.moveNext()) {
+        const token = tokens.current();
+        if (token.value === 'ARRAY' && token.type === TOK_TYPE_FUNCTION) {
+            arrayDepth += token.subtype === TOK_SUBTYPE_START ? 1 : -1;
+        }
+
+        // The chain's extra level ends with its argument or subexpression
+        if ((token.type === TOK_TYPE_ARGUMENT || token.subtype === TOK_SUBTYPE_STOP) && indentedChains[indentedChains.length - 1] === nesting) {
+            indentedChains.pop();
+            indentCount--;
+        }
+        if (chainBreaks.has(tokens.index)) {
+            if (options.operatorIndent !== 'align' && indentedChains[indentedChains.length - 1] !== nesting) {
+                indentedChains.push(nesting);
+                indentCount++;
+            }
+            const depth = options.depthCycle > 0 ? indentCount % options.depthCycle : indentCount;
+            outputFormula += applyTokenTemplate(token, breakOptions, options.tmplIndentTab.repeat(indentCount), options.newLine, options.customTokenRender, tokens.previous(), depth);
+            isNewLine = false;
+            continue;
+        }
+
+        // For function stops, we need to use the current indent level before decrementing
+        let currentIndentCount = indentCount;
+        if (token.subtype === TOK_SUBTYPE_STOP) {
+            currentIndentCount = Math.max(0, indentCount - 1);
+        }
+
+        // Determine if this token will start a new line
+        let willStartNewLine = isNewLine;
+        if (token.subtype === TOK_SUBTYPE_STOP) {
+            willStartNewLine = true; // Function stops always start a new line
+        }
+
+        const indent = willStartNewLine ? options.tmplIndentTab.repeat(currentIndentCount) : "";
+        const nextToken = tokens.next();
+        let lineBreak = "";
+        if (nextToken) {
+            if (nextToken.type === TOK_TYPE_ARGUMENT) {
+                lineBreak = options.newLine;
+            }
+        }
+
+        // Matching start and stop tokens share the same depth; depthCycle wraps it for styling
+        const depth = options.depthCycle > 0 ? currentIndentCount % options.depthCycle : currentIndentCount;
+
+        const tokenOptions = arrayDepth > 0 && token.type === TOK_TYPE_ARGUMENT ? arrayOptions : options;
+        outputFormula += applyTokenTemplate(token, tokenOptions, indent, lineBreak, options.customTokenRender, tokens.previous(), depth);
+
+        if (token.subtype === TOK_SUBTYPE_START) {
+            indentCount++;
+            nesting++;
+        } else if (token.subtype === TOK_SUBTYPE_STOP) {
+            indentCount = Math.max(0, indentCount - 1);
+            nesting--;
+        }
+
+        // Update isNewLine flag
+        isNewLine = outputFormula.endsWith(options.newLine);
+    }
+
+    const prefix = options.renderToken && options.prefix ? options.renderToken(options.prefix, 'prefix', 0) : options.prefix;
+    return prefix + trim(outputFormula) + options.postfix;
+}
+
+/**
+ * Beautifies a formula using the default templates.
+ * @param {string} formula The formula to beautify.
+ * @param {object} [options] Formatting options; see defaultFormatOptions.
+ * @returns {string} The beautified formula.
+ */
+export function beautify(formula, options) {
+    return formatFormula(formula, options);
+}
+
+/**
+ * Minifies a formula by removing all optional whitespace. With `canonical:
+ * true` it is rewritten by compactFormula instead (uppercase names, no
+ * redundant parentheses, short numbers; see defaultCompactOptions), falling
+ * back to removing whitespace when the formula does not parse.
+ * @param {string} formula The formula to minify.
+ * @param {object} [options] Formatting options; see defaultFormatOptions.
+ * @returns {string} The minified formula.
+ */
+export function minify(formula, options) {
+    options = extend({}, minifyFormatOptions, options);
+    if (options.canonical && parses(formula, options)) {
+        return compactFormula(formula, options).formula + (options.postfix || '');
+    }
+    return formatFormula(formula, options);
+}
@@ -0,0 +1,98 @@
+import { beautify, formatFormula, minify } from './formatter.js';
+
+describe('formatFormula', () => {
+    it('puts each argument on its own indented line', () => {
+        expect(formatFormula('=IF(A1>0,SUM(B1,B2),"x")')).toBe([
+            '=IF(',
+            '    A1 > 0,',
+            '    SUM(',
+            '        B1,',
+            '        B2',
+            '    ),',
+            '    "x"',
+            ')',
+        ].join('\n'));
+    });
+
+    it('honours the indent, prefix and postfix options', () => {
+        expect(formatFormula('SUM(A1,B1)', { tmplIndentTab: '  ', prefix: '', postfix: ';' }))
+            .toBe('SUM(\n  A1,\n  B1\n);');
+    });
+
+    it('keeps European separators when isEu is set', () => {
+        expect(formatFormula('=SUM(A1;1,5)', { isEu: true })).toBe('=SUM(\n    A1;\n    1,5\n)');
+    });
+
+    it('lets customTokenRender replace a token', () => {
+        const customTokenRender = (tokenString, token) => ({
+            tokenString: token.subtype === 'range' ? `[${tokenString}]` : tokenString,
+            useTemplate: true,
+        });
+        expect(minify('=A1+B1', { customTokenRender })).toBe('=[A1]+[B1]');
+    });
+
+    it('renders best-effort output for unbalanced formulas', () => {
+        expect(minify('=SUM(A1,B1))')).toBe('=SUM(A1,B1)');
+        expect(minify('=SUM(A1')).toBe('=SUM(A1)');
+    });
+
+    describe('with breakOperatorChains', () => {
+        const formula = '=IF(A1,"Total: "&TEXT(B1,"0.00")&" of "&C1,"")';
+
+        it('breaks chains wider than maxWidth before each operator, one level deeper', () => {
+            expect(formatFormula(formula, { breakOperatorChains: true, maxWidth: 30 })).toBe([
+                '=IF(',
+                '    A1,',
+                '    "Total: "',
+                '        & TEXT(',
+                '            B1,',
+                '            "0.00"',
+                '        )',
+                '        & " of "',
+                '        & C1,',
+                '    ""',
+                ')',
+            ].join('\n'));
+            expect(formatFormula(formula, { breakOperatorChains: true })).toBe(formatFormula(formula));
+        });
+
+        it('puts the operator last or aligns under the first operand when asked', () => {
+            expect(formatFormula('=A1&B1&C1', { breakOperatorChains: true, maxWidth: 5, operatorPosition: 'trailing' }))
+                .toBe('=A1 &\n    B1 &\n    C1');
+            expect(formatFormula('=SUM(A1+B1-C1)', { breakOperatorChains: true, maxWidth: 10, operatorIndent: 'align' }))
+                .toBe('=SUM(\n    A1\n    + B1\n    - C1\n)');
+        });
+
+        it('breaks only at the loosest operators of the chain', () => {
+            expect(formatFormula('=A1*B1+C1*D1>=E1', { breakOperatorChains: true, maxWidth: 10 }))
+                .toBe('=A1 * B1 + C1 * D1\n    >= E1');
+            expect(formatFormula('=A1:B2&A3', { breakOperatorChains: true, maxWidth: 5 })).toBe('=A1:B2\n    & A3');
+        });
+
+        it('keeps European separators and reads back to the same formula', () => {
+            const eu = '=SUMME(A1;B1)&" und "&1,5&WENN(C1;"ja";"nein")';
+            const broken = formatFormula(eu, { breakOperatorChains: true, maxWidth: 20, isEu: true });
+            expect(broken).toContain('\n    & 1,5\n');
+            expect(minify(broken, { isEu: true })).toBe(eu);
+        });
+    });
+
+    it('is exposed as beautify', () => {
+        expect(beautify('=SUM(A1)')).toBe(formatFormula('=SUM(A1)'));
+    });
+});
+
+describe('minify', () => {
+    it('removes all optional whitespace', () => {
+        expect(minify('=IF( A1 > 0 , SUM( B1 , B2 ) , "x" )')).toBe('=IF(A1>0,SUM(B1,B2),"x")');
+    });
+
+    it('undoes beautify', () => {
+        const formula = '=IF(AND(A1>0,B1<10),ROUND(A1/B1,2),"n/a")';
+        expect(minify(beautify(formula))).toBe(formula);
+    });
+
+    it('keeps the prefix option', () => {
+        expect(minify('SUM(A1, B1)', { prefix: '' })).toBe('SUM(A1,B1)');
+    });
+});
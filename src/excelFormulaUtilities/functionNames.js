@@ -0,0 +1,197 @@
+/**
+ * Translation of function names and TRUE/FALSE literals between English and
+ * localized Excel builds. Only function tokens and logical operands are
+ * rewritten, so strings and references are never touched.
+ */
+import {
+    TOK_TYPE_FUNCTION,
+    TOK_TYPE_OPERAND,
+    TOK_SUBTYPE_START,
+    TOK_SUBTYPE_LOGICAL,
+    TOK_SUBTYPE_RANGE,
+} from './tokens.js';
+
+/**
+ * Languages with a translation table, keyed by the id used in options.
+ */
+export const FUNCTION_NAME_LOCALES = {
+    en: 'English',
+    de: 'German',
+    fr: 'French',
+    es: 'Spanish',
+    nl: 'Dutch',
+    pt: 'Portuguese (Brazil)',
+};
+
+// Column order matches FUNCTION_NAME_LOCALES
+const LOCALE_COLUMNS = Object.keys(FUNCTION_NAME_LOCALES);
+
+const FUNCTION_NAMES = [
+    // en             de                    fr                   es                    nl                      pt
+    ['TRUE',          'WAHR',               'VRAI',              'VERDADERO',          'WAAR',                 'VERDADEIRO'],
+    ['FALSE',         'FALSCH',             'FAUX',              'FALSO',              'ONWAAR',               'FALSO'],
+    ['ABS',           'ABS',                'ABS',               'ABS',                'ABS',                  'ABS'],
+    ['AND',           'UND',                'ET',                'Y',                  'EN',                   'E'],
+    ['AVERAGE',       'MITTELWERT',         'MOYENNE',           'PROMEDIO',           'GEMIDDELDE',           'MÉDIA'],
+    ['AVERAGEIF',     'MITTELWERTWENN',     'MOYENNE.SI',        'PROMEDIO.SI',        'GEMIDDELDE.ALS',       'MÉDIASE'],
+    ['CHAR',          'ZEICHEN',            'CAR',               'CARACTER',           'TEKEN',                'CARACT'],
+    ['CHOOSE',        'WAHL',               'CHOISIR',           'ELEGIR',             'KIEZEN',               'ESCOLHER'],
+    ['COLUMN',        'SPALTE',             'COLONNE',           'COLUMNA',            'KOLOM',                'COL'],
+    ['COLUMNS',       'SPALTEN',            'COLONNES',          'COLUMNAS',           'KOLOMMEN',             'COLS'],
+    ['CONCAT',        'TEXTKETTE',          'CONCAT',            'CONCAT',             'TEKST.SAMENV',         'CONCAT'],
+    ['CONCATENATE',   'VERKETTEN',          'CONCATENER',        'CONCATENAR',         'TEKST.SAMENVOEGEN',    'CONCATENAR'],
+    ['COUNT',         'ANZAHL',             'NB',                'CONTAR',             'AANTAL',               'CONT.NÚM'],
+    ['COUNTA',        'ANZAHL2',            'NBVAL',             'CONTARA',            'AANTALARG',            'CONT.VALORES'],
+    ['COUNTIF',       'ZÄHLENWENN',         'NB.SI',             'CONTAR.SI',          'AANTAL.ALS',           'CONT.SE'],
+    ['COUNTIFS',      'ZÄHLENWENNS',        'NB.SI.ENS',         'CONTAR.SI.CONJUNTO', 'AANTALLEN.ALS',        'CONT.SES'],
+    ['DATE',          'DATUM',              'DATE',              'FECHA',              'DATUM',                'DATA'],
+    ['DATEDIF',       'DATEDIF',            'DATEDIF',           'SIFECHA',            'DATUMVERSCHIL',        'DATADIF'],
+    ['DAY',           'TAG',                'JOUR',              'DIA',                'DAG',                  'DIA'],
+    ['EDATE',         'EDATUM',             'MOIS.DECALER',      'FECHA.MES',          'ZELFDE.DAG',           'DATAM'],
+    ['EOMONTH',       'MONATSENDE',         'FIN.MOIS',          'FIN.MES',            'LAATSTE.DAG',          'FIMMÊS'],
+    ['EXACT',         'IDENTISCH',          'EXACT',             'IGUAL',              'GELIJK',               'EXATO'],
+    ['FILTER',        'FILTER',             'FILTRE',            'FILTRAR',            'FILTER',               'FILTRO'],
+    ['FIND',          'FINDEN',             'TROUVE',            'ENCONTRAR',          'VIND.ALLES',           'PROCURAR'],
+    ['HLOOKUP',       'WVERWEIS',           'RECHERCHEH',        'BUSCARH',            'HORIZ.ZOEKEN',         'PROCH'],
+    ['HOUR',          'STUNDE',             'HEURE',             'HORA',               'UUR',                  'HORA'],
+    ['HYPERLINK',     'HYPERLINK',          'LIEN_HYPERTEXTE',   'HIPERVINCULO',       'HYPERLINK',            'HIPERLINK'],
+    ['IF',            'WENN',               'SI',                'SI',                 'ALS',                  'SE'],
+    ['IFERROR',       'WENNFEHLER',         'SIERREUR',          'SI.ERROR',           'ALS.FOUT',             'SEERRO'],
+    ['IFNA',          'WENNNV',             'SI.NON.DISP',       'SI.ND',              'ALS.NB',               'SENÃODISP'],
+    ['IFS',           'WENNS',              'SI.CONDITIONS',     'SI.CONJUNTO',        'ALS.VOORWAARDEN',      'SES'],
+    ['INDEX',         'INDEX',              'INDEX',             'INDICE',             'INDEX',                'ÍNDICE'],
+    ['INDIRECT',      'INDIREKT',           'INDIRECT',          'INDIRECTO',          'INDIRECT',             'INDIRETO'],
+    ['INT',           'GANZZAHL',           'ENT',               'ENTERO',             'INTEGER',              'INT'],
+    ['ISBLANK',       'ISTLEER',            'ESTVIDE',           'ESBLANCO',           'ISLEEG',               'ÉCÉL.VAZIA'],
+    ['ISERROR',       'ISTFEHLER',          'ESTERREUR',         'ESERROR',            'ISFOUT',               'ÉERROS'],
+    ['ISNA',          'ISTNV',              'ESTNA',             'ESNOD',              'ISNB',                 'É.NÃO.DISP'],
+    ['ISNUMBER',      'ISTZAHL',            'ESTNUM',            'ESNUMERO',           'ISGETAL',              'ÉNÚM'],
+    ['ISTEXT',        'ISTTEXT',            'ESTTEXTE',          'ESTEXTO',            'ISTEKST',              'ÉTEXTO'],
+    ['LARGE',         'KGRÖSSTE',           'GRANDE.VALEUR',     'K.ESIMO.MAYOR',      'GROOTSTE',             'MAIOR'],
+    ['LEFT',          'LINKS',              'GAUCHE',            'IZQUIERDA',          'LINKS',                'ESQUERDA'],
+    ['LEN',           'LÄNGE',              'NBCAR',             'LARGO',              'LENGTE',               'NÚM.CARACT'],
+    ['LET',           'LET',                'LET',               'LET',                'LET',                  'LET'],
+    ['LOWER',         'KLEIN',              'MINUSCULE',         'MINUSC',             'KLEINE.LETTERS',       'MINÚSCULA'],
+    ['MATCH',         'VERGLEICH',          'EQUIV',             'COINCIDIR',          'VERGELIJKEN',          'CORRESP'],
+    ['MAX',           'MAX',                'MAX',               'MAX',                'MAX',                  'MÁXIMO'],
+    ['MEDIAN',        'MEDIAN',             'MEDIANE',           'MEDIANA',            'MEDIAAN',              'MED'],
+    ['MID',           'TEIL',               'STXT',              'EXTRAE',             'DEEL',                 'EXT.TEXTO'],
+    ['MIN',           'MIN',                'MIN',               'MIN',                'MIN',                  'MÍNIMO'],
+    ['MINUTE',        'MINUTE',             'MINUTE',            'MINUTO',             'MINUUT',               'MINUTO'],
+    ['MOD',           'REST',               'MOD',               'RESIDUO',            'REST',                 'MOD'],
+    ['MONTH',         'MONAT',              'MOIS',              'MES',                'MAAND',                'MÊS'],
+    ['NA',            'NV',                 'NA',                'NOD',                'NB',                   'NÃO.DISP'],
+    ['NETWORKDAYS',   'NETTOARBEITSTAGE',   'NB.JOURS.OUVRES',   'DIAS.LAB',           'NETTO.WERKDAGEN',      'DIATRABALHOTOTAL'],
+    ['NOT',           'NICHT',              'NON',               'NO',                 'NIET',                 'NÃO'],
+    ['NOW',           'JETZT',              'MAINTENANT',        'AHORA',              'NU',                   'AGORA'],
+    ['OFFSET',        'BEREICH.VERSCHIEBEN', 'DECALER',          'DESREF',             'VERSCHUIVING',         'DESLOC'],
+    ['OR',            'ODER',               'OU',                'O',                  'OF',                   'OU'],
+    ['POWER',         'POTENZ',             'PUISSANCE',         'POTENCIA',           'MACHT',                'POTÊNCIA'],
+    ['PRODUCT',       'PRODUKT',            'PRODUIT',           'PRODUCTO',           'PRODUCT',              'MULT'],
+    ['PROPER',        'GROSS2',             'NOMPROPRE',         'NOMPROPIO',          'BEGINLETTERS',         'PRI.MAIÚSCULA'],
+    ['RAND',          'ZUFALLSZAHL',        'ALEA',              'ALEATORIO',          'ASELECT',              'ALEATÓRIO'],
+    ['RANK',          'RANG',               'RANG',              'JERARQUIA',          'RANG',                 'ORDEM'],
+    ['REPLACE',       'ERSETZEN',           'REMPLACER',         'REEMPLAZAR',         'VERVANGEN',            'MUDAR'],
+    ['REPT',          'WIEDERHOLEN',        'REPT',              'REPETIR',            'HERHALING',            'REPT'],
+    ['RIGHT',         'RECHTS',             'DROITE',            'DERECHA',            'RECHTS',               'DIREITA'],
+    ['ROUND',         'RUNDEN',             'ARRONDI',           'REDONDEAR',          'AFRONDEN',             'ARRED'],
+    ['ROUNDDOWN',     'ABRUNDEN',           'ARRONDI.INF',       'REDONDEAR.MENOS',    'AFRONDEN.NAAR.BENEDEN', 'ARREDONDAR.PARA.BAIXO'],
+    ['ROUNDUP',       'AUFRUNDEN',          'ARRONDI.SUP',       'REDONDEAR.MAS',      'AFRONDEN.NAAR.BOVEN',  'ARREDONDAR.PARA.CIMA'],
+    ['ROW',           'ZEILE',              'LIGNE',             'FILA',               'RIJ',                  'LIN'],
+    ['ROWS',          'ZEILEN',             'LIGNES',            'FILAS',              'RIJEN',                'LINS'],
+    ['SEARCH',        'SUCHEN',             'CHERCHE',           'HALLAR',             'VIND.SPEC',            'LOCALIZAR'],
+    ['SECOND',        'SEKUNDE',            'SECONDE',           'SEGUNDO',            'SECONDE',              'SEGUNDO'],
+    ['SMALL',         'KKLEINSTE',          'PETITE.VALEUR',     'K.ESIMO.MENOR',      'KLEINSTE',             'MENOR'],
+    ['SORT',          'SORTIEREN',          'TRIER',             'ORDENAR',            'SORTEREN',             'CLASSIFICAR'],
+    ['SQRT',          'WURZEL',             'RACINE',            'RAIZ',               'WORTEL',               'RAIZ'],
+    ['SUBSTITUTE',    'WECHSELN',           'SUBSTITUE',         'SUSTITUIR',          'SUBSTITUEREN',         'SUBSTITUIR'],
+    ['SUBTOTAL',      'TEILERGEBNIS',       'SOUS.TOTAL',        'SUBTOTALES',         'SUBTOTAAL',            'SUBTOTAL'],
+    ['SUM',           'SUMME',              'SOMME',             'SUMA',               'SOM',                  'SOMA'],
+    ['SUMIF',         'SUMMEWENN',          'SOMME.SI',          'SUMAR.SI',           'SOM.ALS',              'SOMASE'],
+    ['SUMIFS',        'SUMMEWENNS',         'SOMME.SI.ENS',      'SUMAR.SI.CONJUNTO',  'SOMMEN.ALS',           'SOMASES'],
+    ['SUMPRODUCT',    'SUMMENPRODUKT',      'SOMMEPROD',         'SUMAPRODUCTO',       'SOMPRODUCT',           'SOMARPRODUTO'],
+    ['SWITCH',        'ERSTERWERT',         'SI.MULTIPLE',       'CAMBIAR',            'SCHAKELEN',            'PARÂMETRO'],
+    ['TEXT',          'TEXT',               'TEXTE',             'TEXTO',              'TEKST',                'TEXTO'],
+    ['TEXTJOIN',      'TEXTVERKETTEN',      'JOINDRE.TEXTE',     'UNIRCADENAS',        'TEKST.COMBINEREN',     'UNIRTEXTO'],
+    ['TIME',          'ZEIT',               'TEMPS',             'NSHORA',             'TIJD',                 'TEMPO'],
+    ['TODAY',         'HEUTE',              'AUJOURDHUI',        'HOY',                'VANDAAG',              'HOJE'],
+    ['TRANSPOSE',     'MTRANS',             'TRANSPOSE',         'TRANSPONER',         'TRANSPONEREN',         'TRANSPOR'],
+    ['TRIM',          'GLÄTTEN',            'SUPPRESPACE',       'ESPACIOS',           'SPATIES.WISSEN',       'ARRUMAR'],
+    ['UNIQUE',        'EINDEUTIG',          'UNIQUE',            'UNICOS',             'UNIEK',                'ÚNICO'],
+    ['UPPER',         'GROSS',              'MAJUSCULE',         'MAYUSC',             'HOOFDLETTERS',         'MAIÚSCULA'],
+    ['VALUE',         'WERT',               'CNUM',              'VALOR',              'WAARDE',               'VALOR'],
+    ['VLOOKUP',       'SVERWEIS',           'RECHERCHEV',        'BUSCARV',            'VERT.ZOEKEN',          'PROCV'],
+    ['WEEKDAY',       'WOCHENTAG',          'JOURSEM',           'DIASEM',             'WEEKDAG',              'DIA.DA.SEMANA'],
+    ['WORKDAY',       'ARBEITSTAG',         'SERIE.JOUR.OUVRE',  'DIA.LAB',            'WERKDAG',              'DIATRABALHO'],
+    ['XLOOKUP',       'XVERWEIS',           'RECHERCHEX',        'BUSCARX',            'X.ZOEKEN',             'PROCX'],
+    ['YEAR',          'JAHR',               'ANNEE',             'AÑO',                'JAAR',                 'ANO'],
+];
+
+// Lookup tables: localized name -> English, and English -> localized name
+const toEnglish = {};
+const fromEnglish = {};
+LOCALE_COLUMNS.forEach((locale, column) => {
+    toEnglish[locale] = {};
+    fromEnglish[locale] = {};
+    FUNCTION_NAMES.forEach(row => {
+        toEnglish[locale][row[column]] = row[0];
+        fromEnglish[locale][row[0]] = row[column];
+    });
+});
+
+const assertLocale = (locale) => {
+    if (!FUNCTION_NAME_LOCALES[locale]) throw new Error(`Unknown function name locale '${locale}'`);
+};
+
+/**
+ * Translates a single function name or TRUE/FALSE literal. Names without a
+ * translation are returned unchanged.
+ * @param {string} name The name as written (matched case-insensitively).
+ * @param {string} from The locale id the name is written in.
+ * @param {string} to The locale id to translate to.
+ * @returns {string} The translated name.
+ * @throws {Error} When a locale id is unknown.
+ */
+export function translateFunctionName(name, from, to) {
+    assertLocale(from);
+    assertLocale(to);
+    const english = toEnglish[from][name.toUpperCase()];
+    if (!english) return name;
+    return fromEnglish[to][english];
+}
+
+/**
+ * Tells whether a name is a function with a translation table entry, or
+ * TRUE/FALSE, in English.
+ * @param {string} name The name (matched case-insensitively).
+ * @returns {boolean} Whether the name is known.
+ */
+export function isFunctionName(name) {
+    return Object.prototype.hasOwnProperty.call(fromEnglish.en, name.toUpperCase());
+}
+
+/**
+ * Translates function tokens and logical operand tokens in place. Bare
+ * operands spelling a localized TRUE/FALSE are recognised as logicals too,
+ * since the tokenizer only knows the English literals.
+ * @param {Array<F_token>} items The tokens from getTokens.
+ * @param {string} from The locale id the formula is written in.
+ * @param {string} to The locale id to translate to.
+ * @returns {Array<F_token>} The same tokens.
+ * @throws {Error} When a locale id is unknown.
+ */
+export function translateTokens(items, from, to) {
+    assertLocale(from);
+    assertLocale(to);
+    const booleans = [fromEnglish[from].TRUE, fromEnglish[from].FALSE];
+    items.forEach(token => {
+        if (token.type === TOK_TYPE_FUNCTION && token.subtype === TOK_SUBTYPE_START) {
+            token.value = translateFunctionName(token.value, from, to);
+        } else if (token.type === TOK_TYPE_OPERAND && (token.subtype === TOK_SUBTYPE_LOGICAL ||
+                (token.subtype === TOK_SUBTYPE_RANGE && booleans.includes(token.value.toUpperCase())))) {
+            token.value = translateFunctionName(token.value, from, to);
+            token.subtype = TOK_SUBTYPE_LOGICAL;
+        }
+    });
+    return items;
+}
@@ -0,0 +1,51 @@
+import { minify } from './formatter.js';
+import { translateFunctionName } from './functionNames.js';
+
+describe('translateFunctionName', () => {
+    it.each([
+        ['IF', 'de', 'WENN'],
+        ['SUM', 'de', 'SUMME'],
+        ['VLOOKUP', 'de', 'SVERWEIS'],
+        ['IF', 'fr', 'SI'],
+        ['SUM', 'fr', 'SOMME'],
+        ['VLOOKUP', 'fr', 'RECHERCHEV'],
+        ['VLOOKUP', 'es', 'BUSCARV'],
+        ['VLOOKUP', 'nl', 'VERT.ZOEKEN'],
+        ['VLOOKUP', 'pt', 'PROCV'],
+        ['TRUE', 'nl', 'WAAR'],
+        ['FALSE', 'pt', 'FALSO'],
+    ])('translates %s to %s as %s', (english, locale, localized) => {
+        expect(translateFunctionName(english, 'en', locale)).toBe(localized);
+        expect(translateFunctionName(localized, locale, 'en')).toBe(english);
+    });
+
+    it('translates between two localized languages and ignores case', () => {
+        expect(translateFunctionName('wenn', 'de', 'fr')).toBe('SI');
+    });
+
+    it('leaves unknown names unchanged', () => {
+        expect(translateFunctionName('MYLAMBDA', 'de', 'en')).toBe('MYLAMBDA');
+    });
+
+    it('rejects unknown locales', () => {
+        expect(() => translateFunctionName('IF', 'en', 'xx')).toThrow("Unknown function name locale 'xx'");
+    });
+});
+
+describe('formatFormula with translateFunctions', () => {
+    it('translates German function names and literals to English', () => {
+        const options = { isEu: true, translateFunctions: { from: 'de', to: 'en' } };
+        expect(minify('=WENN(SVERWEIS(A1;B:C;2;FALSCH)>0;WAHR;SUMME(A1:A3))', options))
+            .toBe('=IF(VLOOKUP(A1;B:C;2;FALSE)>0;TRUE;SUM(A1:A3))');
+    });
+
+    it('never touches strings or references', () => {
+        const options = { translateFunctions: { from: 'en', to: 'fr' } };
+        expect(minify('=IF(SUM!A1="SUM",TRUE,SUM)', options)).toBe('=SI(SUM!A1="SUM",VRAI,SUM)');
+    });
+
+    it('translates TRUE() and FALSE() calls', () => {
+        const options = { translateFunctions: { from: 'es', to: 'en' } };
+        expect(minify('=Y(VERDADERO(),FALSO())', options)).toBe('=AND(TRUE(),FALSE())');
+    });
+});
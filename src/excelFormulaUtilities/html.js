@@ -0,0 +1,87 @@
+/**
+ * Syntax-highlighted HTML output built on the formatter's template hooks.
+ * The span classes are styled in src/index.css.
+ */
+import { extend } from './core.js';
+import { formatFormula } from './formatter.js';
+
+/**
+ * Number of distinct bracket colours; deeper nesting reuses them.
+ */
+export const BRACKET_DEPTH_COLORS = 6;
+
+/**
+ * Escapes text for safe insertion into HTML element content or attributes.
+ * @param {string} text The raw text.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escapes every token before it reaches a template.
+ */
+function renderEscapedToken(tokenString) {
+    return { tokenString: escapeHtml(tokenString), useTemplate: true };
+}
+
+// Span classes of the token kinds of the smart layout
+const TOKEN_CLASSES = {
+    prefix: 'equals',
+    'function-name': 'function-name',
+    operator: 'operator',
+    range: 'range',
+    number: 'number',
+    text: 'text',
+    logical: 'logical',
+    error: 'error',
+};
+
+/**
+ * Escapes a token of the smart layout and wraps it in its styled span.
+ * @param {string} text The token text.
+ * @param {string} kind The token kind; see layoutFormula.
+ * @param {number} depth The bracket nesting depth.
+ * @returns {string} The markup.
+ */
+function renderHtmlToken(text, kind, depth) {
+    const className = kind === 'bracket' ? `bracket bracket-depth-${depth}` : TOKEN_CLASSES[kind];
+    return className ? `<span class="${className}">${escapeHtml(text)}</span>` : escapeHtml(text);
+}
+
+/**
+ * Beautify templates that wrap each token in a styled span. The smart
+ * layout, which does not use templates, styles tokens with renderToken.
+ */
+export const htmlFormatOptions = {
+    tmplFunctionStart: '{{autoindent}}<span class="function-name">{{token}}</span><span class="bracket bracket-depth-{{depth}}">(</span>\n',
+    tmplFunctionStop: '\n{{autoindent}}<span class="bracket bracket-depth-{{depth}}">)</span>',
+    tmplOperandError: '{{autoindent}}<span class="error">{{token}}</span>',
+    tmplOperandRange: '{{autoindent}}<span class="range">{{token}}</span>',
+    tmplOperandLogical: '{{autoindent}}<span class="logical">{{token}}</span>',
+    tmplOperandNumber: '{{autoindent}}<span class="number">{{token}}</span>',
+    tmplOperandText: '{{autoindent}}<span class="text">&quot;{{token}}&quot;</span>',
+    tmplOperandOperatorInfix: ' <span class="operator">{{token}}</span> ',
+    tmplSubexpressionStart: '{{autoindent}}<span class="bracket bracket-depth-{{depth}}">(</span>\n',
+    tmplSubexpressionStop: '\n{{autoindent}}<span class="bracket bracket-depth-{{depth}}">)</span>',
+    customTokenRender: renderEscapedToken,
+    renderToken: renderHtmlToken,
+    depthCycle: BRACKET_DEPTH_COLORS,
+};
+
+/**
+ * Beautifies a formula into syntax-highlighted HTML, in either layout. All
+ * formula text is escaped, so the result is safe to insert with innerHTML.
+ * @param {string} formula The formula to format.
+ * @param {object} [options] Formatting options; see defaultFormatOptions.
+ * @returns {string} The highlighted formula markup.
+ */
+export function formatFormulaHtml(formula, options) {
+    return formatFormula(formula, extend({}, htmlFormatOptions, options));
+}
@@ -0,0 +1,72 @@
+import { escapeHtml, formatFormulaHtml } from './html.js';
+
+describe('escapeHtml', () => {
+    it('escapes markup characters', () => {
+        expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+});
+
+describe('formatFormulaHtml', () => {
+    it('wraps each token kind in a styled span', () => {
+        expect(formatFormulaHtml('=IF(A1>1,TRUE,#N/A)')).toBe([
+            '<span class="equals">=</span><span class="function-name">IF</span><span class="bracket bracket-depth-0">(</span>',
+            '    <span class="range">A1</span> <span class="operator">&gt;</span> <span class="number">1</span>,',
+            '    <span class="logical">TRUE</span>,',
+            '    <span class="error">#N/A</span>',
+            '<span class="bracket bracket-depth-0">)</span>',
+        ].join('\n'));
+    });
+
+    it('colours matching brackets by nesting depth', () => {
+        const html = formatFormulaHtml('=SUM((A1+ROUND(B1,2)))', { tmplIndentTab: '', newLine: '' });
+        const depths = html.match(/bracket-depth-\d/g).map(cls => Number(cls.slice(-1)));
+        expect(depths).toEqual([0, 1, 2, 2, 1, 0]);
+    });
+
+    it('cycles colours for deeply nested formulas', () => {
+        const html = formatFormulaHtml('=' + 'ABS('.repeat(8) + '1' + ')'.repeat(8));
+        expect(html).toContain('bracket-depth-5');
+        expect(html).not.toContain('bracket-depth-6');
+    });
+
+    it('escapes formula text so it cannot inject markup', () => {
+        const html = formatFormulaHtml('="<img src=x onerror=alert(1)>"&\'<b>\'!A1');
+        expect(html).not.toMatch(/<img|<b>/);
+        expect(html).toContain('<span class="text">&quot;&lt;img src=x onerror=alert(1)&gt;&quot;</span>');
+        expect(html).toContain('<span class="range">&#39;&lt;b&gt;&#39;!A1</span>');
+    });
+
+    it('escapes formula text in the smart layout too', () => {
+        const html = formatFormulaHtml('="<img src=x onerror=alert(1)>"&\'<b>\'!A1', { layout: 'smart' });
+        expect(html).not.toMatch(/<img|<b>/);
+        expect(html).toBe([
+            '<span class="equals">=</span><span class="text">&quot;&lt;img src=x onerror=alert(1)&gt;&quot;</span>',
+            '<span class="operator">&amp;</span>',
+            '<span class="range">&#39;&lt;b&gt;&#39;!A1</span>',
+        ].join(' '));
+    });
+
+    it('highlights the smart layout like the templates', () => {
+        expect(formatFormulaHtml('=IF(A1>1,TRUE,#N/A)', { layout: 'smart' })).toBe([
+            '<span class="equals">=</span><span class="function-name">IF</span><span class="bracket bracket-depth-0">(</span>',
+            '<span class="range">A1</span> <span class="operator">&gt;</span> <span class="number">1</span>, ',
+            '<span class="logical">TRUE</span>, <span class="error">#N/A</span>',
+            '<span class="bracket bracket-depth-0">)</span>',
+        ].join(''));
+    });
+
+    it('keeps the operator markup where breakOperatorChains breaks a chain', () => {
+        expect(formatFormulaHtml('=A1&"<b>"', { breakOperatorChains: true, maxWidth: 5 })).toBe([
+            '<span class="equals">=</span><span class="range">A1</span>',
+            '    <span class="operator">&amp;</span> <span class="text">&quot;&lt;b&gt;&quot;</span>',
+        ].join('\n'));
+    });
+
+    it('falls back to the highlighted templates when the formula does not parse', () => {
+        expect(formatFormulaHtml('=SUM(A1,', { layout: 'smart' })).toBe(formatFormulaHtml('=SUM(A1,'));
+    });
+
+    it('keeps embedded quotes escaped as in the formula', () => {
+        expect(formatFormulaHtml('="say ""hi"""')).toContain('&quot;say &quot;&quot;hi&quot;&quot;&quot;');
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Excel formula utilities: tokenizer, parser, formatter, code generator and
+ * Smartsheet converters.
+ *
+ * Every function is pure and takes its locale per call (e.g. `{ isEu: true }`),
+ * so the same engine can be used from the React app, scripts or tests.
+ *
+ * @example
+ * import { formatFormula, minify } from './excelFormulaUtilities/index.js';
+ * formatFormula('=SUM(A1;B1)', { isEu: true });
+ * minify('=IF( A1 > 0, "yes", "no" )');
+ */
+export { extend, formatStr, trim } from './core.js';
+export * from './tokens.js';
+export { getDiagnostics, getTokens } from './tokenizer.js';
+export {
+    INFIX_PRECEDENCE,
+    parseFormula,
+    POSTFIX_PRECEDENCE,
+    PREFIX_PRECEDENCE,
+    printFormula,
+    walkAst,
+} from './parser.js';
+export {
+    applyTokenTemplate,
+    beautify,
+    defaultFormatOptions,
+    formatFormula,
+    minify,
+    minifyFormatOptions,
+} from './formatter.js';
+export { BRACKET_DEPTH_COLORS, escapeHtml, formatFormulaHtml, htmlFormatOptions } from './html.js';
+export {
+    appendMapping,
+    buildMappingsFromHeader,
+    columnIndex,
+    columnLetters,
+    convertCsvToMappings,
+    convertMappingsText,
+    exportMappings,
+    formatMappings,
+    generateNameFromField,
+    parseHeaderRow,
+    parseLocationMappings,
+    readMappingRows,
+    updateMappingRow,
+} from './mappings.js';
+export { convertSmartsheetToAirtable } from './airtable.js';
+export { BATCH_OPERATIONS, findFormulaColumn, formatBatchResults, parseBatchFile, runBatch } from './batch.js';
+export { convertSmartsheetToAppSheet } from './appsheet.js';
+export { convertFormulaToCode, SUPPORTED_CODE_FUNCTIONS } from './codegen.js';
+export { compactFormula, defaultCompactOptions, normalizeNumber } from './compact.js';
+export { FUNCTION_NAME_LOCALES, isFunctionName, translateFunctionName, translateTokens } from './functionNames.js';
+export { defaultLayoutOptions, layoutFormula } from './layout.js';
+export { convertFormulaLocale, FORMULA_LOCALES } from './locale.js';
+export { MAPPING_KEYS, validateMappings } from './mappingValidation.js';
+export { convertSmartsheetFormat, convertSmartsheetFormula, SMARTSHEET_OUTPUT_SHAPES } from './smartsheet.js';
+export { convertToSmartsheetFormula, SMARTSHEET_FUNCTIONS } from './toSmartsheet.js';
+export { applyTemplateRules, exportTemplateRules, parseTemplateRules, TEMPLATE_PRESETS } from './templateRules.js';
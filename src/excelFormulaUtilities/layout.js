@@ -0,0 +1,338 @@
+/**
+ * Width-aware layout for beautified formulas: calls, subexpressions and
+ * operator chains stay on one line when they fit in maxWidth, and are broken
+ * one argument or operand per line when they don't.
+ *
+ * The syntax tree is turned into a document of text, groups and line breaks
+ * (as in Wadler's "prettier printer"), then printed: a group is printed flat
+ * when everything up to the next possible break fits, and broken otherwise.
+ */
+import { translateFunctionName } from './functionNames.js';
+import { INFIX_PRECEDENCE, parseFormula } from './parser.js';
+
+/**
+ * Options of layoutFormula, also accepted by formatFormula together with
+ * `layout: 'smart'`.
+ */
+export const defaultLayoutOptions = {
+    maxWidth: 80,
+    breakIfChains: false,
+    alignLetPairs: false,
+    operatorPosition: 'leading',
+    operatorIndent: 'indent',
+    tmplIndentTab: '    ',
+    translateFunctions: null,
+    prefix: '=',
+    renderToken: null,
+    depthCycle: 0,
+    isEu: false,
+};
+
+// --- Document builders ---
+
+const line = { type: 'line' };
+const softline = { type: 'line', soft: true };
+const group = (contents) => ({ type: 'group', contents });
+const indent = (contents) => ({ type: 'indent', contents });
+// Lines broken inside contents start at the column where contents starts
+const align = (contents) => ({ type: 'align', contents });
+const ifBreak = (breakContents, flatContents) => ({ type: 'ifBreak', breakContents, flatContents });
+// Formula text that renderToken may style; its width is that of the text
+const token = (kind, text, depth = 0) => ({ type: 'token', kind, text, depth });
+
+/**
+ * Puts a separator document between the items.
+ * @param {*} separator The document between two items.
+ * @param {Array<*>} items The documents.
+ * @returns {Array<*>} The joined document.
+ */
+function join(separator, items) {
+    return items.flatMap((item, index) => (index === 0 ? [item] : [separator, item]));
+}
+
+// --- Printer ---
+
+/**
+ * Checks whether a document, followed by the rest of the output up to its
+ * next possible line break, fits in the remaining width.
+ * @param {Array} next The [indentation, mode, doc] command to measure.
+ * @param {Array<Array>} rest The commands still to print, last first.
+ * @param {number} width The remaining width.
+ * @returns {boolean} Whether it fits.
+ */
+function fits(next, rest, width) {
+    const commands = [next];
+    let restIndex = rest.length;
+    while (width >= 0) {
+        if (!commands.length) {
+            if (restIndex === 0) return true;
+            commands.push(rest[--restIndex]);
+            continue;
+        }
+        const [indentation, mode, doc] = commands.pop();
+        if (typeof doc === 'string') {
+            width -= doc.length;
+        } else if (Array.isArray(doc)) {
+            for (let i = doc.length - 1; i >= 0; i--) commands.push([indentation, mode, doc[i]]);
+        } else if (doc.type === 'token') {
+            width -= doc.text.length;
+        } else if (doc.type === 'group') {
+            // Inside the measured document everything is flat; groups after it may still break
+            commands.push([indentation, mode, doc.contents]);
+        } else if (doc.type === 'indent' || doc.type === 'align') {
+            // Indentation only matters after a break, where measuring stops
+            commands.push([indentation, mode, doc.contents]);
+        } else if (doc.type === 'ifBreak') {
+            commands.push([indentation, mode, mode === 'break' ? doc.breakContents : doc.flatContents]);
+        } else if (doc.type === 'line') {
+            // The rest of the line ends at the first break that is taken
+            if (mode === 'break') return true;
+            if (!doc.soft) width -= 1;
+        }
+    }
+    return false;
+}
+
+/**
+ * Renders a token document through options.renderToken, if set.
+ * @param {object} doc The token document.
+ * @param {object} options The layout options.
+ * @returns {string} The rendered token.
+ */
+function renderToken(doc, options) {
+    if (!options.renderToken) return doc.text;
+    const depth = options.depthCycle > 0 ? doc.depth % options.depthCycle : doc.depth;
+    return options.renderToken(doc.text, doc.kind, depth);
+}
+
+/**
+ * Prints a document.
+ * @param {*} doc The document.
+ * @param {object} options The layout options.
+ * @returns {string} The text, without the prefix.
+ */
+function printDoc(doc, options) {
+    let out = '';
+    let column = options.prefix.length;
+    const commands = [['', 'break', doc]];
+    while (commands.length) {
+        const [indentation, mode, current] = commands.pop();
+        if (typeof current === 'string') {
+            out += current;
+            column += current.length;
+        } else if (Array.isArray(current)) {
+            for (let i = current.length - 1; i >= 0; i--) commands.push([indentation, mode, current[i]]);
+        } else if (current.type === 'token') {
+            out += renderToken(current, options);
+            column += current.text.length;
+        } else if (current.type === 'group') {
+            const flat = fits([indentation, 'flat', current.contents], commands, options.maxWidth - column);
+            commands.push([indentation, flat ? 'flat' : 'break', current.contents]);
+        } else if (current.type === 'indent') {
+            commands.push([indentation + options.tmplIndentTab, mode, current.contents]);
+        } else if (current.type === 'align') {
+            commands.push([' '.repeat(column), mode, current.contents]);
+        } else if (current.type === 'ifBreak') {
+            commands.push([indentation, mode, mode === 'break' ? current.breakContents : current.flatContents]);
+        } else if (current.type === 'line') {
+            if (mode === 'flat') {
+                if (!current.soft) {
+                    out += ' ';
+                    column += 1;
+                }
+            } else {
+                out = `${out.trimEnd()}\n${indentation}`;
+                column = indentation.length;
+            }
+        }
+    }
+    return out;
+}
+
+// --- Syntax tree to document ---
+
+// Operators whose chains are broken when too long: comparison, '&' and arithmetic
+const CHAIN_OPERATORS = ['=', '<>', '<', '>', '<=', '>=', '&', '+', '-', '*', '/', '^'];
+
+const isCall = (node, name) => node && node.type === 'Function' && node.name.toUpperCase() === name;
+
+/**
+ * Turns a syntax tree into a document.
+ * @param {object} root The root node from parseFormula.
+ * @param {object} options The layout options.
+ * @returns {*} The document.
+ */
+function toDoc(root, options) {
+    const separator = options.isEu ? ';' : ',';
+    const decimalSeparator = options.isEu ? ',' : '.';
+    const arrayColumnSeparator = options.isEu ? '\\' : ', ';
+    const translate = options.translateFunctions;
+    const name = (text) => (translate ? translateFunctionName(text, translate.from, translate.to) : text);
+    const operator = (text) => token('operator', text);
+
+    // Nesting depth of the brackets being built, for renderToken
+    let depth = 0;
+    const nested = (build) => {
+        depth++;
+        const contents = build();
+        depth--;
+        return contents;
+    };
+    const bracket = (text, level = depth) => token('bracket', text, level);
+
+    const call = (functionName, args) => {
+        const open = bracket('(');
+        const close = bracket(')');
+        if (!args.length) return [token('function-name', functionName), open, close];
+        const argDocs = nested(() => args.map(doc));
+        return group([token('function-name', functionName), open, indent([softline, join([separator, line], argDocs)]), softline, close]);
+    };
+
+    // IF(c1, v1, IF(c2, v2, ...)) as one IF per line, with the closing parentheses together at the end
+    const ifChain = (node) => {
+        const links = [];
+        let current = node;
+        while (isCall(current, 'IF') && current.arguments.length === 3) {
+            links.push(current);
+            current = current.arguments[2];
+        }
+        const start = depth;
+        const linkDocs = links.map((link, i) => {
+            const open = bracket('(', start + i);
+            depth = start + i + 1;
+            return [token('function-name', name(link.name)), open, doc(link.arguments[0]), separator, ' ', doc(link.arguments[1]), separator, line];
+        });
+        const last = doc(current);
+        depth = start;
+        return group([
+            ...linkDocs,
+            last,
+            links.map((_, i) => bracket(')', start + links.length - 1 - i)),
+        ]);
+    };
+
+    // LET(name, value, ..., calculation) with one pair per line and the values lined up
+    const letPairs = (node) => {
+        const args = node.arguments;
+        const pairCount = (args.length - 1) / 2;
+        const open = bracket('(');
+        const close = bracket(')');
+        const names = Array.from({ length: pairCount }, (_, i) => args[2 * i].value);
+        const width = Math.max(...names.map(text => text.length));
+        const contents = nested(() => [
+            ...names.map((text, i) => [
+                doc(args[2 * i]),
+                separator,
+                ifBreak(' '.repeat(width - text.length + 1), ' '),
+                doc(args[2 * i + 1]),
+            ]),
+            doc(args[args.length - 1]),
+        ]);
+        return group([token('function-name', name(node.name)), open, indent([softline, join([separator, line], contents)]), softline, close]);
+    };
+
+    // a & b & c as one group, broken before or after each operator when it doesn't fit
+    const chain = (node) => {
+        const precedence = INFIX_PRECEDENCE[node.operator];
+        const links = [];
+        let first = node;
+        // Operators of equal precedence are left-associative, so the chain runs down the left operands
+        while (first.type === 'Binary' && INFIX_PRECEDENCE[first.operator] === precedence) {
+            links.unshift([first.operator, first.right]);
+            first = first.left;
+        }
+        const firstDoc = doc(first);
+        const rest = links.map(([op, operand]) => (options.operatorPosition === 'trailing'
+            ? [' ', operator(op), line, doc(operand)]
+            : [line, operator(op), ' ', doc(operand)]));
+        return options.operatorIndent === 'align'
+            ? group(align([firstDoc, ...rest]))
+            : group([firstDoc, indent(rest)]);
+    };
+
+    function doc(node) {
+        switch (node.type) {
+            case 'Number':
+                return token('number', node.raw.replace(/[.,]/, decimalSeparator));
+            case 'Text':
+                return token('text', `"${node.value.replace(/"/g, '""')}"`);
+            case 'Logical':
+                return token('logical', name(node.raw));
+            case 'Error':
+                return token('error', node.value);
+            case 'Reference': {
+                // Localized TRUE/FALSE written without parentheses read as references
+                const logical = translate && translateFunctionName(node.value, translate.from, 'en');
+                return logical === 'TRUE' || logical === 'FALSE' ? token('logical', name(node.value)) : token('range', node.value);
+            }
+            case 'Function':
+                if (options.breakIfChains && isCall(node, 'IF') && node.arguments.length === 3 && isCall(node.arguments[2], 'IF')) {
+                    return ifChain(node);
+                }
+                if (options.alignLetPairs && isCall(node, 'LET') && node.arguments.length >= 3 && node.arguments.length % 2 === 1 &&
+                    node.arguments.every((arg, i) => i % 2 === 1 || i === node.arguments.length - 1 || arg.type === 'Reference')) {
+                    return letPairs(node);
+                }
+                return call(name(node.name), node.arguments);
+            case 'Array':
+                return ['{', join('; ', node.rows.map(row => join(arrayColumnSeparator, row.map(doc)))), '}'];
+            case 'Group': {
+                const open = bracket('(');
+                const close = bracket(')');
+                return group([open, indent([softline, nested(() => doc(node.expression))]), softline, close]);
+            }
+            case 'Prefix':
+                return [operator(node.operator), doc(node.operand)];
+            case 'Postfix':
+                return [doc(node.operand), operator(node.operator)];
+            case 'Binary':
+                if (node.operator === ':') return [doc(node.left), operator(':'), doc(node.right)];
+                if (node.operator === ',') return [doc(node.left), operator(separator), ' ', doc(node.right)];
+                if (node.operator === ' ') return [doc(node.left), ' ', doc(node.right)];
+                if (CHAIN_OPERATORS.includes(node.operator)) return chain(node);
+                return [doc(node.left), ' ', operator(node.operator), ' ', doc(node.right)];
+            case 'Empty':
+                return '';
+            default:
+                throw new Error(`Unknown node type '${node.type}'`);
+        }
+    }
+
+    return doc(root);
+}
+
+/**
+ * Beautifies a formula so that it fits in a maximum line width, breaking
+ * calls and parenthesised subexpressions from the outside in only where
+ * they don't fit.
+ * @param {string} formula The formula, with or without the leading '='.
+ * @param {object} [options] Layout options; see defaultLayoutOptions.
+ * @param {number} [options.maxWidth=80] The line width to fit in, including
+ *   the indentation and the prefix.
+ * @param {boolean} [options.breakIfChains=false] Print IF(..., IF(..., ...))
+ *   chains that don't fit as one IF per line instead of nesting them.
+ * @param {boolean} [options.alignLetPairs=false] Print the name/value pairs
+ *   of a LET that doesn't fit one pair per line, with the values aligned.
+ * @param {string} [options.operatorPosition='leading'] Where an operator
+ *   chain (`a & b & c`, `a + b`, `a > b`) that doesn't fit is broken:
+ *   before each operator ('leading') or after it ('trailing').
+ * @param {string} [options.operatorIndent='indent'] Where the continuation
+ *   lines of a broken chain start: one indent deeper ('indent') or under
+ *   the first operand ('align').
+ * @param {Function} [options.renderToken] Called as (text, kind, depth) for
+ *   every piece of formula text and the prefix, and prints what it returns
+ *   instead, e.g. for highlighting. Kinds are 'prefix', 'function-name',
+ *   'bracket', 'operator', 'range', 'number', 'text', 'logical' and 'error';
+ *   depth is the nesting depth of brackets. Widths are measured on the text.
+ * @param {number} [options.depthCycle=0] Wrap the depth given to renderToken
+ *   at this many levels, as formatFormula does for {{depth}}.
+ * @returns {string} The formatted formula.
+ * @throws {Error} When the formula does not parse.
+ */
+export function layoutFormula(formula, options) {
+    options = { ...defaultLayoutOptions, ...options };
+    const ast = parseFormula(formula, { isEu: options.isEu });
+    if (!ast) return options.prefix ? renderToken(token('prefix', options.prefix), options) : '';
+    const prefix = options.prefix ? renderToken(token('prefix', options.prefix), options) : '';
+    return prefix + printDoc(toDoc(ast, options), options);
+}
@@ -0,0 +1,164 @@
+import { formatFormula } from './formatter.js';
+import { layoutFormula } from './layout.js';
+
+describe('layoutFormula', () => {
+    it('keeps calls that fit on one line', () => {
+        expect(layoutFormula('=IF(A1>0,ROUND(B1,2),"")')).toBe('=IF(A1 > 0, ROUND(B1, 2), "")');
+        expect(layoutFormula('NOW()', { prefix: '' })).toBe('NOW()');
+    });
+
+    it('breaks only the calls that do not fit, outermost first', () => {
+        const formula = '=IF(AND(A1>0,B1<10,C1="Open"),VLOOKUP(A1,Sheet2!A:D,4,FALSE),IFERROR(INDEX(Data!B:B,MATCH(A1,Data!A:A,0)),"none"))';
+        expect(layoutFormula(formula)).toBe([
+            '=IF(',
+            '    AND(A1 > 0, B1 < 10, C1 = "Open"),',
+            '    VLOOKUP(A1, Sheet2!A:D, 4, FALSE),',
+            '    IFERROR(INDEX(Data!B:B, MATCH(A1, Data!A:A, 0)), "none")',
+            ')',
+        ].join('\n'));
+        expect(layoutFormula(formula, { maxWidth: 50, tmplIndentTab: '  ' })).toBe([
+            '=IF(',
+            '  AND(A1 > 0, B1 < 10, C1 = "Open"),',
+            '  VLOOKUP(A1, Sheet2!A:D, 4, FALSE),',
+            '  IFERROR(',
+            '    INDEX(Data!B:B, MATCH(A1, Data!A:A, 0)),',
+            '    "none"',
+            '  )',
+            ')',
+        ].join('\n'));
+    });
+
+    it('breaks parenthesised subexpressions like calls', () => {
+        expect(layoutFormula('=-(AAAAAAAA1+BBBBBBBB1+CCCCCCCC1)', { maxWidth: 36, tmplIndentTab: '  ' })).toBe([
+            '=-(',
+            '  AAAAAAAA1 + BBBBBBBB1 + CCCCCCCC1',
+            ')',
+        ].join('\n'));
+    });
+
+    it('prints nested IF chains vertically when asked', () => {
+        const formula = '=IF(A1>90,"A",IF(A1>80,"B",IF(A1>70,"C","F")))';
+        expect(layoutFormula(formula, { breakIfChains: true, maxWidth: 30 })).toBe([
+            '=IF(A1 > 90, "A",',
+            'IF(A1 > 80, "B",',
+            'IF(A1 > 70, "C",',
+            '"F")))',
+        ].join('\n'));
+        expect(layoutFormula(formula, { breakIfChains: true })).toBe('=IF(A1 > 90, "A", IF(A1 > 80, "B", IF(A1 > 70, "C", "F")))');
+        expect(layoutFormula(formula, { maxWidth: 30 })).toBe([
+            '=IF(',
+            '    A1 > 90,',
+            '    "A",',
+            '    IF(',
+            '        A1 > 80,',
+            '        "B",',
+            '        IF(A1 > 70, "C", "F")',
+            '    )',
+            ')',
+        ].join('\n'));
+    });
+
+    it('aligns LET name/value pairs when asked', () => {
+        const formula = '=LET(total,SUM(A1:A10),n,COUNT(A1:A10),average_value,total/n,IF(n=0,0,average_value*100))';
+        expect(layoutFormula(formula, { alignLetPairs: true, maxWidth: 50 })).toBe([
+            '=LET(',
+            '    total,         SUM(A1:A10),',
+            '    n,             COUNT(A1:A10),',
+            '    average_value, total / n,',
+            '    IF(n = 0, 0, average_value * 100)',
+            ')',
+        ].join('\n'));
+        expect(layoutFormula('=LET(x,1,y,2,x+y)', { alignLetPairs: true })).toBe('=LET(x, 1, y, 2, x + y)');
+    });
+
+    it('keeps operators, literals and European separators', () => {
+        expect(layoutFormula('=-(A1+B1)%*2^3&"say ""hi"""&#N/A')).toBe('=-(A1 + B1)% * 2 ^ 3 & "say ""hi""" & #N/A');
+        expect(layoutFormula('=SUM(1,5;A1:B2;{1;2})', { isEu: true })).toBe('=SUM(1,5; A1:B2; {1; 2})');
+        expect(layoutFormula('=IF(A1,,1)')).toBe('=IF(A1, , 1)');
+    });
+
+    it('translates function names', () => {
+        expect(layoutFormula('=WENN(A1;WAHR;SUMME(B1;B2))', { isEu: true, translateFunctions: { from: 'de', to: 'en' } }))
+            .toBe('=IF(A1; TRUE; SUM(B1; B2))');
+    });
+});
+
+describe('operator chains', () => {
+    const formula = '=IF(A1>0,"Customer "&B1&" owes "&TEXT(C1,"$#,##0.00")&" on invoice "&E1,"")';
+
+    it('stay on one line when they fit', () => {
+        expect(layoutFormula('="Total: "&SUM(A1:A3)&" items"')).toBe('="Total: " & SUM(A1:A3) & " items"');
+    });
+
+    it('break before each operator, one indent deeper, by default', () => {
+        expect(layoutFormula(formula, { maxWidth: 40 })).toBe([
+            '=IF(',
+            '    A1 > 0,',
+            '    "Customer "',
+            '        & B1',
+            '        & " owes "',
+            '        & TEXT(C1, "$#,##0.00")',
+            '        & " on invoice "',
+            '        & E1,',
+            '    ""',
+            ')',
+        ].join('\n'));
+    });
+
+    it('break after each operator, aligned under the first operand', () => {
+        expect(layoutFormula(formula, { maxWidth: 40, operatorPosition: 'trailing', operatorIndent: 'align' })).toBe([
+            '=IF(',
+            '    A1 > 0,',
+            '    "Customer " &',
+            '    B1 &',
+            '    " owes " &',
+            '    TEXT(C1, "$#,##0.00") &',
+            '    " on invoice " &',
+            '    E1,',
+            '    ""',
+            ')',
+        ].join('\n'));
+    });
+
+    it('break arithmetic and comparisons by precedence', () => {
+        expect(layoutFormula('=AAAAAAAAAA1*BBBBBBBBBB1+CCCCCCCCCCCC1-DDDDDDDDDD1>EEEEEEEEEE1', { maxWidth: 30, operatorIndent: 'align' })).toBe([
+            '=AAAAAAAAAA1 * BBBBBBBBBB1',
+            ' + CCCCCCCCCCCC1',
+            ' - DDDDDDDDDD1',
+            ' > EEEEEEEEEE1',
+        ].join('\n'));
+    });
+
+    it('use European separators inside the operands', () => {
+        expect(layoutFormula('=SUMME(AAAAAAAAAAAAAAAA1;1,5)+BBBBBBBBBBBBBBBBBBBBBB1', { maxWidth: 30, isEu: true })).toBe([
+            '=SUMME(AAAAAAAAAAAAAAAA1; 1,5)',
+            '    + BBBBBBBBBBBBBBBBBBBBBB1',
+        ].join('\n'));
+    });
+});
+
+describe('renderToken', () => {
+    it('renders every token and the prefix, measuring widths on the formula text', () => {
+        const formula = '=IF(A1>0,SUM((B1+1),2),"none")';
+        const rendered = layoutFormula(formula, { maxWidth: 20, renderToken: (text, kind, depth) => `<${kind}${kind === 'bracket' ? depth : ''}>${text}` });
+        expect(rendered.replace(/<[a-z-]+\d*>/g, '')).toBe(layoutFormula(formula, { maxWidth: 20 }));
+        expect(rendered.split('\n')[0]).toBe('<prefix>=<function-name>IF<bracket0>(');
+        expect(rendered).toContain('    <function-name>SUM<bracket1>(\n        <bracket2>(<range>B1 <operator>+ <number>1<bracket2>),');
+        expect(rendered).toContain('<text>"none"');
+    });
+
+    it('gives the brackets of broken IF chains their nesting depth', () => {
+        const rendered = layoutFormula('=IF(A1,1,IF(B1,2,3))', { breakIfChains: true, maxWidth: 10, renderToken: (text, kind, depth) => (kind === 'bracket' ? `${text}${depth}` : text) });
+        expect(rendered).toBe('=IF(0A1, 1,\nIF(1B1, 2,\n3)1)0');
+    });
+});
+
+describe('formatFormula with the smart layout', () => {
+    it('uses layoutFormula', () => {
+        expect(formatFormula('=SUM(A1,B1)', { layout: 'smart', tmplIndentTab: '  ' })).toBe('=SUM(A1, B1)');
+    });
+
+    it('falls back to the templates for formulas that do not parse', () => {
+        expect(formatFormula('=SUM(A1,', { layout: 'smart' })).toBe(formatFormula('=SUM(A1,'));
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Conversion between US and European formula syntax.
+ *
+ * The conversion works on the formula text rather than on tokens so that
+ * whitespace, line breaks and everything it does not need to change are
+ * preserved exactly. String literals, quoted sheet names and bracketed
+ * (structured) references are copied untouched.
+ */
+
+/**
+ * Separator conventions keyed by locale id.
+ */
+export const FORMULA_LOCALES = {
+    us: {
+        name: 'US / UK',
+        argumentSeparator: ',',
+        decimalSeparator: '.',
+        arrayColumnSeparator: ',',
+        arrayRowSeparator: ';',
+    },
+    eu: {
+        name: 'European (\\ array columns)',
+        argumentSeparator: ';',
+        decimalSeparator: ',',
+        arrayColumnSeparator: '\\',
+        arrayRowSeparator: ';',
+    },
+    'eu-dot': {
+        name: 'European (. array columns)',
+        argumentSeparator: ';',
+        decimalSeparator: ',',
+        arrayColumnSeparator: '.',
+        arrayRowSeparator: ';',
+    },
+};
+
+/**
+ * Looks up a locale by id, or passes a custom separator object through.
+ * @param {string|object} locale A FORMULA_LOCALES id or a locale object.
+ * @returns {object} The locale object.
+ * @throws {Error} When the id is unknown.
+ */
+function resolveLocale(locale) {
+    if (typeof locale === 'object' && locale !== null) return locale;
+    if (!FORMULA_LOCALES[locale]) throw new Error(`Unknown formula locale '${locale}'`);
+    return FORMULA_LOCALES[locale];
+}
+
+/**
+ * Rewrites a formula from one locale's separators to another's.
+ * @param {string} formula The formula to convert.
+ * @param {string|object} from The locale the formula is written in.
+ * @param {string|object} to The locale to convert to.
+ * @returns {string} The converted formula.
+ * @throws {Error} When a locale id is unknown.
+ */
+export function convertFormulaLocale(formula, from, to) {
+    const source = resolveLocale(from);
+    const target = resolveLocale(to);
+    const contexts = []; // '(' or '{' for each open bracket
+    let result = '';
+    let word = ''; // the run of identifier/number characters before the current one
+    let i = 0;
+
+    // Copies a delimited literal (string, sheet name) including doubled delimiters
+    const copyQuoted = (quote) => {
+        let end = i + 1;
+        while (end < formula.length) {
+            if (formula[end] === quote) {
+                if (formula[end + 1] === quote) {
+                    end += 2;
+                    continue;
+                }
+                end++;
+                break;
+            }
+            end++;
+        }
+        result += formula.slice(i, end);
+        i = end;
+    };
+
+    // Copies a bracketed reference such as Table1[[#Headers],[Col]]
+    const copyBracketed = () => {
+        let depth = 0;
+        let end = i;
+        do {
+            if (formula[end] === '[') depth++;
+            if (formula[end] === ']') depth--;
+            end++;
+        } while (end < formula.length && depth > 0);
+        result += formula.slice(i, end);
+        i = end;
+    };
+
+    const isDigit = (char) => char >= '0' && char <= '9';
+
+    while (i < formula.length) {
+        const char = formula[i];
+        const inArray = contexts[contexts.length - 1] === '{';
+
+        if (char === '"' || char === "'") {
+            copyQuoted(char);
+            word = '';
+            continue;
+        }
+        if (char === '[') {
+            copyBracketed();
+            continue;
+        }
+
+        let output = char;
+        let isWordChar = /[\w.$]/.test(char);
+
+        if (char === '(' || char === '{') {
+            contexts.push(char);
+        } else if (char === ')' || char === '}') {
+            contexts.pop();
+        } else if (inArray && char === source.arrayColumnSeparator && !(char === source.decimalSeparator && /^\d*$/.test(word) && isDigit(formula[i + 1]))) {
+            output = target.arrayColumnSeparator;
+            isWordChar = false;
+        } else if (inArray && char === source.arrayRowSeparator) {
+            output = target.arrayRowSeparator;
+            isWordChar = false;
+        } else if (char === source.decimalSeparator && /^\d*$/.test(word) && isDigit(formula[i + 1])) {
+            output = target.decimalSeparator;
+            isWordChar = true;
+        } else if (!inArray && char === source.argumentSeparator) {
+            output = target.argumentSeparator;
+            isWordChar = false;
+        }
+
+        result += output;
+        word = isWordChar ? word + char : '';
+        i++;
+    }
+
+    return result;
+}
@@ -0,0 +1,37 @@
+import { convertFormulaLocale } from './locale.js';
+
+describe('convertFormulaLocale', () => {
+    it.each([
+        ['=SUM(A1,B1)', '=SUM(A1;B1)'],
+        ['=ROUND(A1*1.5,2)', '=ROUND(A1*1,5;2)'],
+        ['=A1+.25', '=A1+,25'],
+        ['={1,2.5;3,4}', '={1\\2,5;3\\4}'],
+        ['=SUM({1,2},3)', '=SUM({1\\2};3)'],
+        ['=SUM((A1,B1))', '=SUM((A1;B1))'],
+        ['=IF(A1, "a, b. c;", \'My, Sheet\'!A1)', '=IF(A1; "a, b. c;"; \'My, Sheet\'!A1)'],
+        ['=CONCAT("say ""1.5, 2""",A1)', '=CONCAT("say ""1.5, 2""";A1)'],
+        ['=SUM(Table1[[#Headers],[Col 1.5]],1)', '=SUM(Table1[[#Headers],[Col 1.5]];1)'],
+        ['=STDEV.S(Sheet1.5!A1,2)', '=STDEV.S(Sheet1.5!A1;2)'],
+    ])('converts %s from US to European', (us, eu) => {
+        expect(convertFormulaLocale(us, 'us', 'eu')).toBe(eu);
+        expect(convertFormulaLocale(eu, 'eu', 'us')).toBe(us);
+    });
+
+    it('supports dots as European array column separators', () => {
+        expect(convertFormulaLocale('={1.5,2;3,4}', 'us', 'eu-dot')).toBe('={1,5.2;3.4}');
+        expect(convertFormulaLocale('={1,5.2;3.4}', 'eu-dot', 'us')).toBe('={1.5,2;3,4}');
+    });
+
+    it('preserves whitespace and line breaks', () => {
+        expect(convertFormulaLocale('=IF(\n    A1 > 1.5,\n    "x"\n)', 'us', 'eu')).toBe('=IF(\n    A1 > 1,5;\n    "x"\n)');
+    });
+
+    it('accepts custom separator objects', () => {
+        const custom = { argumentSeparator: '|', decimalSeparator: '.', arrayColumnSeparator: ',', arrayRowSeparator: '/' };
+        expect(convertFormulaLocale('=SUM({1,2;3},4)', 'us', custom)).toBe('=SUM({1,2/3}|4)');
+    });
+
+    it('rejects unknown locales', () => {
+        expect(() => convertFormulaLocale('=1', 'us', 'xx')).toThrow("Unknown formula locale 'xx'");
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Checks location mappings before conversion, so names Google Sheets would
+ * reject in a LET and locations that are not cells are caught while the
+ * mappings are edited.
+ */
+import { isFunctionName } from './functionNames.js';
+import { generateNameFromField, readMappingRows } from './mappings.js';
+
+/**
+ * Keys a mapping may have; anything else is ignored by the converters.
+ */
+export const MAPPING_KEYS = ['field', 'location', 'name', 'let_name', 'column', 'url', 'airtable_field', 'type'];
+
+/**
+ * Functions the Smartsheet converter itself emits, on top of the translated
+ * function names.
+ */
+const GENERATED_FUNCTIONS = ['ARRAYFORMULA', 'BYROW', 'HSTACK', 'IMPORTRANGE', 'LAMBDA', 'MAP', 'VSTACK'];
+
+const LET_NAME = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+// A1 cells (ab12) and R1C1 references (r1c1, rc, r, c) can't be names
+const CELL_LIKE_NAME = /^(?:[A-Za-z]{1,3}\d+|[Rr]\d*[Cc]?\d*|[Cc]\d*)$/;
+const SHEET = "(?:'(?:[^']|'')+'|[A-Za-z0-9_.]+)!";
+const A1_CELL = new RegExp(`^(?:${SHEET})?\\$?[A-Z]{1,3}\\$?[1-9]\\d*$`, 'i');
+const A1_RANGE = new RegExp(`^(?:${SHEET})?\\$?[A-Z]{1,3}\\$?(?:[1-9]\\d*)?:\\$?[A-Z]{1,3}\\$?(?:[1-9]\\d*)?$`, 'i');
+
+/**
+ * Returns the reason a LET name would be rejected, if any.
+ * @param {string} name The name.
+ * @returns {string|null} The reason, or null for a usable name.
+ */
+function nameProblem(name) {
+    if (!name) return 'is empty';
+    if (!LET_NAME.test(name)) return 'is not a valid LET name (use letters, digits and underscores, not starting with a digit)';
+    if (CELL_LIKE_NAME.test(name)) return 'looks like a cell reference';
+    if (isFunctionName(name) || GENERATED_FUNCTIONS.includes(name.toUpperCase())) return 'is a function name';
+    return null;
+}
+
+/**
+ * Validates the mappings text of the mappings panel.
+ *
+ * Each issue is `{severity, message, row, suggestion}`: `row` is the 1-based
+ * position of the mapping (0 for the text as a whole) and `suggestion`, for
+ * unusable or clashing names, is a unique name to use instead.
+ * @param {string} text The mappings as a JSON array or CSV table.
+ * @param {string} [format='json'] Either 'json' or 'csv'.
+ * @returns {Array<{severity: string, message: string, row: number, suggestion?: string}>}
+ *   Errors (the generated formula will not work) and warnings.
+ */
+export function validateMappings(text, format = 'json') {
+    let rows;
+    try {
+        rows = readMappingRows(text, format);
+    } catch (error) {
+        return [{ severity: 'error', message: error.message, row: 0 }];
+    }
+
+    const issues = [];
+    const report = (severity, row, message, suggestion) => {
+        issues.push(suggestion ? { severity, message, row, suggestion } : { severity, message, row });
+    };
+
+    const unknownKeys = new Set();
+    rows.forEach(mapping => {
+        if (mapping && typeof mapping === 'object') {
+            Object.keys(mapping).filter(key => !MAPPING_KEYS.includes(key)).forEach(key => unknownKeys.add(key));
+        }
+    });
+    unknownKeys.forEach(key => {
+        report('warning', 0, `Unknown ${format === 'csv' ? 'column' : 'key'} '${key}' is ignored.`);
+    });
+
+    const names = rows.map(mapping => (mapping && typeof mapping.field === 'string' && !mapping.field.startsWith('{')
+        ? (mapping.name || generateNameFromField(mapping.field))
+        : null));
+    const taken = new Set(names.filter(Boolean).map(name => name.toLowerCase()));
+    // Suggests name_2, name_3, ... skipping every name already in use
+    const uniqueName = (base) => {
+        let candidate = base;
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${base}_${n}`;
+        taken.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    const seenFields = new Map();
+    const seenNames = new Map();
+    rows.forEach((mapping, index) => {
+        const row = index + 1;
+        if (!mapping || typeof mapping.field !== 'string' || !mapping.field.trim()) {
+            report('error', row, `Mapping ${row} has no field.`);
+            return;
+        }
+        const { field } = mapping;
+        if (seenFields.has(field)) {
+            report('error', row, `'${field}' is mapped again (first in mapping ${seenFields.get(field)}); only the first mapping is used.`);
+            return;
+        }
+        seenFields.set(field, row);
+
+        const location = (mapping.location || '').trim();
+        const crossSheet = field.startsWith('{');
+        if (!location) {
+            report('warning', row, `'${field}' has no location, so references to it stay unconverted.`);
+        } else if (crossSheet ? !A1_RANGE.test(location) && !A1_CELL.test(location) : !A1_CELL.test(location)) {
+            report('error', row, `'${location}' is not a valid ${crossSheet ? 'range' : 'A1 cell'} for '${field}'.`);
+        }
+        if (mapping.column && !/^[A-Z]{1,3}$/i.test(mapping.column)) {
+            report('error', row, `'${mapping.column}' is not a column for '${field}'; use letters such as B.`);
+        }
+        if (crossSheet) return;
+
+        const name = names[index];
+        const problem = nameProblem(name);
+        if (problem) {
+            const base = name && LET_NAME.test(name) ? `${name}_col` : `col_${row}`;
+            report('error', row, `The name '${name}' for '${field}' ${problem}.`, uniqueName(base));
+        } else if (seenNames.has(name.toLowerCase())) {
+            const first = seenNames.get(name.toLowerCase());
+            report('error', row, `'${field}' and '${rows[first - 1].field}' both use the name '${name}'.`, uniqueName(name));
+        } else {
+            seenNames.set(name.toLowerCase(), row);
+        }
+    });
+    return issues;
+}
@@ -0,0 +1,76 @@
+import { validateMappings } from './mappingValidation.js';
+
+const validate = (mappings) => validateMappings(JSON.stringify(mappings), 'json');
+
+describe('validateMappings', () => {
+    it('accepts valid mappings', () => {
+        expect(validate([
+            { field: 'Status', location: 'A2' },
+            { field: 'Due Date', location: "'Data Sheet'!$C$2", column: 'c' },
+            { field: '{Budget}', location: 'Budget!A2:B', url: 'https://example.com' },
+        ])).toEqual([]);
+    });
+
+    it('flags colliding names with a unique suggestion', () => {
+        expect(validate([
+            { field: 'Amount num', location: 'A2' },
+            { field: 'Amount#', location: 'B2' },
+            { field: 'Other', location: 'C2', name: 'amount_num_2' },
+        ])).toEqual([
+            { severity: 'error', row: 2, message: "'Amount#' and 'Amount num' both use the name 'amount_num'.", suggestion: 'amount_num_3' },
+        ]);
+    });
+
+    it.each([
+        ['AB12', 'ab12', 'looks like a cell reference', 'ab12_col'],
+        ['R1C1', 'r1c1', 'looks like a cell reference', 'r1c1_col'],
+        ['123', 'c123', 'looks like a cell reference', 'c123_col'],
+        ['Sum', 'sum', 'is a function name', 'sum_col'],
+        ['If', 'if', 'is a function name', 'if_col'],
+        ['Lambda', 'lambda', 'is a function name', 'lambda_col'],
+        ['%%', '', 'is empty', 'col_1'],
+    ])('flags the name generated for %s', (field, name, problem, suggestion) => {
+        expect(validate([{ field, location: 'A2' }])).toEqual([
+            { severity: 'error', row: 1, message: `The name '${name}' for '${field}' ${problem}.`, suggestion },
+        ]);
+    });
+
+    it('flags invalid explicit names', () => {
+        expect(validate([{ field: 'Status', location: 'A2', name: '1st status' }])[0]).toMatchObject({
+            message: "The name '1st status' for 'Status' is not a valid LET name (use letters, digits and underscores, not starting with a digit).",
+            suggestion: 'col_1',
+        });
+    });
+
+    it('checks locations and columns', () => {
+        expect(validate([
+            { field: 'Alpha', location: 'A0' },
+            { field: 'Beta', location: 'B2:B' },
+            { field: 'Gamma', location: '' },
+            { field: 'Delta', location: 'D2', column: 'D1' },
+            { field: '{E}', location: 'nowhere' },
+        ]).map(issue => `${issue.severity}: ${issue.message}`)).toEqual([
+            "error: 'A0' is not a valid A1 cell for 'Alpha'.",
+            "error: 'B2:B' is not a valid A1 cell for 'Beta'.",
+            "warning: 'Gamma' has no location, so references to it stay unconverted.",
+            "error: 'D1' is not a column for 'Delta'; use letters such as B.",
+            "error: 'nowhere' is not a valid range for '{E}'.",
+        ]);
+    });
+
+    it('flags duplicate fields and missing fields', () => {
+        expect(validate([{ field: 'Status', location: 'A2' }, { field: 'Status', location: 'B2' }, { location: 'C2' }])).toEqual([
+            { severity: 'error', row: 2, message: "'Status' is mapped again (first in mapping 1); only the first mapping is used." },
+            { severity: 'error', row: 3, message: 'Mapping 3 has no field.' },
+        ]);
+    });
+
+    it('flags extra CSV columns and unparseable text', () => {
+        expect(validateMappings('field,location,notes\nStatus,A2,x', 'csv')).toEqual([
+            { severity: 'warning', row: 0, message: "Unknown column 'notes' is ignored." },
+        ]);
+        expect(validateMappings('field\nStatus', 'csv')).toEqual([
+            { severity: 'error', row: 0, message: "CSV must contain 'location' column" },
+        ]);
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * Location mappings: the field -> cell reference tables used by the
+ * Smartsheet converters, in JSON or CSV form.
+ */
+import { formatCsvValue, parseCsvLine, splitCsvRecords } from './csv.js';
+
+/**
+ * Generates a name from a field using the specified transformation rules.
+ * @param {string} field The field name to transform.
+ * @returns {string} The generated name.
+ */
+export function generateNameFromField(field) {
+    return field
+        .replace(/^(\d)/g, "c$1")           // Add 'c' prefix to fields starting with digit
+        .replace(/#$/g, " num")              // Replace trailing # with " num"
+        .replace(/[^a-zA-Z0-9 ]/g, "")       // Remove non-alphanumeric characters except spaces
+        .replace(/ /g, "_")                  // Replace spaces with underscores
+        .toLowerCase();                      // Convert to lowercase
+}
+
+/**
+ * Fills in the optional name and let_name of a mapping when missing.
+ * @param {object} mapping A mapping with at least field and location.
+ * @returns {object} The same mapping object.
+ */
+function completeMapping(mapping) {
+    // Generate name from field if not provided
+    if (!mapping.name) {
+        mapping.name = generateNameFromField(mapping.field);
+    }
+
+    // Calculate let_name if not provided
+    if (!mapping.let_name) {
+        mapping.let_name = `${mapping.name},${mapping.location},`;
+    }
+    return mapping;
+}
+
+/**
+ * Convert CSV string to location mappings array
+ * @param {string} csvString - CSV string with headers: field,location,name,let_name
+ * @returns {Array} Array of mapping objects
+ */
+export function convertCsvToMappings(csvString) {
+    return readCsvRows(csvString).map(completeMapping);
+}
+
+/**
+ * Reads the rows of a mappings CSV as written, keyed by lower-case header.
+ * @param {string} csvString CSV with at least the field and location columns.
+ * @returns {Array<object>} One object per data row.
+ * @throws {Error} When a required column is missing or a row has the wrong
+ *   number of values.
+ */
+function readCsvRows(csvString) {
+    if (!csvString.trim()) return [];
+
+    const lines = splitCsvRecords(csvString.trim());
+    if (lines.length < 2) {
+        throw new Error('CSV must have at least a header row and one data row');
+    }
+
+    // Parse header row
+    const headers = parseCsvLine(lines[0]).map(h => h.trim().toLowerCase());
+    const requiredHeaders = ['field', 'location'];
+
+    // Check for required headers
+    for (const required of requiredHeaders) {
+        if (!headers.includes(required)) {
+            throw new Error(`CSV must contain '${required}' column`);
+        }
+    }
+
+    // Parse data rows
+    const mappings = [];
+    for (let i = 1; i < lines.length; i++) {
+        const values = parseCsvLine(lines[i]);
+        if (values.length !== headers.length) {
+            throw new Error(`Row ${i + 1} has ${values.length} columns, expected ${headers.length}`);
+        }
+
+        const mapping = {};
+        headers.forEach((header, index) => {
+            mapping[header] = values[index];
+        });
+
+        mappings.push(mapping);
+    }
+
+    return mappings;
+}
+
+/**
+ * Parses location mappings from the text of the mappings panel.
+ * @param {string} text The mappings as a JSON array or CSV table.
+ * @param {string} [format='json'] Either 'json' or 'csv'.
+ * @returns {Array} Array of mapping objects with name and let_name filled in.
+ */
+export function parseLocationMappings(text, format = 'json') {
+    if (format === 'csv') {
+        return convertCsvToMappings(text);
+    }
+    const mappings = text ? JSON.parse(text) : [];
+    return mappings.map(completeMapping);
+}
+
+/**
+ * Reads the mappings of the mappings panel as written, without filling in
+ * name and let_name, so they can be edited and written back.
+ * @param {string} text The mappings as a JSON array or CSV table.
+ * @param {string} [format='json'] Either 'json' or 'csv'.
+ * @returns {Array<object>} The mapping objects.
+ * @throws {Error} When the text is not a valid mapping list.
+ */
+export function readMappingRows(text, format = 'json') {
+    if (format === 'csv') return readCsvRows(text);
+    const mappings = text.trim() ? JSON.parse(text) : [];
+    if (!Array.isArray(mappings)) {
+        throw new Error('Location mappings must be a JSON array');
+    }
+    return mappings;
+}
+
+/**
+ * Changes one value of a mapping row as edited in the mappings table. A blank
+ * name is removed so the generated one is used, and a changed name or
+ * location drops the let_name, which was built from them.
+ * @param {object} mapping The mapping as written.
+ * @param {string} key The key being edited, e.g. 'name'.
+ * @param {string} value The new value.
+ * @returns {object} The updated copy of the mapping.
+ */
+export function updateMappingRow(mapping, key, value) {
+    const next = { ...mapping, [key]: value };
+    if (key === 'name' && !value) delete next.name;
+    if ((key === 'name' || key === 'location') && value !== mapping[key]) delete next.let_name;
+    return next;
+}
+
+// Same spacing as the default mappings: {"field": "Status", "location": "A2"}
+const formatJsonEntry = (mapping) => `{${Object.entries(mapping).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')}}`;
+
+/**
+ * Appends a mapping to the text of the mappings panel, keeping the existing
+ * text as written.
+ * @param {string} text The mappings as a JSON array or CSV table.
+ * @param {string} format Either 'json' or 'csv'.
+ * @param {object} mapping The mapping to add, e.g. `{ field, location }`.
+ * @returns {string} The mappings text with the new entry at the end.
+ * @throws {Error} When the existing JSON is not an array.
+ */
+export function appendMapping(text, format, mapping) {
+    if (format === 'csv') {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            return `field,location\n${formatCsvValue(mapping.field)},${formatCsvValue(mapping.location)}`;
+        }
+        const headers = parseCsvLine(trimmed.split('\n')[0]).map(h => h.trim().toLowerCase());
+        return `${trimmed}\n${headers.map(header => formatCsvValue(mapping[header])).join(',')}`;
+    }
+
+    const existing = text.trim() ? JSON.parse(text) : [];
+    if (!Array.isArray(existing)) {
+        throw new Error('Location mappings must be a JSON array');
+    }
+    const entry = formatJsonEntry(mapping);
+    if (existing.length === 0) return `[${entry}]`;
+    const end = text.lastIndexOf(']');
+    return `${text.slice(0, end).trimEnd()}, ${entry}${text.slice(end)}`;
+}
+
+/**
+ * Writes mappings as the text of the mappings panel: a JSON array with one
+ * mapping per line, or a CSV table whose columns are field, location and
+ * then any other keys in order of appearance (empty when there are none).
+ * @param {Array<object>} mappings The mappings.
+ * @param {string} format Either 'json' or 'csv'.
+ * @returns {string} The mappings text.
+ */
+export function formatMappings(mappings, format) {
+    if (format === 'csv') {
+        if (!mappings.length) return '';
+        const headers = ['field', 'location'];
+        mappings.forEach(mapping => Object.keys(mapping).forEach(key => {
+            if (!headers.includes(key)) headers.push(key);
+        }));
+        const rows = mappings.map(mapping => headers.map(header => formatCsvValue(mapping[header])).join(','));
+        return [headers.join(','), ...rows].join('\n');
+    }
+    if (!mappings.length) return '[]';
+    return `[\n  ${mappings.map(formatJsonEntry).join(',\n  ')}\n]`;
+}
+
+/**
+ * Rewrites the mappings text in the other format, keeping every key. Blank
+ * CSV cells of optional columns are left out of the JSON, since a CSV table
+ * has a cell for every key whether a mapping sets it or not.
+ * @param {string} text The mappings as a JSON array or CSV table.
+ * @param {string} from The format of the text, 'json' or 'csv'.
+ * @param {string} to The format to write, 'json' or 'csv'.
+ * @returns {string} The mappings text in the new format.
+ * @throws {Error} When the text is not a valid mapping list.
+ */
+export function convertMappingsText(text, from, to) {
+    if (from === to) return text;
+    let mappings = readMappingRows(text, from);
+    if (from === 'csv') {
+        mappings = mappings.map(mapping => Object.fromEntries(Object.entries(mapping)
+            .filter(([key, value]) => value !== '' || key === 'field' || key === 'location')));
+    }
+    return formatMappings(mappings, to);
+}
+
+/**
+ * Writes the mappings for download, with the generated name and let_name of
+ * every mapping filled in.
+ * @param {string} text The mappings as a JSON array or CSV table.
+ * @param {string} from The format of the text, 'json' or 'csv'.
+ * @param {string} to The format of the file, 'json' or 'csv'.
+ * @returns {string} The file contents.
+ * @throws {Error} When the text is not a valid mapping list.
+ */
+export function exportMappings(text, from, to) {
+    const mappings = readMappingRows(text, from).map(completeMapping).map(({ field, location, name, let_name, ...rest }) => ({
+        field, location, name, let_name, ...rest,
+    }));
+    return formatMappings(mappings, to);
+}
+
+/**
+ * Converts a zero-based column index to its letters: 0 -> A, 25 -> Z, 26 -> AA.
+ * @param {number} index The column index.
+ * @returns {string} The column letters.
+ */
+export function columnLetters(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Converts column letters to a zero-based index: A -> 0, AA -> 26.
+ * @param {string} letters The column letters, in either case.
+ * @returns {number} The column index.
+ * @throws {Error} When the text is not a column.
+ */
+export function columnIndex(letters) {
+    if (!/^[A-Z]+$/i.test(letters)) {
+        throw new Error(`'${letters}' is not a column; use letters such as A or AB`);
+    }
+    return letters.toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Splits the header row of a sheet, pasted or exported: the first line of
+ * the text, separated by tabs when it has any (as copied from a sheet or a
+ * TSV) and by commas otherwise.
+ * @param {string} text The header row, or a whole CSV/TSV export.
+ * @returns {Array<string>} The column headers; blank columns are empty strings.
+ */
+export function parseHeaderRow(text) {
+    const line = text.replace(/^\uFEFF/, '').split(/\r?\n/).find(row => row.trim()) || '';
+    return parseCsvLine(line, line.includes('\t') ? '\t' : ',');
+}
+
+/**
+ * Builds one mapping per header, with locations on the given data row from
+ * the starting column onwards. Blank headers are skipped but still take up
+ * their column.
+ * @param {Array<string>} headers The column headers.
+ * @param {object} [options]
+ * @param {number} [options.row=2] The first data row.
+ * @param {string} [options.startColumn='A'] The column of the first header.
+ * @returns {Array<{field: string, location: string, name: string}>} The mappings.
+ * @throws {Error} When the row or start column is invalid.
+ */
+export function buildMappingsFromHeader(headers, options = {}) {
+    const row = options.row === undefined ? 2 : Number(options.row);
+    if (!Number.isInteger(row) || row < 1) {
+        throw new Error('The data row must be a whole number of at least 1');
+    }
+    const start = columnIndex(options.startColumn || 'A');
+    return headers
+        .map((field, index) => ({ field, location: `${columnLetters(start + index)}${row}`, name: generateNameFromField(field) }))
+        .filter(mapping => mapping.field);
+}
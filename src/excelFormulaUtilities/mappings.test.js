@@ -0,0 +1,180 @@
+import {
+    appendMapping,
+    buildMappingsFromHeader,
+    columnIndex,
+    columnLetters,
+    convertCsvToMappings,
+    convertMappingsText,
+    exportMappings,
+    formatMappings,
+    generateNameFromField,
+    parseHeaderRow,
+    parseLocationMappings,
+    readMappingRows,
+    updateMappingRow,
+} from './mappings.js';
+
+describe('generateNameFromField', () => {
+    it.each([
+        ['Status', 'status'],
+        ['Due Date', 'due_date'],
+        ['123Field', 'c123field'],
+        ['Field#', 'field_num'],
+        ['Cost ($)', 'cost_'],
+    ])('%s -> %s', (field, name) => {
+        expect(generateNameFromField(field)).toBe(name);
+    });
+});
+
+describe('convertCsvToMappings', () => {
+    it('parses quoted values and fills in name and let_name', () => {
+        expect(convertCsvToMappings('field,location\n"Status","A2"\n"Amount, USD",B2')).toEqual([
+            { field: 'Status', location: 'A2', name: 'status', let_name: 'status,A2,' },
+            { field: 'Amount, USD', location: 'B2', name: 'amount_usd', let_name: 'amount_usd,B2,' },
+        ]);
+    });
+
+    it('keeps explicit names', () => {
+        expect(convertCsvToMappings('field,location,name\nStatus,A2,st')[0]).toMatchObject({ name: 'st', let_name: 'st,A2,' });
+    });
+
+    it('returns an empty list for blank input', () => {
+        expect(convertCsvToMappings('  ')).toEqual([]);
+    });
+
+    it('rejects missing columns and ragged rows', () => {
+        expect(() => convertCsvToMappings('field\nStatus')).toThrow("CSV must contain 'location' column");
+        expect(() => convertCsvToMappings('field,location\nStatus')).toThrow('Row 2 has 1 columns, expected 2');
+        expect(() => convertCsvToMappings('field,location')).toThrow('at least a header row');
+    });
+});
+
+describe('parseLocationMappings', () => {
+    it('completes JSON mappings', () => {
+        expect(parseLocationMappings('[{"field": "Field#", "location": "D2"}]')).toEqual([
+            { field: 'Field#', location: 'D2', name: 'field_num', let_name: 'field_num,D2,' },
+        ]);
+    });
+
+    it('delegates CSV to convertCsvToMappings', () => {
+        expect(parseLocationMappings('field,location\nStatus,A2', 'csv')).toHaveLength(1);
+    });
+
+    it('treats empty JSON input as no mappings', () => {
+        expect(parseLocationMappings('')).toEqual([]);
+    });
+});
+
+describe('appendMapping', () => {
+    it('appends to a JSON array without reformatting it', () => {
+        expect(appendMapping('[{"field": "Status", "location": "A2"}]\n', 'json', { field: 'Amount', location: '' }))
+            .toBe('[{"field": "Status", "location": "A2"}, {"field": "Amount", "location": ""}]\n');
+    });
+
+    it('starts a JSON array when there are no mappings yet', () => {
+        expect(appendMapping('', 'json', { field: 'Amount', location: '' })).toBe('[{"field": "Amount", "location": ""}]');
+    });
+
+    it('appends a CSV row matching the existing columns', () => {
+        expect(appendMapping('field,location,name\nStatus,A2,st', 'csv', { field: 'Amount, USD', location: '' }))
+            .toBe('field,location,name\nStatus,A2,st\n"Amount, USD",,');
+    });
+
+    it('adds a CSV header when there are no mappings yet', () => {
+        expect(appendMapping('', 'csv', { field: 'Amount', location: '' })).toBe('field,location\nAmount,');
+    });
+});
+
+describe('updateMappingRow', () => {
+    const row = { field: 'Status', location: 'A2', name: 'st', let_name: 'st,A2,' };
+
+    it.each([['name', 'status'], ['location', 'B2']])('drops the let_name when the %s changes', (key, value) => {
+        expect(updateMappingRow(row, key, value)).toEqual({ field: 'Status', location: 'A2', name: 'st', [key]: value });
+        expect(row.let_name).toBe('st,A2,');
+    });
+
+    it('keeps the let_name when other values change', () => {
+        expect(updateMappingRow(row, 'field', 'State')).toEqual({ ...row, field: 'State' });
+        expect(updateMappingRow(row, 'location', 'A2')).toEqual(row);
+    });
+
+    it('removes a blank name so the generated one is used', () => {
+        expect(updateMappingRow(row, 'name', '')).toEqual({ field: 'Status', location: 'A2' });
+    });
+});
+
+describe('mapping builder', () => {
+    it.each([[0, 'A'], [25, 'Z'], [26, 'AA'], [51, 'AZ'], [52, 'BA'], [701, 'ZZ'], [702, 'AAA']])('column %i is %s', (index, letters) => {
+        expect(columnLetters(index)).toBe(letters);
+        expect(columnIndex(letters.toLowerCase())).toBe(index);
+    });
+
+    it('rejects invalid columns', () => {
+        expect(() => columnIndex('A1')).toThrow("'A1' is not a column; use letters such as A or AB");
+    });
+
+    it('splits tab- and comma-separated header rows', () => {
+        expect(parseHeaderRow('Status\tDue Date\t\tAmount, USD\n1\t2\t3\t4')).toEqual(['Status', 'Due Date', '', 'Amount, USD']);
+        expect(parseHeaderRow('\uFEFFStatus,"Amount, USD"\r\nOpen,5')).toEqual(['Status', 'Amount, USD']);
+    });
+
+    it('builds mappings from the starting column, skipping blank headers', () => {
+        expect(buildMappingsFromHeader(['Status', '', 'Field#'], { row: 3, startColumn: 'y' })).toEqual([
+            { field: 'Status', location: 'Y3', name: 'status' },
+            { field: 'Field#', location: 'AA3', name: 'field_num' },
+        ]);
+        expect(() => buildMappingsFromHeader(['A'], { row: 0 })).toThrow('The data row must be a whole number of at least 1');
+    });
+
+    it('writes and reads mappings in both formats', () => {
+        const mappings = [{ field: 'Status', location: 'A2' }, { field: 'Amount, USD', location: 'B2', name: 'amount' }];
+        expect(formatMappings(mappings, 'json'))
+            .toBe('[\n  {"field": "Status", "location": "A2"},\n  {"field": "Amount, USD", "location": "B2", "name": "amount"}\n]');
+        expect(formatMappings(mappings, 'csv')).toBe('field,location,name\nStatus,A2,\n"Amount, USD",B2,amount');
+        expect(readMappingRows(formatMappings(mappings, 'json'), 'json')).toEqual(mappings);
+        expect(readMappingRows(formatMappings(mappings, 'csv'), 'csv')).toEqual([
+            { field: 'Status', location: 'A2', name: '' },
+            { field: 'Amount, USD', location: 'B2', name: 'amount' },
+        ]);
+        expect(() => readMappingRows('{}', 'json')).toThrow('Location mappings must be a JSON array');
+    });
+});
+
+describe('convertMappingsText', () => {
+    const json = '[{"field": "Status", "location": "A2"}, {"field": "Note \\"x\\", y", "location": "B2", "name": "note", "type": "date"}]';
+
+    it('converts JSON to CSV and back without losing keys', () => {
+        const csv = convertMappingsText(json, 'json', 'csv');
+        expect(csv).toBe('field,location,name,type\nStatus,A2,,\n"Note ""x"", y",B2,note,date');
+        expect(readMappingRows(convertMappingsText(csv, 'csv', 'json'), 'json')).toEqual(JSON.parse(json));
+    });
+
+    it('keeps line breaks inside quoted CSV values', () => {
+        const mappings = [{ field: 'Two\nlines', location: 'A2' }];
+        const csv = formatMappings(mappings, 'csv');
+        expect(readMappingRows(csv, 'csv')).toEqual(mappings);
+        expect(readMappingRows(convertMappingsText(csv, 'csv', 'json'), 'json')).toEqual(mappings);
+    });
+
+    it('leaves the text alone when the format does not change', () => {
+        expect(convertMappingsText('not json', 'json', 'json')).toBe('not json');
+        expect(() => convertMappingsText('not json', 'json', 'csv')).toThrow();
+    });
+});
+
+describe('CSV mappings', () => {
+    it('keep quoted values with spaces and quotes through a round trip', () => {
+        const rows = [{ field: ' Padded ', location: 'A2' }, { field: 'Say "hi"', location: 'B2' }, { field: '"Quoted"', location: 'C2' }];
+        expect(readMappingRows(formatMappings(rows, 'csv'), 'csv')).toEqual(rows);
+    });
+});
+
+describe('exportMappings', () => {
+    it('includes the generated name and let_name columns', () => {
+        const text = 'location,field,column\nA2,Due Date,C';
+        expect(exportMappings(text, 'csv', 'csv'))
+            .toBe('field,location,name,let_name,column\nDue Date,A2,due_date,"due_date,A2,",C');
+        expect(exportMappings(text, 'csv', 'json'))
+            .toBe('[\n  {"field": "Due Date", "location": "A2", "name": "due_date", "let_name": "due_date,A2,", "column": "C"}\n]');
+    });
+});
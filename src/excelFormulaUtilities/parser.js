@@ -0,0 +1,304 @@
+/**
+ * Builds an abstract syntax tree from the token stream produced by getTokens,
+ * and prints a tree back to formula text.
+ *
+ * Node shapes (all have a `type`):
+ *   Number     { value: number, raw }
+ *   Text       { value }                    unescaped string contents
+ *   Logical    { value: boolean, raw }
+ *   Error      { value }                    e.g. '#N/A'
+ *   Reference  { value }                    e.g. 'A1', 'A1:B2', 'Sheet1!A1', 'Table1[Col]'
+ *   Function   { name, arguments: Node[] }
+ *   Array      { rows: Node[][] }
+ *   Group      { expression }               a parenthesised subexpression
+ *   Prefix     { operator, operand }        '-'
+ *   Postfix    { operator, operand }        '%'
+ *   Binary     { operator, left, right }
+ *   Empty      {}                           an omitted argument, as in IF(A1,,1)
+ *
+ * Simple ranges such as A1:B2 are kept inside a single Reference; the ':'
+ * operator only appears in a Binary node when the tokenizer emits it.
+ */
+import { getTokens } from './tokenizer.js';
+import {
+    TOK_TYPE_OPERAND,
+    TOK_TYPE_FUNCTION,
+    TOK_TYPE_SUBEXPR,
+    TOK_TYPE_ARGUMENT,
+    TOK_TYPE_OP_PRE,
+    TOK_TYPE_OP_IN,
+    TOK_TYPE_OP_POST,
+    TOK_SUBTYPE_START,
+    TOK_SUBTYPE_STOP,
+    TOK_SUBTYPE_TEXT,
+    TOK_SUBTYPE_NUMBER,
+    TOK_SUBTYPE_LOGICAL,
+    TOK_SUBTYPE_ERROR,
+    TOK_SUBTYPE_INTERSECT,
+    TOK_SUBTYPE_UNION,
+} from './tokens.js';
+
+const INTERSECT = ' ';
+const UNION = ',';
+
+/**
+ * Binding power of each infix operator, lowest first. All Excel infix
+ * operators are left-associative, including '^'.
+ */
+export const INFIX_PRECEDENCE = {
+    '=': 10, '<>': 10, '<': 10, '>': 10, '<=': 10, '>=': 10,
+    '&': 20,
+    '+': 30, '-': 30,
+    '*': 40, '/': 40,
+    '^': 50,
+    [UNION]: 80,
+    [INTERSECT]: 90,
+    ':': 100,
+};
+
+// Negation binds tighter than '%' and '^' (so -2^2 is 4, as in Excel).
+export const PREFIX_PRECEDENCE = 70;
+export const POSTFIX_PRECEDENCE = 60;
+
+/**
+ * Normalizes an infix token to the operator stored on Binary nodes, so
+ * unions and intersections do not depend on the locale or on whitespace.
+ * @param {F_token} token An infix operator token.
+ * @returns {string} The operator.
+ */
+function infixOperator(token) {
+    if (token.subtype === TOK_SUBTYPE_INTERSECT) return INTERSECT;
+    if (token.subtype === TOK_SUBTYPE_UNION) return UNION;
+    return token.value;
+}
+
+/**
+ * Parses a formula into an abstract syntax tree.
+ * @param {string} formula The formula, with or without the leading '='.
+ * @param {object} [options] Parser options.
+ * @param {boolean} [options.isEu=false] Treat `;` as the argument separator.
+ * @returns {object|null} The root node, or null for an empty formula.
+ * @throws {Error} When the token stream is not a well-formed expression. Errors
+ *   caused by a tokenizer diagnostic carry it as `error.diagnostic`.
+ */
+export function parseFormula(formula, options = {}) {
+    const tokenList = getTokens(formula, options);
+    const firstError = tokenList.diagnostics.find(diagnostic => diagnostic.severity === 'error');
+    if (firstError) {
+        const error = new Error(firstError.message);
+        error.diagnostic = firstError;
+        throw error;
+    }
+    const tokens = tokenList.items;
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isStop = (token) => token && token.subtype === TOK_SUBTYPE_STOP;
+
+    function parseExpression(minPrecedence) {
+        let left = parsePrefix();
+
+        for (;;) {
+            const token = peek();
+            if (!token) break;
+
+            if (token.type === TOK_TYPE_OP_POST) {
+                if (POSTFIX_PRECEDENCE < minPrecedence) break;
+                index++;
+                left = { type: 'Postfix', operator: token.value, operand: left };
+                continue;
+            }
+
+            if (token.type !== TOK_TYPE_OP_IN) break;
+            const operator = infixOperator(token);
+            const precedence = INFIX_PRECEDENCE[operator];
+            if (precedence === undefined) {
+                throw new Error(`Unknown operator '${token.value}'`);
+            }
+            if (precedence < minPrecedence) break;
+            index++;
+            // Left-associative: the right operand may only hold tighter operators
+            const right = parseExpression(precedence + 1);
+            left = { type: 'Binary', operator, left, right };
+        }
+
+        return left;
+    }
+
+    function parsePrefix() {
+        const token = peek();
+        if (!token) throw new Error('Unexpected end of formula');
+
+        if (token.type === TOK_TYPE_OP_PRE) {
+            index++;
+            return { type: 'Prefix', operator: token.value, operand: parseExpression(PREFIX_PRECEDENCE) };
+        }
+        if (token.type === TOK_TYPE_OPERAND) {
+            index++;
+            return parseOperand(token);
+        }
+        if (token.type === TOK_TYPE_SUBEXPR && token.subtype === TOK_SUBTYPE_START) {
+            index++;
+            const expression = parseExpression(0);
+            expectStop('subexpression');
+            return { type: 'Group', expression };
+        }
+        if (token.type === TOK_TYPE_FUNCTION && token.subtype === TOK_SUBTYPE_START) {
+            index++;
+            if (token.value === 'ARRAY') return parseArray();
+            return { type: 'Function', name: token.value, arguments: parseArguments() };
+        }
+        throw new Error(`Unexpected ${token.type} '${token.value}'`);
+    }
+
+    function parseOperand(token) {
+        switch (token.subtype) {
+            case TOK_SUBTYPE_NUMBER:
+                return { type: 'Number', value: Number(token.value.replace(',', '.')), raw: token.value };
+            case TOK_SUBTYPE_TEXT:
+                return { type: 'Text', value: token.value };
+            case TOK_SUBTYPE_LOGICAL:
+                return { type: 'Logical', value: token.value.toUpperCase() === 'TRUE', raw: token.value };
+            case TOK_SUBTYPE_ERROR:
+                return { type: 'Error', value: token.value };
+            default:
+                return { type: 'Reference', value: token.value };
+        }
+    }
+
+    // Parses comma-separated arguments up to and including the closing token
+    function parseArguments() {
+        const args = [];
+        if (isStop(peek())) {
+            index++;
+            return args;
+        }
+        for (;;) {
+            const token = peek();
+            if (!token) throw new Error('Missing closing parenthesis');
+            if (token.type === TOK_TYPE_ARGUMENT || isStop(token)) {
+                args.push({ type: 'Empty' });
+            } else {
+                args.push(parseExpression(0));
+            }
+            const separator = peek();
+            if (!separator) throw new Error('Missing closing parenthesis');
+            index++;
+            if (isStop(separator)) return args;
+            if (separator.type !== TOK_TYPE_ARGUMENT) {
+                throw new Error(`Unexpected ${separator.type} '${separator.value}'`);
+            }
+        }
+    }
+
+    function parseArray() {
+        const rows = [];
+        for (;;) {
+            const token = peek();
+            if (!token) throw new Error('Missing closing brace');
+            index++;
+            if (token.value === 'ARRAYROW' && token.subtype === TOK_SUBTYPE_START) {
+                rows.push(parseArguments());
+            } else if (isStop(token)) {
+                return { type: 'Array', rows };
+            } else if (token.type !== TOK_TYPE_ARGUMENT) {
+                throw new Error(`Unexpected ${token.type} '${token.value}' in array`);
+            }
+        }
+    }
+
+    function expectStop(what) {
+        const token = peek();
+        if (!isStop(token)) throw new Error(`Missing closing parenthesis for ${what}`);
+        index++;
+    }
+
+    if (tokens.length === 0) return null;
+    const ast = parseExpression(0);
+    if (index < tokens.length) {
+        const token = tokens[index];
+        throw new Error(`Unexpected ${token.type} '${token.value}'`);
+    }
+    return ast;
+}
+
+/**
+ * Prints a syntax tree back to compact formula text. Redundant parentheses
+ * are kept because they are stored as Group nodes.
+ * @param {object|null} node The node to print.
+ * @param {object} [options] Printer options.
+ * @param {boolean} [options.isEu=false] Use `;` as the argument separator, `,` for
+ *   decimals and `\` between array columns.
+ * @param {string} [options.prefix=''] Text prepended to the root, usually '='.
+ * @returns {string} The formula text.
+ */
+export function printFormula(node, options = {}) {
+    const separator = options.isEu ? ';' : ',';
+    const decimalSeparator = options.isEu ? ',' : '.';
+    const arrayColumnSeparator = options.isEu ? '\\' : ',';
+
+    function print(n) {
+        switch (n.type) {
+            case 'Number':
+                // Decimal separator follows the target locale
+                return (n.raw !== undefined ? n.raw : String(n.value)).replace(/[.,]/, decimalSeparator);
+            case 'Text':
+                return `"${n.value.replace(/"/g, '""')}"`;
+            case 'Logical':
+                return n.raw !== undefined ? n.raw : (n.value ? 'TRUE' : 'FALSE');
+            case 'Error':
+            case 'Reference':
+                return n.value;
+            case 'Function':
+                return `${n.name}(${n.arguments.map(print).join(separator)})`;
+            case 'Array':
+                return `{${n.rows.map(row => row.map(print).join(arrayColumnSeparator)).join(';')}}`;
+            case 'Group':
+                return `(${print(n.expression)})`;
+            case 'Prefix':
+                return n.operator + print(n.operand);
+            case 'Postfix':
+                return print(n.operand) + n.operator;
+            case 'Binary':
+                return print(n.left) + (n.operator === UNION ? separator : n.operator) + print(n.right);
+            case 'Empty':
+                return '';
+            default:
+                throw new Error(`Unknown node type '${n.type}'`);
+        }
+    }
+
+    return (options.prefix || '') + (node ? print(node) : '');
+}
+
+/**
+ * Calls a visitor for every node of a tree, parents before children.
+ * @param {object|null} node The root node.
+ * @param {Function} visitor Called with (node, parent).
+ * @param {object|null} [parent] The parent of node, used while recursing.
+ */
+export function walkAst(node, visitor, parent = null) {
+    if (!node) return;
+    visitor(node, parent);
+    switch (node.type) {
+        case 'Function':
+            node.arguments.forEach(arg => walkAst(arg, visitor, node));
+            break;
+        case 'Array':
+            node.rows.forEach(row => row.forEach(item => walkAst(item, visitor, node)));
+            break;
+        case 'Group':
+            walkAst(node.expression, visitor, node);
+            break;
+        case 'Prefix':
+        case 'Postfix':
+            walkAst(node.operand, visitor, node);
+            break;
+        case 'Binary':
+            walkAst(node.left, visitor, node);
+            walkAst(node.right, visitor, node);
+            break;
+        default:
+            break;
+    }
+}
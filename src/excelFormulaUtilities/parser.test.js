@@ -0,0 +1,139 @@
+import { parseFormula, printFormula, walkAst } from './parser.js';
+
+const ref = (value) => ({ type: 'Reference', value });
+const num = (raw) => ({ type: 'Number', value: Number(raw), raw });
+
+describe('parseFormula', () => {
+    it('returns null for an empty formula', () => {
+        expect(parseFormula('=')).toBeNull();
+    });
+
+    it('parses operands', () => {
+        expect(parseFormula('=1.50')).toEqual(num('1.50'));
+        expect(parseFormula('="a ""b"""')).toEqual({ type: 'Text', value: 'a "b"' });
+        expect(parseFormula('=true')).toEqual({ type: 'Logical', value: true, raw: 'true' });
+        expect(parseFormula('=#REF!')).toEqual({ type: 'Error', value: '#REF!' });
+        expect(parseFormula("='Q1 Data'!A1:B2")).toEqual(ref("'Q1 Data'!A1:B2"));
+    });
+
+    it('gives * precedence over +', () => {
+        expect(parseFormula('=1+2*3')).toEqual({
+            type: 'Binary', operator: '+', left: num('1'),
+            right: { type: 'Binary', operator: '*', left: num('2'), right: num('3') },
+        });
+    });
+
+    it('is left-associative, including ^', () => {
+        expect(parseFormula('=2^3^2')).toEqual({
+            type: 'Binary', operator: '^',
+            left: { type: 'Binary', operator: '^', left: num('2'), right: num('3') },
+            right: num('2'),
+        });
+        expect(parseFormula('=A1-B1-C1').left).toEqual({ type: 'Binary', operator: '-', left: ref('A1'), right: ref('B1') });
+    });
+
+    it('binds negation tighter than ^ and %', () => {
+        expect(parseFormula('=-2^2')).toEqual({
+            type: 'Binary', operator: '^',
+            left: { type: 'Prefix', operator: '-', operand: num('2') },
+            right: num('2'),
+        });
+        expect(parseFormula('=-A1%')).toEqual({
+            type: 'Postfix', operator: '%',
+            operand: { type: 'Prefix', operator: '-', operand: ref('A1') },
+        });
+    });
+
+    it('orders &, arithmetic and comparisons', () => {
+        const ast = parseFormula('=A1&B1+1=C1');
+        expect(ast.operator).toBe('=');
+        expect(ast.left.operator).toBe('&');
+        expect(ast.left.right.operator).toBe('+');
+    });
+
+    it('parses unions and intersections', () => {
+        expect(parseFormula('=SUM((A1,B1))').arguments[0].expression)
+            .toEqual({ type: 'Binary', operator: ',', left: ref('A1'), right: ref('B1') });
+        expect(parseFormula('=A1:B5 B2:C3'))
+            .toEqual({ type: 'Binary', operator: ' ', left: ref('A1:B5'), right: ref('B2:C3') });
+    });
+
+    it('parses function calls with empty and missing arguments', () => {
+        expect(parseFormula('=TODAY()')).toEqual({ type: 'Function', name: 'TODAY', arguments: [] });
+        expect(parseFormula('=IF(A1,,1)').arguments).toEqual([ref('A1'), { type: 'Empty' }, num('1')]);
+    });
+
+    it('parses array literals', () => {
+        expect(parseFormula('={1,2;3,4}')).toEqual({
+            type: 'Array',
+            rows: [[num('1'), num('2')], [num('3'), num('4')]],
+        });
+    });
+
+    it('honours isEu', () => {
+        expect(parseFormula('=ROUND(A1;2)', { isEu: true }).arguments).toEqual([ref('A1'), num('2')]);
+    });
+
+    it('rejects malformed formulas', () => {
+        expect(() => parseFormula('=1+')).toThrow("Operator '+' is missing its right operand");
+        expect(() => parseFormula('=SUM(A1')).toThrow('Missing closing parenthesis');
+        expect(() => parseFormula('=A1 B1 +')).toThrow();
+    });
+
+    it('attaches the tokenizer diagnostic to the error', () => {
+        expect(() => parseFormula('=SUM(A1))')).toThrow(expect.objectContaining({
+            diagnostic: expect.objectContaining({ code: 'unbalanced-parenthesis', offset: 8 }),
+        }));
+    });
+});
+
+describe('printFormula', () => {
+    it.each([
+        '=IF(AND(A1>0,B1<>""),ROUND(A1/B1,2),"n/a")',
+        '=-2^2%',
+        '=(A1+B1)*C1',
+        '=SUM((A1,B1))',
+        '=A1:B5 B2:C3',
+        '={1,2;3,4}',
+        '="say ""hi"""&A1',
+        '=IF(A1,,1)',
+        "='My Sheet'!A1+#N/A",
+    ])('round-trips %s', (formula) => {
+        expect(printFormula(parseFormula(formula), { prefix: '=' })).toBe(formula);
+    });
+
+    it('prints European argument separators', () => {
+        expect(printFormula(parseFormula('=ROUND(A1,2)'), { isEu: true })).toBe('ROUND(A1;2)');
+    });
+
+    it('keeps the shape of 2-D arrays in European output', () => {
+        const ast = parseFormula('={1,2;3,4}');
+        expect(ast.rows).toHaveLength(2);
+        expect(printFormula(ast, { prefix: '=', isEu: true })).toBe('={1\\2;3\\4}');
+        expect(parseFormula('={1\\2;3\\4}', { isEu: true })).toEqual(ast);
+    });
+});
+
+describe('walkAst', () => {
+    it('visits every node with its parent', () => {
+        const visited = [];
+        walkAst(parseFormula('=SUM(A1,-B1)'), (node, parent) => {
+            visited.push([node.type, parent && parent.type]);
+        });
+        expect(visited).toEqual([
+            ['Function', null],
+            ['Reference', 'Function'],
+            ['Prefix', 'Function'],
+            ['Reference', 'Prefix'],
+        ]);
+    });
+});
+
+describe('European decimals', () => {
+    it('parses decimal commas and prints them per locale', () => {
+        const ast = parseFormula('=ROUND(1,5;2)', { isEu: true });
+        expect(ast.arguments[0]).toEqual({ type: 'Number', value: 1.5, raw: '1,5' });
+        expect(printFormula(ast, { prefix: '=' })).toBe('=ROUND(1.5,2)');
+        expect(printFormula(parseFormula('=ROUND(1.5,2)'), { prefix: '=', isEu: true })).toBe('=ROUND(1,5;2)');
+    });
+});
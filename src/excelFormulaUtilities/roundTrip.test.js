@@ -0,0 +1,166 @@
+import { formatFormula, minify } from './formatter.js';
+import { layoutFormula } from './layout.js';
+import { parseFormula } from './parser.js';
+
+// Formulas as they are written in real workbooks
+const CORPUS = [
+    '=VLOOKUP($A2,\'Price List\'!$A:$D,4,FALSE)',
+    '=INDEX(Data!$B$2:$B$500,MATCH(1,(Data!$A$2:$A$500=A2)*(Data!$C$2:$C$500>=DATE(2024,1,1)),0))',
+    '=IFERROR(XLOOKUP(A2,Customers[ID],Customers[Name],"Not found"),"")',
+    '=SUMIFS(Sales[Amount],Sales[Region],"North",Sales[Date],">="&DATE(2024,1,1))',
+    '=IF(B2>=90,"A",IF(B2>=80,"B",IF(B2>=70,"C",IF(B2>=60,"D","F"))))',
+    '=LET(total,SUM(B2:B10),count,COUNT(B2:B10),IF(count=0,0,total/count))',
+    '=TEXT(A1,"$#,##0.00;($#,##0.00)")&" ("&TEXT(B1,"0.0%")&")"',
+    '="He said ""hi"" to "&A1&"."',
+    '=""""',
+    '=A1*(1+B1%)-C1^2/-D1',
+    '=SUM({1,2,3;4,5,6})*{0.5;1}',
+    '=SUMPRODUCT((A1:A10="x")*(B1:B10))',
+    '=SUM(A1:C3 B2:D4)',
+    '=SUM((A1:A3,C1:C3))',
+    '=Table1[[#This Row],[Unit Price]]*Table1[@Qty]',
+    '=SUM(Table1[[#Data],[Jan]:[Mar]])',
+    '=\'It\'\'s here\'!A1+\'[Book1.xlsx]Sheet 2\'!B2',
+    '=IF(ISERROR(A1),#N/A,A1)+#DIV/0!',
+    '=1.5E+3+2E-2*.5',
+    '=FILTER(A2:C100,(B2:B100="Open")*(C2:C100<>""),"None")',
+    '=SORTBY(A2#,B2#,-1)',
+    '=@INDEX(A:A,ROW())',
+    '=AND(A1<>"",OR(B1>0,C1<=0),NOT(D1))',
+    '=IF(A1,,FALSE)',
+    '=CONCAT("a",,"b")',
+    '=TRUE*1+FALSE',
+    '=NOW()-TODAY()',
+    '=-(-A1)',
+    '=ROUND(A1,-2)',
+    '=HYPERLINK("https://example.com/?q="&A1,"Open ""link""")',
+];
+
+// The same kind of formulas with European separators
+const EU_CORPUS = [
+    '=SVERWEIS($A2;Preise!$A:$D;4;FALSCH)',
+    '=SUMME(A1:A3;1,5)*{1;2;3}',
+    '=WENN(A1>=0,5;"ja";"nein ""oder"" vielleicht")',
+    '=SUM((A1:A3;C1:C3))',
+    '=1,5E+3+A1%',
+    '=MMULT({1\\2;3\\4};{0,5\\1;2\\0})',
+];
+
+/**
+ * Checks the round-trip guarantees for one formula.
+ * @param {string} formula The formula.
+ * @param {boolean} [isEu=false] Whether it uses European separators.
+ */
+function expectLossless(formula, isEu = false) {
+    const minified = minify(formula, { isEu });
+    const beautified = formatFormula(formula, { isEu });
+    const narrow = formatFormula(formula, { isEu, tmplIndentTab: '  ' });
+    const smart = layoutFormula(formula, { isEu, maxWidth: 30, breakIfChains: true, alignLetPairs: true, operatorIndent: 'align' });
+
+    const original = parseFormula(formula, { isEu });
+    [minified, beautified, narrow, smart].forEach(output => {
+        expect(minify(output, { isEu })).toBe(minified);
+        expect(parseFormula(output, { isEu })).toEqual(original);
+    });
+    expect(formatFormula(beautified, { isEu })).toBe(beautified);
+    expect(minify(minified, { isEu })).toBe(minified);
+}
+
+describe('round-trip guarantees', () => {
+    it.each(CORPUS)('keeps %s', (formula) => {
+        expectLossless(formula);
+    });
+
+    it.each(EU_CORPUS)('keeps the European formula %s', (formula) => {
+        expectLossless(formula, true);
+    });
+
+    it('keeps embedded quotes escaped', () => {
+        expect(minify('="He said ""hi"""')).toBe('="He said ""hi"""');
+        expect(formatFormula('=IF(A1,"say ""x""")')).toBe('=IF(\n    A1,\n    "say ""x"""\n)');
+    });
+
+    it('writes array constants, percentages, intersections and errors as written', () => {
+        expect(formatFormula('=SUM({1,2;3,4},A1:B2 B1:C3,5%,#N/A)')).toBe([
+            '=SUM(',
+            '    {1,2;3,4},',
+            '    A1:B2 B1:C3,',
+            '    5%,',
+            '    #N/A',
+            ')',
+        ].join('\n'));
+        expect(minify('=SUM(A1:B2 B1:C3)')).toBe('=SUM(A1:B2 B1:C3)');
+    });
+
+    it('reads scientific numbers and nested structured references as one token', () => {
+        expect(formatFormula('=1E+3*Table1[[#This Row],[Col]]')).toBe('=1E+3 * Table1[[#This Row],[Col]]');
+    });
+});
+
+// --- Property-style checks over generated formulas ---
+
+/**
+ * A small deterministic pseudo-random generator (mulberry32), so failures reproduce.
+ * @param {number} seed The seed.
+ * @returns {function(): number} Returns numbers in [0, 1).
+ */
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generates random but well-formed formulas.
+ * @param {function(): number} next The random source.
+ * @param {boolean} isEu Whether to use European separators.
+ * @returns {function(): string} Returns a formula, with the leading '='.
+ */
+function formulaGenerator(next, isEu) {
+    const pick = (items) => items[Math.floor(next() * items.length)];
+    const separator = isEu ? ';' : ',';
+    const decimal = isEu ? ',' : '.';
+    const constant = () => pick([
+        () => String(Math.floor(next() * 1000)),
+        () => `${Math.floor(next() * 100)}${decimal}${Math.floor(next() * 100)}`,
+        () => `${1 + Math.floor(next() * 9)}E${pick(['+', '-'])}${Math.floor(next() * 10)}`,
+        () => `"${pick(['', 'a', 'say ""hi""', ' x ', '""', '1,2;3'])}"`,
+        () => pick(['TRUE', 'FALSE', '#N/A', '#REF!', '#DIV/0!']),
+    ])();
+    const reference = () => pick(['A1', '$B$2', 'C3:D4', 'Sheet1!A1', "'My Sheet'!B2:C9", 'Table1[Col]', 'Table1[[#This Row],[A b]]', 'A1#']);
+    const expression = (depth) => {
+        if (depth > 3) return next() < 0.5 ? constant() : reference();
+        return pick([
+            constant,
+            reference,
+            () => `${pick(['SUM', 'IF', 'ROUND', 'CONCAT', 'NOW'])}(${Array.from({ length: Math.floor(next() * 4) }, () => (next() < 0.1 ? '' : expression(depth + 1))).join(separator)})`,
+            () => `${expression(depth + 1)}${pick(['+', '-', '*', '/', '^', '&', '=', '<>', '<=', '>'])}${expression(depth + 1)}`,
+            () => `(${expression(depth + 1)})`,
+            () => `-${expression(depth + 1)}`,
+            () => `${expression(depth + 1)}%`,
+            () => `${reference()} ${reference()}`,
+            () => `(${reference()}${separator}${reference()})`,
+            () => `{${Array.from({ length: 1 + Math.floor(next() * 2) }, () => constant()).join(separator)}}`,
+        ])();
+    };
+    return () => `=${expression(0)}`;
+}
+
+describe('round-trip properties', () => {
+    it.each([[false], [true]])('hold for generated formulas (isEu: %s)', (isEu) => {
+        const generate = formulaGenerator(random(isEu ? 2 : 1), isEu);
+        for (let i = 0; i < 200; i++) {
+            const formula = generate();
+            try {
+                expectLossless(formula, isEu);
+            } catch (error) {
+                error.message = `${formula}\n${error.message}`;
+                throw error;
+            }
+        }
+    });
+});
@@ -0,0 +1,531 @@
+/**
+ * Conversions from Smartsheet formulas and templates to other platforms.
+ */
+import { getTokens } from './tokenizer.js';
+import { buildCallTree, renderArgument, renderCallAsWritten, singleToken } from './callTree.js';
+import { applyTemplateRules, TEMPLATE_PRESETS } from './templateRules.js';
+import {
+    TOK_TYPE_FUNCTION,
+    TOK_TYPE_OPERAND,
+    TOK_SUBTYPE_LOGICAL,
+    TOK_SUBTYPE_RANGE,
+    TOK_SUBTYPE_START,
+} from './tokens.js';
+
+/**
+ * Matches a Smartsheet current-row reference token: `[Column Name]@row` or
+ * `Column@row`. Bracketed names are matched greedily so they may contain `]`.
+ */
+export const ROW_REFERENCE = /^(?:\[(.+)\]|([^[\]]+))@row$/i;
+
+/**
+ * Matches a column range `[Start]:[End]` with optional rows and `$` anchors,
+ * e.g. `[Amount]:[Amount]` or `[Start]1:[End]10`.
+ */
+export const COLUMN_RANGE = /^(\$?)\[(.+?)\](\$?\d+)?:(\$?)\[(.+)\](\$?\d+)?$/;
+
+/**
+ * Matches a specific-row cell reference such as `[Amount]5` or `$[Amount]$5`.
+ */
+export const CELL_REFERENCE = /^(\$?)\[(.+)\](\$?\d+)$/;
+
+/**
+ * Matches the cell a mapping's location points at, with an optional sheet.
+ */
+const MAPPING_LOCATION = /^(.*!)?\$?([A-Z]+)\$?\d*$/i;
+
+/**
+ * Matches a quoted criterion such as ">5" or "<>Done".
+ */
+const CRITERION_LITERAL = /^"(<>|<=|>=|<|>|=)(.*)"$/;
+
+/**
+ * Matches a criterion written without quotes, such as `>5` or `<>[Status]@row`,
+ * which Smartsheet accepts and Google Sheets does not.
+ */
+const CRITERION_COMPARISON = /^(<>|<=|>=|<|>|=)\s*([\s\S]+)$/;
+
+const HIERARCHY_REASON = 'Google Sheets rows have no parent/child hierarchy';
+
+/**
+ * Smartsheet functions that need rewriting for Google Sheets, keyed by
+ * upper-case name. `convert` receives the call's arguments (see
+ * convertSmartsheetFormula) and returns the replacement text, or null to keep
+ * the call as written; `unsupported` explains why a function has no
+ * equivalent. Functions not listed are the same in both products.
+ */
+const FUNCTION_RULES = {
+    ANCESTORS: { unsupported: HIERARCHY_REASON },
+    AVERAGEIF: {
+        minArgs: 2,
+        convert: ([range, criterion, averageRange]) => {
+            if (!needsCondition(criterion)) return null;
+            return `AVERAGE(FILTER(${(averageRange || range).text()}, ${criterionCondition(range.text(), criterion)}))`;
+        },
+    },
+    AVGW: {
+        minArgs: 2,
+        // Parenthesised so the division stays together inside a larger expression
+        convert: ([range, weights]) => `(SUMPRODUCT(${range.text()}, ${weights.text()}) / SUM(${weights.text()}))`,
+    },
+    CHILDREN: { unsupported: HIERARCHY_REASON },
+    COLLECT: {
+        minArgs: 3,
+        convert: ([range, ...criteria]) => `FILTER(${range.text()}, ${criteriaConditions(criteria).join(', ')})`,
+    },
+    CONTAINS: {
+        minArgs: 2,
+        convert: ([search, range]) => range.isRange
+            ? `(SUMPRODUCT(--ISNUMBER(SEARCH(${search.text()}, ${range.text()}))) > 0)`
+            : `ISNUMBER(SEARCH(${search.text()}, ${range.text()}))`,
+    },
+    COUNTIF: {
+        minArgs: 2,
+        convert: (criteria) => {
+            if (!needsCondition(criteria[1])) return null;
+            return `SUMPRODUCT(${criteriaConditions(criteria).map(condition => `--(${condition})`).join(', ')})`;
+        },
+    },
+    COUNTIFS: {
+        minArgs: 2,
+        convert: (criteria) => {
+            if (!criteria.some(needsCondition)) return null;
+            return `SUMPRODUCT(${criteriaConditions(criteria).map(condition => `--(${condition})`).join(', ')})`;
+        },
+    },
+    COUNTM: {
+        minArgs: 1,
+        convert: ([range]) => `IFERROR(COUNTA(SPLIT(TEXTJOIN(CHAR(10), TRUE, ${range.text()}), CHAR(10))), 0)`,
+    },
+    DATEONLY: {
+        minArgs: 1,
+        convert: ([date]) => `TO_DATE(INT(${date.text()}))`,
+    },
+    DISTINCT: {
+        minArgs: 1,
+        convert: ([range]) => `UNIQUE(${range.text()})`,
+    },
+    HAS: {
+        minArgs: 2,
+        convert: ([range, value]) => {
+            // Multi-select values are separated by line breaks; match whole entries only
+            const search = `ISNUMBER(SEARCH(CHAR(10) & ${value.text()} & CHAR(10), CHAR(10) & ${range.text()} & CHAR(10)))`;
+            return range.isRange ? `(SUMPRODUCT(--${search}) > 0)` : search;
+        },
+    },
+    JOIN: {
+        minArgs: 1,
+        convert: ([range, delimiter]) => `TEXTJOIN(${delimiter ? delimiter.text() : '""'}, TRUE, ${range.text()})`,
+    },
+    NETWORKDAY: {
+        minArgs: 2,
+        convert: (args) => `NETWORKDAYS(${args.map(arg => arg.text()).join(', ')})`,
+    },
+    PARENT: { unsupported: HIERARCHY_REASON },
+    SUMIF: {
+        minArgs: 2,
+        convert: ([range, criterion, sumRange]) => {
+            if (!needsCondition(criterion)) return null;
+            return `SUMPRODUCT(${(sumRange || range).text()}, --(${criterionCondition(range.text(), criterion)}))`;
+        },
+    },
+    SUMIFS: {
+        minArgs: 3,
+        convert: ([sumRange, ...criteria]) => {
+            if (!criteria.some(needsCondition)) return null;
+            return `SUMPRODUCT(${[sumRange.text(), ...criteriaConditions(criteria).map(condition => `--(${condition})`)].join(', ')})`;
+        },
+    },
+    WEEKNUMBER: {
+        minArgs: 1,
+        convert: ([date]) => `ISOWEEKNUM(${date.text()})`,
+    },
+    YEARDAY: {
+        minArgs: 1,
+        convert: ([date]) => `DAYS(${date.text()}, DATE(YEAR(${date.text()}), 1, 0))`,
+    },
+};
+
+/**
+ * Whether a criterion can't be kept as written in a Google Sheets COUNTIF,
+ * SUMIF or AVERAGEIF: it uses `@cell` or is an unquoted comparison.
+ * @param {object} criterion The criterion argument.
+ * @returns {boolean} Whether the call needs rewriting with criterionCondition.
+ */
+const needsCondition = (criterion) => criterion.hasCell || CRITERION_COMPARISON.test(criterion.text());
+
+/**
+ * Turns a Smartsheet criterion into a boolean (array) expression over a range:
+ * `@cell` expressions are evaluated against the range, comparisons like ">5"
+ * (quoted or not) become `range > 5` and anything else is an equality test.
+ * @param {string} range The converted criterion range.
+ * @param {object} criterion The criterion argument.
+ * @returns {string} The condition.
+ */
+function criterionCondition(range, criterion) {
+    if (criterion.hasCell) return criterion.text(range);
+    const literal = criterion.text().match(CRITERION_LITERAL);
+    if (literal) {
+        const value = literal[2] !== '' && !isNaN(literal[2]) ? literal[2] : `"${literal[2]}"`;
+        return `${range} ${literal[1]} ${value}`;
+    }
+    const comparison = criterion.text().match(CRITERION_COMPARISON);
+    if (comparison) return `${range} ${comparison[1]} ${comparison[2]}`;
+    return `${range} = ${criterion.text()}`;
+}
+
+/**
+ * Converts alternating criterion range / criterion arguments into conditions.
+ * @param {Array<object>} args The arguments, starting with a criterion range.
+ * @returns {Array<string>} One condition per pair.
+ */
+function criteriaConditions(args) {
+    const conditions = [];
+    for (let i = 0; i + 1 < args.length; i += 2) {
+        conditions.push(criterionCondition(args[i].text(), args[i + 1]));
+    }
+    return conditions;
+}
+
+const isCellToken = (node) => !node.args && node.token.type === TOK_TYPE_OPERAND && node.token.value.toLowerCase() === '@cell';
+
+const isRangeToken = (token) => Boolean(token && token.subtype === TOK_SUBTYPE_RANGE && token.value.includes(':'));
+
+const containsCell = (arg) => arg.children.some(node => (node.args ? node.args.some(containsCell) : isCellToken(node)));
+
+/**
+ * Renders an argument in the Smartsheet to Google Sheets direction.
+ * @param {object} arg An argument from buildCallTree.
+ * @param {object} state The conversion state of convertSmartsheetFormula.
+ * @param {string|null} cell The range `@cell` stands for, if inside a criterion.
+ * @returns {string} The converted text.
+ */
+function renderSmartsheetArgument(arg, state, cell) {
+    return renderArgument(arg, state.text, node => renderNode(node, state, cell));
+}
+
+/**
+ * Renders a single token or call.
+ * @param {object} node A node from buildCallTree.
+ * @param {object} state The conversion state of convertSmartsheetFormula.
+ * @param {string|null} cell The range `@cell` stands for, if inside a criterion.
+ * @returns {string} The converted text.
+ */
+function renderNode(node, state, cell) {
+    if (node.args) return renderCall(node, state, cell);
+
+    const source = state.text.slice(node.start, node.end);
+
+    const token = node.token;
+    if (token.type !== TOK_TYPE_OPERAND) return source;
+    if (token.subtype === TOK_SUBTYPE_LOGICAL) return token.value.toUpperCase();
+    if (token.subtype !== TOK_SUBTYPE_RANGE) return source;
+    if (isCellToken(node)) {
+        if (cell) return cell;
+        state.warnings.add('@cell can only be converted inside a criterion of COLLECT, COUNTIF(S), SUMIF(S) or AVERAGEIF.');
+        return source;
+    }
+
+    const match = token.value.match(ROW_REFERENCE);
+    if (!match) return convertRangeReference(token.value, state) || source;
+    const field = match[1] !== undefined ? match[1] : match[2];
+    const mappedHeader = findMapping(field, state);
+    if (!mappedHeader || !mappedHeader.location) {
+        reportUnmapped(field, state);
+        return source;
+    }
+    state.headerMappings.set(field, mappedHeader);
+    return mappedHeader.name;
+}
+
+const findMapping = (field, state) => state.locationMappings.find(mapping => mapping.field === field);
+
+const reportUnmapped = (field, state) => {
+    if (!state.unmappedFields.includes(field)) state.unmappedFields.push(field);
+};
+
+/**
+ * Looks up the column a field maps to: the mapping's `column` when given,
+ * otherwise the column of its `location`. A sheet prefix on the location is
+ * kept, so `Data!B2` maps the field to column `B` of `Data`, whose data
+ * starts in row 2 (the row of the location, or 2 when it has none).
+ * @param {string} field The Smartsheet column name.
+ * @param {object} state The conversion state of convertSmartsheetFormula.
+ * @returns {{sheet: string, column: string, row: string}|null} The column
+ *   and its first data row, or null (and the field is reported as unmapped)
+ *   when there is none.
+ */
+function resolveColumn(field, state) {
+    const mapping = findMapping(field, state);
+    const location = mapping && (mapping.location || '').match(MAPPING_LOCATION);
+    const column = mapping && (mapping.column || (location && location[2]));
+    if (!column) {
+        reportUnmapped(field, state);
+        return null;
+    }
+    state.usedFields.add(field);
+    const row = ((mapping.location || '').match(/(\d+)$/) || [null, '2'])[1];
+    return { sheet: (location && location[1]) || '', column: column.toUpperCase(), row };
+}
+
+/**
+ * Converts a column range or specific-row reference to an A1 reference. A
+ * column range without rows covers only the data rows, as in Smartsheet, so
+ * `[Status]:[Status]` becomes `A2:A` rather than `A:A`.
+ * @param {string} value The reference as written.
+ * @param {object} state The conversion state of convertSmartsheetFormula.
+ * @returns {string|null} The A1 reference, or null to keep the text as written.
+ */
+function convertRangeReference(value, state) {
+    const range = value.match(COLUMN_RANGE);
+    if (range) {
+        const start = resolveColumn(range[2], state);
+        const end = resolveColumn(range[5], state);
+        if (!start || !end) return null;
+        if (!range[3] && !range[6]) return `${start.sheet}${range[1]}${start.column}${start.row}:${range[4]}${end.column}`;
+        return `${start.sheet}${range[1]}${start.column}${range[3] || ''}:${range[4]}${end.column}${range[6] || ''}`;
+    }
+    const cellReference = value.match(CELL_REFERENCE);
+    if (cellReference) {
+        const cell = resolveColumn(cellReference[2], state);
+        if (!cell) return null;
+        return `${cell.sheet}${cellReference[1]}${cell.column}${cellReference[3]}`;
+    }
+    return null;
+}
+
+/**
+ * Converts a cross-sheet reference such as `{Budget Range}` using the mapping
+ * whose field is the braced name: its location is the target range, wrapped
+ * in IMPORTRANGE when the mapping also has a spreadsheet `url`.
+ * @param {string} source The reference as written, braces included.
+ * @param {object} state The conversion state of convertSmartsheetFormula.
+ * @returns {string} The converted reference.
+ */
+function convertCrossSheetReference(source, state) {
+    const field = `{${source.slice(1, -1).trim()}}`;
+    const mapping = findMapping(field, state);
+    if (!mapping || !mapping.location) {
+        reportUnmapped(field, state);
+        return source;
+    }
+    state.usedFields.add(field);
+    if (!mapping.url) return mapping.location;
+    const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+    return `IMPORTRANGE(${quote(mapping.url)}, ${quote(mapping.location)})`;
+}
+
+// Array constants can't contain references, so a braced reference is a cross-sheet range
+const isCrossSheetReference = (node) => node.token.value === 'ARRAY' && node.args.some(
+    row => row.children.some(child => child.args && child.args.some(
+        arg => arg.children.some(leaf => !leaf.args && leaf.token.subtype === TOK_SUBTYPE_RANGE))));
+
+/**
+ * Renders a call, applying its FUNCTION_RULES entry when there is one.
+ * @param {object} node A call node from buildCallTree.
+ * @param {object} state The conversion state of convertSmartsheetFormula.
+ * @param {string|null} cell The range `@cell` stands for, if inside a criterion.
+ * @returns {string} The converted text.
+ */
+function renderCall(node, state, cell) {
+    if (isCrossSheetReference(node)) {
+        return convertCrossSheetReference(state.text.slice(node.start, node.end), state);
+    }
+    const name = node.token.value.toUpperCase();
+    const rule = FUNCTION_RULES[name];
+    if (rule && rule.unsupported) {
+        state.warnings.add(`${name} has no Google Sheets equivalent (${rule.unsupported}); it was left unchanged.`);
+    } else if (rule && node.args.length < rule.minArgs) {
+        state.warnings.add(`${name} expects at least ${rule.minArgs} arguments; it was left unchanged.`);
+    } else if (rule) {
+        const args = node.args.map(arg => ({
+            text: (argCell = cell) => renderSmartsheetArgument(arg, state, argCell).trim(),
+            isRange: isRangeToken(singleToken(arg)),
+            hasCell: containsCell(arg),
+        }));
+        const converted = rule.convert(args);
+        if (converted !== null) return converted;
+    }
+
+    // Keep the call as written, converting only inside its arguments
+    return renderCallAsWritten(node, state.text, arg => renderSmartsheetArgument(arg, state, cell));
+}
+
+/**
+ * Convert a Smartsheet formula to Google Sheets formula by
+ * 1. Replace all @row column references with a standardized name
+ * 2. Replace column ranges (`[Amount]:[Amount]`, `[Start]1:[End]10`),
+ *    specific-row references (`[Amount]$5`) and cross-sheet references
+ *    (`{Budget Range}`, mapped by a field written with braces) with A1 ranges
+ * 3. Replace true/false with TRUE/FALSE for use in Google sheet formula
+ * 4. Rewrite Smartsheet-only functions (COLLECT, JOIN, HAS, ...) into Google
+ *    Sheets constructs such as FILTER, TEXTJOIN and ISNUMBER(SEARCH())
+ * 5. Wrap converted formula in LET() function when it references columns, or
+ *    in a whole-column MAP/BYROW/ARRAYFORMULA (see SMARTSHEET_OUTPUT_SHAPES)
+ * Everything else, including string literals and spacing, is kept as
+ * written. References without a mapping (or whose mapping has no location)
+ * are left as written and reported.
+ * @param {string} formula - The Smartsheet formula to convert
+ * @param {Array} locationMappings - A list of headers mappings
+ * @param {object} [options]
+ * @param {string} [options.shape='row'] One of SMARTSHEET_OUTPUT_SHAPES.
+ * @param {string} [options.header] For whole-column shapes, a header label
+ *   to stack above the results so the formula can sit in the header row.
+ * @returns {{formula: string, unmappedFields: Array<string>, unusedMappings: Array<object>, duplicateNames: Array<{name: string, fields: Array<string>}>, warnings: Array<string>}}
+ *   The converted formula, the referenced fields without a usable mapping,
+ *   the mappings the formula does not use, LET names shared by more than
+ *   one mapping, and functions or syntax that could not be converted.
+ */
+export function convertSmartsheetFormula(formula, locationMappings, options = {}) {
+    // Remove leading = sign if found
+    const body = formula.replace(/^[=']+/g, "");
+    const state = {
+        text: body,
+        locationMappings,
+        headerMappings: new Map(),
+        usedFields: new Set(),
+        unmappedFields: [],
+        warnings: new Set(),
+    };
+    let convertedFormula = renderSmartsheetArgument(buildCallTree(getTokens(body).items, body.length), state, null);
+
+    const declared = Array.from(state.headerMappings.values());
+    if (options.shape && options.shape !== 'row') {
+        if (declared.length) {
+            convertedFormula = shapeWholeColumn(convertedFormula, declared, options, state);
+        } else {
+            state.warnings.add('Whole-column output needs at least one [Column]@row reference; the formula was left as a single cell.');
+        }
+    } else {
+        // Create string of LET name and location references
+        const letNameString = declared.reduce((currStr, mappingObj) => {
+            // Use let_name if provided, otherwise calculate from name and location
+            if (mappingObj.let_name) {
+                return currStr + mappingObj.let_name;
+            } else {
+                return currStr + mappingObj.name + "," + mappingObj.location + ",";
+            }
+        }, "");
+
+        // Wrap function in LET formula with field name references
+        if (letNameString) {
+            convertedFormula = `LET(${letNameString}\n${convertedFormula}\n)`;
+        }
+    }
+
+    return {
+        formula: convertedFormula,
+        unmappedFields: state.unmappedFields,
+        unusedMappings: locationMappings.filter(mapping => !state.headerMappings.has(mapping.field) &&
+            !state.usedFields.has(mapping.field) && !state.unmappedFields.includes(mapping.field)),
+        duplicateNames: findDuplicateNames(locationMappings),
+        warnings: Array.from(state.warnings),
+    };
+}
+
+/**
+ * Output shapes for convertSmartsheetFormula: a single-row LET to fill down,
+ * or one formula computing the whole column from ranges such as `A2:A`.
+ */
+export const SMARTSHEET_OUTPUT_SHAPES = {
+    row: 'Single row (LET)',
+    map: 'Whole column (MAP)',
+    byrow: 'Whole column (BYROW)',
+    arrayformula: 'Whole column (ARRAYFORMULA)',
+};
+
+/**
+ * Functions that collapse an array to one value, so they can't be applied
+ * row by row inside ARRAYFORMULA.
+ */
+const AGGREGATE_FUNCTIONS = [
+    'AND', 'AVERAGE', 'CONCATENATE', 'COUNT', 'COUNTA', 'FILTER', 'MAX', 'MIN', 'OR', 'SUM', 'SUMPRODUCT', 'TEXTJOIN',
+];
+
+/**
+ * Returns the open-ended column range a mapping's location starts, e.g.
+ * `A2` -> `A2:A` and `Data!B3` -> `Data!B3:B`.
+ * @param {object} mapping A completed mapping.
+ * @returns {string} The column range.
+ */
+function columnRangeOf(mapping) {
+    const location = mapping.location.match(MAPPING_LOCATION);
+    const sheet = (location && location[1]) || '';
+    const column = (mapping.column || (location && location[2]) || '').toUpperCase();
+    const row = (mapping.location.match(/(\d+)$/) || [null, '2'])[1];
+    return `${sheet}${column}${row}:${column}`;
+}
+
+/**
+ * Wraps a converted single-row formula so one cell computes the whole
+ * column. Rows where every referenced column is blank stay blank.
+ * @param {string} body The converted formula using the LET names.
+ * @param {Array} declared The mappings of the referenced columns.
+ * @param {object} options The options of convertSmartsheetFormula.
+ * @param {object} state The conversion state of convertSmartsheetFormula.
+ * @returns {string} The whole-column formula.
+ */
+function shapeWholeColumn(body, declared, options, state) {
+    const names = declared.map(mapping => mapping.name);
+    const ranges = declared.map(columnRangeOf);
+    const blank = names.map(name => `${name} = ""`);
+    if (new Set(ranges.map(range => range.match(/(\d+):/)[1])).size > 1) {
+        state.warnings.add(`The mapped columns start on different rows (${ranges.join(', ')}); whole-column ranges must line up.`);
+    }
+    let shaped;
+    if (options.shape === 'arrayformula') {
+        const aggregates = getTokens(body).items
+            .filter(token => token.type === TOK_TYPE_FUNCTION && token.subtype === TOK_SUBTYPE_START)
+            .map(token => token.value.toUpperCase())
+            .filter(name => AGGREGATE_FUNCTIONS.includes(name));
+        Array.from(new Set(aggregates)).forEach(name => {
+            state.warnings.add(`${name} aggregates the whole column inside ARRAYFORMULA; use the MAP or BYROW shape instead.`);
+        });
+        // Array conditions can't use AND, so blanks are tested by multiplying
+        const test = blank.length > 1 ? blank.map(condition => `(${condition})`).join(' * ') : blank[0];
+        const lets = names.map((name, index) => `${name}, ${ranges[index]}`).join(', ');
+        shaped = `ARRAYFORMULA(LET(${lets},\nIF(${test}, "", ${body})\n))`;
+    } else {
+        const test = blank.length > 1 ? `AND(${blank.join(', ')})` : blank[0];
+        const guarded = `IF(${test}, "", ${body})`;
+        if (options.shape === 'byrow') {
+            const source = ranges.length > 1 ? `HSTACK(${ranges.join(', ')})` : ranges[0];
+            const lets = names.map((name, index) => `${name}, INDEX(row_values, 1, ${index + 1})`).join(', ');
+            shaped = `BYROW(${source}, LAMBDA(row_values, LET(${lets},\n${guarded}\n)))`;
+        } else {
+            shaped = `MAP(${ranges.join(', ')}, LAMBDA(${names.join(', ')},\n${guarded}\n))`;
+        }
+    }
+    if (options.header) {
+        shaped = `VSTACK("${options.header.replace(/"/g, '""')}", ${shaped})`;
+    }
+    return shaped;
+}
+
+/**
+ * Finds LET names generated for more than one field. Cross-sheet mappings
+ * are skipped since they are never declared in the LET.
+ * @param {Array} locationMappings The completed mappings.
+ * @returns {Array<{name: string, fields: Array<string>}>} The clashing names.
+ */
+function findDuplicateNames(locationMappings) {
+    const fieldsByName = new Map();
+    locationMappings.filter(mapping => !mapping.field.startsWith('{')).forEach(mapping => {
+        const fields = fieldsByName.get(mapping.name) || [];
+        if (!fields.includes(mapping.field)) fields.push(mapping.field);
+        fieldsByName.set(mapping.name, fields);
+    });
+    return Array.from(fieldsByName, ([name, fields]) => ({ name, fields }))
+        .filter(duplicate => duplicate.fields.length > 1);
+}
+
+/**
+ * Converts Smartsheet placeholders and replaces "Smartsheet" with "AppSheet"
+ * using the AppSheet preset of TEMPLATE_PRESETS.
+ * @param {string} text The text to convert.
+ * @returns {string} The converted text.
+ */
+export function convertSmartsheetFormat(text) {
+    if (!text) return "";
+    return applyTemplateRules(text, TEMPLATE_PRESETS.appsheet.rules).text;
+}
@@ -0,0 +1,230 @@
+import { parseLocationMappings } from './mappings.js';
+import { convertSmartsheetFormat, convertSmartsheetFormula } from './smartsheet.js';
+
+const mappings = parseLocationMappings(JSON.stringify([
+    { field: 'Status', location: 'A2' },
+    { field: 'Amount', location: 'B2' },
+    { field: 'Col A', location: 'C2' },
+    { field: 'Size]s', location: 'D2' },
+]));
+
+describe('convertSmartsheetFormula', () => {
+    it('wraps the formula in LET with the referenced columns', () => {
+        expect(convertSmartsheetFormula('=IF([Status]@row = "Done", Amount@row, false)', mappings).formula)
+            .toBe('LET(status,A2,amount,B2,\nIF(status = "Done", amount, FALSE)\n)');
+    });
+
+    it('only declares each column once', () => {
+        expect(convertSmartsheetFormula('=[Amount]@row + [Amount]@row', mappings).formula)
+            .toBe('LET(amount,B2,\namount + amount\n)');
+    });
+
+    it('leaves string literals untouched', () => {
+        expect(convertSmartsheetFormula('=IF([Status]@row = "Status@row is true", "[Amount]@row", true)', mappings).formula)
+            .toBe('LET(status,A2,\nIF(status = "Status@row is true", "[Amount]@row", TRUE)\n)');
+    });
+
+    it('handles escaped quotes inside strings', () => {
+        expect(convertSmartsheetFormula('="say ""[Amount]@row"" or false" & [Amount]@row', mappings).formula)
+            .toBe('LET(amount,B2,\n"say ""[Amount]@row"" or false" & amount\n)');
+    });
+
+    it('handles column names with spaces and closing brackets', () => {
+        expect(convertSmartsheetFormula('=[Size]s]@row & [Col A]@row', mappings).formula)
+            .toBe('LET(sizes,D2,col_a,C2,\nsizes & col_a\n)');
+    });
+
+    it('converts other bracketed references next to @row references', () => {
+        expect(convertSmartsheetFormula('=COUNTIF([Col A]:[Col A], [Col A]@row) + SUM([Amount]1:[Amount]5)', mappings).formula)
+            .toBe('LET(col_a,C2,\nCOUNTIF(C2:C, col_a) + SUM(B1:B5)\n)');
+    });
+
+    it('rewrites unquoted comparison criteria, which Google Sheets rejects', () => {
+        expect(convertSmartsheetFormula('=COUNTIF([Amount]:[Amount], >5)', mappings).formula).toBe('SUMPRODUCT(--(B2:B > 5))');
+    });
+
+    it('reports unmapped fields and leaves their references as written', () => {
+        const result = convertSmartsheetFormula('=[Status]@row & [Owner]@row & Owner@row', mappings);
+        expect(result.formula).toBe('LET(status,A2,\nstatus & [Owner]@row & Owner@row\n)');
+        expect(result.unmappedFields).toEqual(['Owner']);
+    });
+
+    it('treats mappings without a location as unmapped', () => {
+        const result = convertSmartsheetFormula('=[Owner]@row', [...mappings, { field: 'Owner', location: '', name: 'owner' }]);
+        expect(result.unmappedFields).toEqual(['Owner']);
+        expect(result.unusedMappings.map(mapping => mapping.field)).toEqual(['Status', 'Amount', 'Col A', 'Size]s']);
+    });
+
+    it('reports unused mappings and duplicate names', () => {
+        const withDuplicate = parseLocationMappings(JSON.stringify([
+            { field: 'Amount#', location: 'A2' },
+            { field: 'Amount num', location: 'B2' },
+            { field: 'Status', location: 'C2' },
+        ]));
+        const result = convertSmartsheetFormula('=[Amount#]@row', withDuplicate);
+        expect(result.unusedMappings.map(mapping => mapping.field)).toEqual(['Amount num', 'Status']);
+        expect(result.duplicateNames).toEqual([{ name: 'amount_num', fields: ['Amount#', 'Amount num'] }]);
+    });
+
+    it('skips the LET wrapper when no columns are referenced', () => {
+        expect(convertSmartsheetFormula('=SUM(1, 2)', mappings).formula).toBe('SUM(1, 2)');
+        expect(convertSmartsheetFormula('="[Amount]@row"', mappings).formula).toBe('"[Amount]@row"');
+    });
+});
+
+describe('convertSmartsheetFormula references', () => {
+    const referenceMappings = parseLocationMappings(JSON.stringify([
+        { field: 'Start', location: 'A2' },
+        { field: 'End', location: 'C2' },
+        { field: 'Amount', location: 'Data!B2' },
+        { field: 'Owner', location: 'D2', column: 'F' },
+        { field: 'Notes', location: 'G4' },
+        { field: '{Budget Range}', location: 'Budget!A2:A' },
+        { field: '{Rates}', location: 'Rates!A:B', url: 'https://docs.google.com/spreadsheets/d/abc' },
+    ]));
+    const convert = (formula) => convertSmartsheetFormula(formula, referenceMappings);
+
+    it.each([
+        ['=SUM([Start]:[Start])', 'SUM(A2:A)'],
+        ['=SUM([Start]:[End]) + COUNT($[Start]:$[Start])', 'SUM(A2:C) + COUNT($A2:$A)'],
+        ['=COUNTA([Notes]:[Notes])', 'COUNTA(G4:G)'],
+        ['=SUM([Start]1:[End]10)', 'SUM(A1:C10)'],
+        ['=[Start]5 + [Start]$5 + $[Start]$5', 'A5 + A$5 + $A$5'],
+        ['=SUM([Amount]:[Amount])', 'SUM(Data!B2:B)'],
+        ['=COUNT([Owner]:[Owner])', 'COUNT(F2:F)'],
+        ['=SUM({Budget Range})', 'SUM(Budget!A2:A)'],
+        ['=VLOOKUP([Start]1, {Rates}, 2, false)', 'VLOOKUP(A1, IMPORTRANGE("https://docs.google.com/spreadsheets/d/abc", "Rates!A:B"), 2, FALSE)'],
+        ['=SUM({1,2}) + COUNT({Budget Range})', 'SUM({1,2}) + COUNT(Budget!A2:A)'],
+    ])('converts %s', (smartsheet, google) => {
+        expect(convert(smartsheet).formula).toBe(google);
+    });
+
+    it('counts range references as using their mappings', () => {
+        expect(convert('=SUM([Start]:[Start]) + [Start]@row + SUM({Budget Range})').unusedMappings.map(mapping => mapping.field))
+            .toEqual(['End', 'Amount', 'Owner', 'Notes', '{Rates}']);
+    });
+
+    it('reports unmapped columns and cross-sheet references', () => {
+        const result = convert('=SUM([Cost]:[Cost]) + [Cost]5 + SUM({Other Sheet})');
+        expect(result.formula).toBe('SUM([Cost]:[Cost]) + [Cost]5 + SUM({Other Sheet})');
+        expect(result.unmappedFields).toEqual(['Cost', '{Other Sheet}']);
+    });
+});
+
+describe('convertSmartsheetFormula whole-column shapes', () => {
+    const formula = '=IF([Status]@row = "Done", [Amount]@row * 2, 0)';
+    const body = 'IF(status = "Done", amount * 2, 0)';
+
+    it('maps the column ranges through a LAMBDA', () => {
+        expect(convertSmartsheetFormula(formula, mappings, { shape: 'map' }).formula)
+            .toBe(`MAP(A2:A, B2:B, LAMBDA(status, amount,\nIF(AND(status = "", amount = ""), "", ${body})\n))`);
+    });
+
+    it('reads each row with BYROW', () => {
+        expect(convertSmartsheetFormula('=[Amount]@row * 2', mappings, { shape: 'byrow' }).formula)
+            .toBe('BYROW(B2:B, LAMBDA(row_values, LET(amount, INDEX(row_values, 1, 1),\nIF(amount = "", "", amount * 2)\n)))');
+    });
+
+    it('binds the ranges in an ARRAYFORMULA', () => {
+        const result = convertSmartsheetFormula(formula, mappings, { shape: 'arrayformula' });
+        expect(result.formula)
+            .toBe(`ARRAYFORMULA(LET(status, A2:A, amount, B2:B,\nIF((status = "") * (amount = ""), "", ${body})\n))`);
+        expect(result.warnings).toEqual([]);
+    });
+
+    it('warns about aggregating functions inside ARRAYFORMULA', () => {
+        expect(convertSmartsheetFormula('=OR([Status]@row = "a", [Status]@row = "b")', mappings, { shape: 'arrayformula' }).warnings)
+            .toEqual(['OR aggregates the whole column inside ARRAYFORMULA; use the MAP or BYROW shape instead.']);
+    });
+
+    it('stacks a header above the results', () => {
+        expect(convertSmartsheetFormula('=[Amount]@row', mappings, { shape: 'map', header: 'Say "hi"' }).formula)
+            .toBe('VSTACK("Say ""hi""", MAP(B2:B, LAMBDA(amount,\nIF(amount = "", "", amount)\n)))');
+    });
+
+    it('warns when mapped columns start on different rows', () => {
+        const uneven = parseLocationMappings('[{"field": "Status", "location": "A2"}, {"field": "Amount", "location": "B3"}]');
+        expect(convertSmartsheetFormula(formula, uneven, { shape: 'map' }).warnings)
+            .toEqual(['The mapped columns start on different rows (A2:A, B3:B); whole-column ranges must line up.']);
+    });
+
+    it('falls back to a single cell without @row references', () => {
+        const result = convertSmartsheetFormula('=SUM(1, 2)', mappings, { shape: 'map' });
+        expect(result.formula).toBe('SUM(1, 2)');
+        expect(result.warnings).toHaveLength(1);
+    });
+});
+
+describe('convertSmartsheetFormula function rules', () => {
+    const convert = (formula) => convertSmartsheetFormula(formula, []).formula;
+
+    it.each([
+        ['=JOIN([Name]:[Name], ", ")', 'TEXTJOIN(", ", TRUE, [Name]:[Name])'],
+        ['=JOIN([Name]:[Name])', 'TEXTJOIN("", TRUE, [Name]:[Name])'],
+        ['=COUNT(DISTINCT(A:A))', 'COUNT(UNIQUE(A:A))'],
+        ['=COLLECT(A:A, B:B, "Done", C:C, ">5")', 'FILTER(A:A, B:B = "Done", C:C > 5)'],
+        ['=COLLECT(A:A, B:B, "<>Done")', 'FILTER(A:A, B:B <> "Done")'],
+        ['=INDEX(COLLECT(A:A, B:B, @cell > 5), 1)', 'INDEX(FILTER(A:A, B:B > 5), 1)'],
+        ['=COLLECT(A:A, B:B, CONTAINS("x", @cell))', 'FILTER(A:A, ISNUMBER(SEARCH("x", B:B)))'],
+        ['=CONTAINS("x", A2)', 'ISNUMBER(SEARCH("x", A2))'],
+        ['=CONTAINS("x", A:A)', '(SUMPRODUCT(--ISNUMBER(SEARCH("x", A:A))) > 0)'],
+        ['=HAS(A2, "Red")', 'ISNUMBER(SEARCH(CHAR(10) & "Red" & CHAR(10), CHAR(10) & A2 & CHAR(10)))'],
+        ['=COUNTM(A:A)', 'IFERROR(COUNTA(SPLIT(TEXTJOIN(CHAR(10), TRUE, A:A), CHAR(10))), 0)'],
+        ['=NETWORKDAY(A2, B2)', 'NETWORKDAYS(A2, B2)'],
+        ['=WEEKNUMBER(A2)', 'ISOWEEKNUM(A2)'],
+        ['=AVGW(A:A, B:B)', '(SUMPRODUCT(A:A, B:B) / SUM(B:B))'],
+        ['=COUNTIFS(A:A, "Done", B:B, @cell < TODAY())', 'SUMPRODUCT(--(A:A = "Done"), --(B:B < TODAY()))'],
+        ['=SUMIFS(C:C, A:A, "Done")', 'SUMIFS(C:C, A:A, "Done")'],
+        ['=SUMIFS(C:C, A:A, YEAR(@cell) = 2024)', 'SUMPRODUCT(C:C, --(YEAR(A:A) = 2024))'],
+        ['=COUNTIF(B:B, >5)', 'SUMPRODUCT(--(B:B > 5))'],
+        ['=COUNTIFS(A:A, "Done", B:B, <= 10)', 'SUMPRODUCT(--(A:A = "Done"), --(B:B <= 10))'],
+        ['=SUMIF(A:A, <>"Done", C:C)', 'SUMPRODUCT(C:C, --(A:A <> "Done"))'],
+        ['=AVERAGEIF(B:B, >=TODAY())', 'AVERAGE(FILTER(B:B, B:B >= TODAY()))'],
+        ['=COLLECT(A:A, B:B, >5)', 'FILTER(A:A, B:B > 5)'],
+    ])('converts %s', (smartsheet, google) => {
+        expect(convert(smartsheet)).toBe(google);
+    });
+
+    it('keeps the operator rewrites together inside larger expressions', () => {
+        expect(convert('=1/AVGW(A:A, B:B)')).toBe('1/(SUMPRODUCT(A:A, B:B) / SUM(B:B))');
+        expect(convert('="x"&CONTAINS("y", A:A)')).toBe('"x"&(SUMPRODUCT(--ISNUMBER(SEARCH("y", A:A))) > 0)');
+        expect(convert('=HAS(A:A, "Red")+1')).toBe(
+            '(SUMPRODUCT(--ISNUMBER(SEARCH(CHAR(10) & "Red" & CHAR(10), CHAR(10) & A:A & CHAR(10)))) > 0)+1'
+        );
+    });
+
+    it('converts nested calls and keeps everything else as written', () => {
+        expect(convert('={1,2} & join(collect(A:A, B:B, "x"),  "; ") & "JOIN(A:A)"'))
+            .toBe('{1,2} & TEXTJOIN("; ", TRUE, FILTER(A:A, B:B = "x")) & "JOIN(A:A)"');
+    });
+
+    it('converts @row references inside rewritten calls', () => {
+        expect(convertSmartsheetFormula('=CONTAINS("x", [Status]@row)', mappings).formula)
+            .toBe('LET(status,A2,\nISNUMBER(SEARCH("x", status))\n)');
+    });
+
+    it('warns about functions without an equivalent', () => {
+        const result = convertSmartsheetFormula('=COUNT(CHILDREN()) + COUNT(ANCESTORS()) + PARENT()', []);
+        expect(result.formula).toBe('COUNT(CHILDREN()) + COUNT(ANCESTORS()) + PARENT()');
+        expect(result.warnings).toHaveLength(3);
+        expect(result.warnings[0]).toMatch(/^CHILDREN has no Google Sheets equivalent/);
+    });
+
+    it('warns about @cell outside criteria and missing arguments', () => {
+        expect(convertSmartsheetFormula('=@cell + AVGW(A:A)', []).warnings).toEqual([
+            '@cell can only be converted inside a criterion of COLLECT, COUNTIF(S), SUMIF(S) or AVERAGEIF.',
+            'AVGW expects at least 2 arguments; it was left unchanged.',
+        ]);
+    });
+});
+
+describe('convertSmartsheetFormat', () => {
+    it('converts placeholders and whole-word product names', () => {
+        expect(convertSmartsheetFormat('Hello {{name}}, welcome to Smartsheet! Not Smartsheets.'))
+            .toBe('Hello <<[name]>>, welcome to AppSheet! Not Smartsheets.');
+    });
+
+    it('returns an empty string for empty input', () => {
+        expect(convertSmartsheetFormat('')).toBe('');
+    });
+});
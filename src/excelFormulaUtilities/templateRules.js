@@ -0,0 +1,164 @@
+/**
+ * Rule-driven conversion of Smartsheet templates (`{{Field}}` placeholders in
+ * emails, documents and notifications) to other no-code platforms.
+ *
+ * A rule is `{ find, replace, regex, wholeWord, caseSensitive }`: `find` is
+ * literal text unless `regex` is set, in which case `replace` may use `$1`,
+ * `$<name>`, `$&` and `$$` like String.prototype.replace.
+ */
+
+/**
+ * Matches a Smartsheet placeholder, capturing the field name without the
+ * surrounding spaces.
+ */
+const PLACEHOLDER = '\\{\\{\\s*(.+?)\\s*\\}\\}';
+
+const renameProduct = (name) => ({ find: 'Smartsheet', replace: name, regex: false, wholeWord: true, caseSensitive: true });
+
+const placeholderRule = (replace) => ({ find: PLACEHOLDER, replace, regex: true, wholeWord: false, caseSensitive: true });
+
+/**
+ * Built-in rule sets, keyed by id.
+ */
+export const TEMPLATE_PRESETS = {
+    appsheet: {
+        name: 'AppSheet (<<[Field]>>)',
+        rules: [
+            { find: '{{', replace: '<<[', regex: false, wholeWord: false, caseSensitive: true },
+            { find: '}}', replace: ']>>', regex: false, wholeWord: false, caseSensitive: true },
+            renameProduct('AppSheet'),
+        ],
+    },
+    airtable: {
+        name: 'Airtable ({Field})',
+        rules: [placeholderRule('{$1}'), renameProduct('Airtable')],
+    },
+    notion: {
+        name: 'Notion (prop("Field"))',
+        rules: [placeholderRule('prop("$1")'), renameProduct('Notion')],
+    },
+    'power-automate': {
+        name: "Power Automate (@{items('Apply_to_each')?['Field']})",
+        rules: [placeholderRule("@{items('Apply_to_each')?['$1']}"), renameProduct('Power Automate')],
+    },
+    jinja: {
+        name: 'Jinja / Handlebars ({{ Field }})',
+        rules: [placeholderRule('{{ $1 }}')],
+    },
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the global regular expression for a rule.
+ * @param {object} rule The rule.
+ * @param {number} index The position of the rule, for error messages.
+ * @returns {RegExp} The expression.
+ * @throws {Error} When a regex rule does not compile.
+ */
+function compileRule(rule, index) {
+    const source = rule.regex ? rule.find : escapeRegExp(rule.find);
+    const pattern = rule.wholeWord ? `\\b(?:${source})\\b` : source;
+    try {
+        return new RegExp(pattern, rule.caseSensitive ? 'g' : 'gi');
+    } catch (error) {
+        throw new Error(`Rule ${index + 1}: ${error.message}`);
+    }
+}
+
+/**
+ * Expands `$1`, `$<name>`, `$&` and `$$` in a regex rule's replacement.
+ * @param {string} replace The replacement pattern.
+ * @param {Array<string>} match The match, with its capture groups.
+ * @returns {string} The replacement text.
+ */
+function expandReplacement(replace, match) {
+    return replace.replace(/\$(\$|&|<([^>]*)>|\d{1,2})/g, (token, what, name) => {
+        if (what === '$') return '$';
+        if (what === '&') return match[0];
+        if (name !== undefined) return (match.groups && match.groups[name]) || '';
+        return match[Number(what)] !== undefined ? match[Number(what)] : token;
+    });
+}
+
+/**
+ * Applies rules in order. Each rule only sees the text no earlier rule has
+ * replaced, so replacements never cascade into each other.
+ * @param {string} text The template to convert.
+ * @param {Array<object>} rules The rules; those with an empty `find` are skipped.
+ * @returns {{text: string, segments: Array<{text: string, rule: number|null, original?: string}>, count: number}}
+ *   The converted text, the text split into kept and replaced segments
+ *   (`rule` is the index of the rule that produced a segment) and the
+ *   number of replacements made.
+ * @throws {Error} When a regex rule does not compile.
+ */
+export function applyTemplateRules(text, rules) {
+    let segments = text ? [{ text, rule: null }] : [];
+    rules.forEach((rule, index) => {
+        if (!rule.find) return;
+        const expression = compileRule(rule, index);
+        segments = segments.flatMap(segment => {
+            if (segment.rule !== null) return [segment];
+            const pieces = [];
+            let position = 0;
+            for (const match of segment.text.matchAll(expression)) {
+                // Empty matches would insert the replacement at every segment edge
+                if (match[0] === '') continue;
+                if (match.index > position) pieces.push({ text: segment.text.slice(position, match.index), rule: null });
+                pieces.push({
+                    text: rule.regex ? expandReplacement(rule.replace, match) : rule.replace,
+                    rule: index,
+                    original: match[0],
+                });
+                position = match.index + match[0].length;
+            }
+            if (position < segment.text.length) pieces.push({ text: segment.text.slice(position), rule: null });
+            return pieces;
+        });
+    });
+    return {
+        text: segments.map(segment => segment.text).join(''),
+        segments,
+        count: segments.filter(segment => segment.rule !== null).length,
+    };
+}
+
+/**
+ * Parses rules exported by exportTemplateRules, or a bare array of rules.
+ * Missing options default to a case-sensitive literal rule.
+ * @param {string} json The JSON text.
+ * @returns {{name: string, rules: Array<object>}} The rule set.
+ * @throws {Error} When the JSON is not a rule set or a rule has no `find`.
+ */
+export function parseTemplateRules(json) {
+    const parsed = JSON.parse(json);
+    const rules = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error('Template rules must be a JSON array or an object with a rules array');
+    }
+    return {
+        name: (!Array.isArray(parsed) && typeof parsed.name === 'string') ? parsed.name : '',
+        rules: rules.map((rule, index) => {
+            if (!rule || typeof rule.find !== 'string') {
+                throw new Error(`Rule ${index + 1} needs a find string`);
+            }
+            return {
+                find: rule.find,
+                replace: typeof rule.replace === 'string' ? rule.replace : '',
+                regex: Boolean(rule.regex),
+                wholeWord: Boolean(rule.wholeWord),
+                caseSensitive: rule.caseSensitive !== false,
+            };
+        }),
+    };
+}
+
+/**
+ * Serializes a rule set for parseTemplateRules.
+ * @param {Array<object>} rules The rules.
+ * @param {string} [name=''] A name for the rule set.
+ * @returns {string} Indented JSON.
+ */
+export function exportTemplateRules(rules, name = '') {
+    return JSON.stringify({ name, rules }, null, 2);
+}
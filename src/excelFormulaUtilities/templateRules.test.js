@@ -0,0 +1,74 @@
+import { applyTemplateRules, exportTemplateRules, parseTemplateRules, TEMPLATE_PRESETS } from './templateRules.js';
+
+const template = 'Hi {{ Owner }}, {{Due Date}} is set in Smartsheet.';
+const convert = (preset) => applyTemplateRules(template, TEMPLATE_PRESETS[preset].rules).text;
+
+describe('applyTemplateRules', () => {
+    it.each([
+        ['appsheet', 'Hi <<[ Owner ]>>, <<[Due Date]>> is set in AppSheet.'],
+        ['airtable', 'Hi {Owner}, {Due Date} is set in Airtable.'],
+        ['notion', 'Hi prop("Owner"), prop("Due Date") is set in Notion.'],
+        ['power-automate', "Hi @{items('Apply_to_each')?['Owner']}, @{items('Apply_to_each')?['Due Date']} is set in Power Automate."],
+        ['jinja', 'Hi {{ Owner }}, {{ Due Date }} is set in Smartsheet.'],
+    ])('converts placeholders with the %s preset', (preset, expected) => {
+        expect(convert(preset)).toBe(expected);
+    });
+
+    it('reports every replacement as a segment', () => {
+        const result = applyTemplateRules('{{a}} and {{b}}', TEMPLATE_PRESETS.airtable.rules);
+        expect(result.count).toBe(2);
+        expect(result.segments).toEqual([
+            { text: '{a}', rule: 0, original: '{{a}}' },
+            { text: ' and ', rule: null },
+            { text: '{b}', rule: 0, original: '{{b}}' },
+        ]);
+    });
+
+    it('does not let later rules rewrite earlier replacements', () => {
+        const rules = [
+            { find: 'cat', replace: 'dog', regex: false, wholeWord: false, caseSensitive: true },
+            { find: 'dog', replace: 'bird', regex: false, wholeWord: false, caseSensitive: true },
+        ];
+        expect(applyTemplateRules('cat dog', rules).text).toBe('dog bird');
+    });
+
+    it('honours the whole-word and case options', () => {
+        const rule = { find: 'id', replace: 'ID', regex: false, wholeWord: true, caseSensitive: false };
+        expect(applyTemplateRules('Id, id, idea, ID', [rule]).text).toBe('ID, ID, idea, ID');
+        expect(applyTemplateRules('Id, id', [{ ...rule, caseSensitive: true }]).text).toBe('Id, ID');
+    });
+
+    it('treats literal find and replace text literally', () => {
+        const rule = { find: '$1.00 (x)', replace: '$&', regex: false, wholeWord: false, caseSensitive: true };
+        expect(applyTemplateRules('pay $1.00 (x)', [rule]).text).toBe('pay $&');
+    });
+
+    it('expands numbered and named groups in regex replacements', () => {
+        const rules = [{ find: '(?<day>\\d+)/(\\d+)', replace: '$2-$<day> $$', regex: true, wholeWord: false, caseSensitive: true }];
+        expect(applyTemplateRules('on 24/12', rules).text).toBe('on 12-24 $');
+    });
+
+    it('skips empty rules and rejects invalid regular expressions', () => {
+        expect(applyTemplateRules('text', [{ find: '', replace: 'x' }]).text).toBe('text');
+        expect(() => applyTemplateRules('text', [{ find: '(', replace: '', regex: true }])).toThrow(/^Rule 1: /);
+    });
+});
+
+describe('parseTemplateRules', () => {
+    it('round-trips exported rule sets', () => {
+        const { rules } = TEMPLATE_PRESETS.notion;
+        expect(parseTemplateRules(exportTemplateRules(rules, 'Notion'))).toEqual({ name: 'Notion', rules });
+    });
+
+    it('accepts a bare array and fills in defaults', () => {
+        expect(parseTemplateRules('[{"find": "a"}]')).toEqual({
+            name: '',
+            rules: [{ find: 'a', replace: '', regex: false, wholeWord: false, caseSensitive: true }],
+        });
+    });
+
+    it('rejects other JSON', () => {
+        expect(() => parseTemplateRules('{"find": "a"}')).toThrow('Template rules must be a JSON array or an object with a rules array');
+        expect(() => parseTemplateRules('[{"replace": "a"}]')).toThrow('Rule 1 needs a find string');
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * Conversion from Google Sheets / Excel formulas back to Smartsheet syntax,
+ * using the same location mappings as convertSmartsheetFormula.
+ */
+import { getTokens } from './tokenizer.js';
+import { buildCallTree, renderArgument, renderCallAsWritten, singleToken } from './callTree.js';
+import { TOK_TYPE_OPERAND, TOK_SUBTYPE_LOGICAL, TOK_SUBTYPE_RANGE, TOK_SUBTYPE_TEXT } from './tokens.js';
+
+/**
+ * Functions available in Smartsheet formulas. Calls to anything else are
+ * reported after the reverse rules have been applied.
+ */
+export const SMARTSHEET_FUNCTIONS = [
+    'ABS', 'ANCESTORS', 'AND', 'AVEDEV', 'AVERAGEIF', 'AVG', 'AVGW', 'CEILING', 'CHAR', 'CHILDREN',
+    'CLEAN', 'COLLECT', 'CONTAINS', 'COUNT', 'COUNTIF', 'COUNTIFS', 'COUNTM', 'DATE', 'DATEONLY',
+    'DAY', 'DISTINCT', 'FIND', 'FLOOR', 'HAS', 'IF', 'IFERROR', 'INDEX', 'INT', 'ISBLANK',
+    'ISBOOLEAN', 'ISCRITICAL', 'ISDATE', 'ISERROR', 'ISEVEN', 'ISNUMBER', 'ISODD', 'ISTEXT', 'JOIN',
+    'LARGE', 'LEFT', 'LEN', 'LOWER', 'MATCH', 'MAX', 'MEDIAN', 'MID', 'MIN', 'MOD', 'MONTH',
+    'NETDAYS', 'NETWORKDAY', 'NETWORKDAYS', 'NOT', 'OR', 'PARENT', 'PERCENTILE', 'PRORATE',
+    'RANKAVG', 'RANKEQ', 'REPLACE', 'RIGHT', 'ROUND', 'ROUNDDOWN', 'ROUNDUP', 'SMALL', 'SQRT',
+    'STDEVA', 'STDEVP', 'STDEVPA', 'STDEVS', 'SUBSTITUTE', 'SUM', 'SUMIF', 'SUMIFS', 'SUMPRODUCT',
+    'TIME', 'TODAY', 'UNICHAR', 'UPPER', 'VALUE', 'VLOOKUP', 'WEEKDAY', 'WEEKNUMBER', 'WORKDAY',
+    'YEAR', 'YEARDAY',
+];
+
+const A1_CELL = /^(?:(.+)!)?(\$?)([A-Z]+)(\$?)(\d+)$/i;
+const A1_RANGE = /^(?:(.+)!)?(\$?)([A-Z]+)(\$?)(\d*):(\$?)([A-Z]+)(\$?)(\d*)$/i;
+const MAPPING_CELL = /^(?:(.+)!)?\$?([A-Z]+)\$?(\d*)$/i;
+
+// Sheet names compare without quotes and case, like the spreadsheet itself
+const normalizeSheet = (sheet) => (sheet || '').replace(/^'(.*)'$/, '$1').replace(/''/g, "'").toUpperCase();
+const normalizeRange = (range) => range.replace(/\$/g, '').toUpperCase();
+const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+
+/**
+ * Google Sheets constructs with a Smartsheet equivalent, keyed by upper-case
+ * function name. Each rule receives the call node and `text(i)`, which
+ * renders argument i (trimmed) on demand, plus the state and scope for
+ * rendering inner nodes itself. It returns the replacement, or null to keep
+ * the call as written.
+ */
+const REVERSE_RULES = {
+    AVERAGE: (node, text) => `AVG(${node.args.map((arg, i) => text(i)).join(', ')})`,
+    CONCAT: (node, text) => node.args.map((arg, i) => text(i)).join(' & '),
+    CONCATENATE: (node, text) => node.args.map((arg, i) => text(i)).join(' & '),
+    FILTER: (node, text, state, scope) => {
+        if (node.args.length < 2) return null;
+        const criteria = node.args.slice(1).map(arg => filterCriterion(arg, state, scope));
+        if (criteria.includes(null)) return null;
+        return `COLLECT(${[text(0), ...criteria].join(', ')})`;
+    },
+    ISNUMBER: (node, text, state, scope) => {
+        // ISNUMBER(SEARCH(text, cell)) is a case-insensitive substring test
+        const inner = node.args.length === 1 && node.args[0].children.length === 1 && node.args[0].children[0];
+        if (!inner || !inner.args || inner.token.value.toUpperCase() !== 'SEARCH' || inner.args.length !== 2) return null;
+        const [search, within] = inner.args.map(arg => renderReverseArgument(arg, state, scope).trim());
+        return `CONTAINS(${search}, ${within})`;
+    },
+    ISOWEEKNUM: (node, text) => (node.args.length === 1 ? `WEEKNUMBER(${text(0)})` : null),
+    TEXTJOIN: (node, text) => (node.args.length === 3 ? `JOIN(${text(2)}, ${text(0)})` : null),
+    UNIQUE: (node, text) => (node.args.length === 1 ? `DISTINCT(${text(0)})` : null),
+};
+
+/**
+ * Converts a FILTER condition such as `B:B = "Done"` into the COLLECT pair
+ * `[Status]:[Status], @cell = "Done"`, using the first column range in it.
+ * @param {object} arg The condition argument.
+ * @param {object} state The conversion state.
+ * @param {Map} scope The LET variables in scope.
+ * @returns {string|null} The criterion range and criterion, or null when the
+ *   condition has no column range.
+ */
+function filterCriterion(arg, state, scope) {
+    const rangeNode = arg.children.find(node => !node.args && node.token.subtype === TOK_SUBTYPE_RANGE &&
+        renderReverseNode(node, state, scope).includes(':'));
+    if (!rangeNode) return null;
+    const criterion = renderArgument(arg, state.text, node => (node === rangeNode ? '@cell' : renderReverseNode(node, state, scope)));
+    return `${renderReverseNode(rangeNode, state, scope)}, ${criterion.trim()}`;
+}
+
+/**
+ * Builds the lookups from mapped cells back to Smartsheet columns.
+ * @param {Array} locationMappings The completed mappings.
+ * @returns {{columns: Array<object>, crossSheet: Array<object>}} Column
+ *   mappings with sheet/column/row, and cross-sheet mappings by range.
+ */
+function indexMappings(locationMappings) {
+    const columns = [];
+    const crossSheet = [];
+    locationMappings.forEach(mapping => {
+        const location = mapping.location || '';
+        if (mapping.field.startsWith('{')) {
+            crossSheet.push({ field: mapping.field, range: normalizeRange(location), url: mapping.url || '' });
+            return;
+        }
+        const cell = location.match(MAPPING_CELL);
+        const column = mapping.column || (cell && cell[2]);
+        if (!column) return;
+        columns.push({
+            field: mapping.field,
+            name: (mapping.name || '').toUpperCase(),
+            sheet: normalizeSheet(cell && cell[1]),
+            column: column.toUpperCase(),
+            row: cell ? cell[3] : '',
+        });
+    });
+    return { columns, crossSheet };
+}
+
+const findColumn = (state, sheet, column) => state.columns.find(
+    mapping => mapping.sheet === normalizeSheet(sheet) && mapping.column === column.toUpperCase());
+
+/**
+ * Converts an A1 cell or range to Smartsheet syntax.
+ * @param {string} value The reference as written.
+ * @param {object} state The conversion state.
+ * @returns {string|null} The Smartsheet reference, or null when unmapped.
+ */
+function convertReference(value, state) {
+    const crossSheet = state.crossSheet.find(mapping => !mapping.url && mapping.range === normalizeRange(value));
+    if (crossSheet) return crossSheet.field;
+
+    const cell = value.match(A1_CELL);
+    if (cell) {
+        const mapping = findColumn(state, cell[1], cell[3]);
+        if (!mapping) return null;
+        if (cell[5] === mapping.row) return `[${mapping.field}]@row`;
+        return `${cell[2]}[${mapping.field}]${cell[4]}${cell[5]}`;
+    }
+
+    const range = value.match(A1_RANGE);
+    if (range) {
+        const start = findColumn(state, range[1], range[3]);
+        const end = findColumn(state, range[1], range[7]);
+        if (!start || !end) return null;
+        // Whole and open-ended columns (A:A, A2:A) become column ranges
+        if (!range[9]) return `[${start.field}]:[${end.field}]`;
+        return `${range[2]}[${start.field}]${range[4]}${range[5]}:${range[6]}[${end.field}]${range[8]}${range[9]}`;
+    }
+    return null;
+}
+
+/**
+ * Renders an argument in the Google Sheets to Smartsheet direction.
+ * @param {object} arg An argument from buildCallTree.
+ * @param {object} state The conversion state.
+ * @param {Map} scope The LET variables in scope, by upper-case name.
+ * @returns {string} The converted text.
+ */
+function renderReverseArgument(arg, state, scope) {
+    return renderArgument(arg, state.text, node => renderReverseNode(node, state, scope));
+}
+
+/**
+ * Renders a single token or call.
+ * @param {object} node A node from buildCallTree.
+ * @param {object} state The conversion state.
+ * @param {Map} scope The LET variables in scope, by upper-case name.
+ * @returns {string} The converted text.
+ */
+function renderReverseNode(node, state, scope) {
+    if (node.args) return renderReverseCall(node, state, scope);
+
+    const token = node.token;
+    const source = state.text.slice(node.start, node.end);
+    if (token.type !== TOK_TYPE_OPERAND) return source;
+    if (token.subtype === TOK_SUBTYPE_LOGICAL) return token.value.toLowerCase();
+    if (token.subtype !== TOK_SUBTYPE_RANGE) return source;
+    if (scope.has(token.value.toUpperCase())) return scope.get(token.value.toUpperCase());
+
+    const converted = convertReference(token.value, state);
+    if (converted) return converted;
+    if (!state.unmappedReferences.includes(token.value)) state.unmappedReferences.push(token.value);
+    return source;
+}
+
+/**
+ * Inlines the variables of a LET call and returns its converted body.
+ * Variables bound to a mapped cell become column references; other values
+ * are inlined in parentheses.
+ * @param {object} node The LET call node.
+ * @param {object} state The conversion state.
+ * @param {Map} scope The LET variables already in scope.
+ * @returns {string|null} The body, or null when the LET is malformed.
+ */
+function inlineLet(node, state, scope) {
+    if (node.args.length < 3 || node.args.length % 2 === 0) return null;
+    const inner = new Map(scope);
+    for (let i = 0; i < node.args.length - 1; i += 2) {
+        const nameToken = singleToken(node.args[i]);
+        if (!nameToken || nameToken.subtype !== TOK_SUBTYPE_RANGE) return null;
+        const name = nameToken.value.toUpperCase();
+        const valueToken = singleToken(node.args[i + 1]);
+
+        // Fall back to the LET name for cells whose mapping location has changed
+        const byName = state.columns.find(mapping => mapping.name === name);
+        if (valueToken && valueToken.subtype === TOK_SUBTYPE_RANGE && !inner.has(valueToken.value.toUpperCase()) &&
+                !convertReference(valueToken.value, state) && byName) {
+            inner.set(name, `[${byName.field}]@row`);
+            continue;
+        }
+        const value = renderReverseArgument(node.args[i + 1], state, inner).trim();
+        inner.set(name, valueToken ? value : `(${value})`);
+    }
+    return renderReverseArgument(node.args[node.args.length - 1], state, inner).trim();
+}
+
+/**
+ * Renders a call, applying LET inlining and the reverse rules.
+ * @param {object} node A call node from buildCallTree.
+ * @param {object} state The conversion state.
+ * @param {Map} scope The LET variables in scope.
+ * @returns {string} The converted text.
+ */
+function renderReverseCall(node, state, scope) {
+    const name = node.token.value.toUpperCase();
+    const asWritten = () => renderCallAsWritten(node, state.text, arg => renderReverseArgument(arg, state, scope));
+
+    if (name === 'ARRAYROW') return asWritten();
+    if (name === 'ARRAY') {
+        state.warnings.add('Array constants such as {1,2} are not supported by Smartsheet.');
+        return asWritten();
+    }
+    if (name === 'LET') {
+        const body = inlineLet(node, state, scope);
+        if (body !== null) return body;
+    }
+    if (name === 'IMPORTRANGE' && node.args.length === 2) {
+        const [url, range] = node.args.map(singleToken);
+        const crossSheet = url && range && url.subtype === TOK_SUBTYPE_TEXT && range.subtype === TOK_SUBTYPE_TEXT &&
+            state.crossSheet.find(mapping => mapping.url === url.value && mapping.range === normalizeRange(range.value));
+        if (crossSheet) return crossSheet.field;
+        state.warnings.add(`IMPORTRANGE(${quote(url ? url.value : '')}, ...) has no cross-sheet mapping; add one with the same url and location.`);
+        return asWritten();
+    }
+
+    const rule = REVERSE_RULES[name];
+    if (rule) {
+        const text = (index) => renderReverseArgument(node.args[index], state, scope).trim();
+        const converted = rule(node, text, state, scope);
+        if (converted !== null) return converted;
+    }
+    if (!SMARTSHEET_FUNCTIONS.includes(name)) {
+        state.warnings.add(`${name} is not supported by Smartsheet; it was left unchanged.`);
+    }
+    return asWritten();
+}
+
+/**
+ * Converts a Google Sheets or Excel formula (including a LET produced by
+ * convertSmartsheetFormula) back to Smartsheet syntax:
+ * 1. Inline LET variables, turning those bound to mapped cells into
+ *    `[Column]@row` references
+ * 2. Replace mapped cells with `[Column]@row` (or `[Column]5` for other rows),
+ *    column ranges with `[Column]:[Column]` and cross-sheet ranges (plain or
+ *    IMPORTRANGE) with `{Range Name}`
+ * 3. Rewrite Google Sheets functions with a Smartsheet equivalent (FILTER to
+ *    COLLECT, TEXTJOIN to JOIN, ISNUMBER(SEARCH()) to CONTAINS, ...) and
+ *    report the ones Smartsheet does not support
+ * Everything else, including string literals and spacing, is kept as written.
+ * @param {string} formula The Google Sheets or Excel formula.
+ * @param {Array} locationMappings The mappings from parseLocationMappings.
+ * @param {object} [options]
+ * @param {boolean} [options.isEu=false] Whether the formula uses `;` separators.
+ * @returns {{formula: string, unmappedReferences: Array<string>, warnings: Array<string>}}
+ *   The Smartsheet formula without a leading `=`, the references no mapping
+ *   covers, and the constructs that could not be converted.
+ */
+export function convertToSmartsheetFormula(formula, locationMappings, options = {}) {
+    const body = formula.replace(/^[=']+/g, "");
+    const state = {
+        text: body,
+        ...indexMappings(locationMappings),
+        unmappedReferences: [],
+        warnings: new Set(),
+    };
+    const tree = buildCallTree(getTokens(body, { isEu: options.isEu }).items, body.length);
+    return {
+        formula: renderReverseArgument(tree, state, new Map()).trim(),
+        unmappedReferences: state.unmappedReferences,
+        warnings: Array.from(state.warnings),
+    };
+}
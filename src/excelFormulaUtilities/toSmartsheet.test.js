@@ -0,0 +1,65 @@
+import { convertCsvToMappings, parseLocationMappings } from './mappings.js';
+import { convertSmartsheetFormula } from './smartsheet.js';
+import { convertToSmartsheetFormula } from './toSmartsheet.js';
+
+const mappings = parseLocationMappings(JSON.stringify([
+    { field: 'Status', location: 'A2' },
+    { field: 'Amount', location: 'B2' },
+    { field: 'Due Date', location: 'Data!C2' },
+    { field: '{Budget Range}', location: 'Budget!A2:A' },
+    { field: '{Rates}', location: 'Rates!A:B', url: 'https://example.com/sheet' },
+]));
+const convert = (formula) => convertToSmartsheetFormula(formula, mappings).formula;
+
+describe('convertToSmartsheetFormula', () => {
+    it.each([
+        ['=IF(A2 = "Done", B2, false)', 'IF([Status]@row = "Done", [Amount]@row, false)'],
+        ['=B5 + B$5 + $B$5', '[Amount]5 + [Amount]$5 + $[Amount]$5'],
+        ['=SUM(B:B) + SUM(B2:B) + SUM(A1:B10)', 'SUM([Amount]:[Amount]) + SUM([Amount]:[Amount]) + SUM([Status]1:[Amount]10)'],
+        ['=Data!C2 + COUNT(Data!C:C)', '[Due Date]@row + COUNT([Due Date]:[Due Date])'],
+        ['=SUM(Budget!A2:A)', 'SUM({Budget Range})'],
+        ['=VLOOKUP(A2, IMPORTRANGE("https://example.com/sheet", "Rates!A:B"), 2, FALSE)', 'VLOOKUP([Status]@row, {Rates}, 2, false)'],
+        ['=TEXTJOIN(", ", TRUE, FILTER(B:B, A:A = "Done"))', 'JOIN(COLLECT([Amount]:[Amount], [Status]:[Status], @cell = "Done"), ", ")'],
+        ['=ISNUMBER(SEARCH("x", A2))', 'CONTAINS("x", [Status]@row)'],
+        ['=COUNT(UNIQUE(A:A)) + AVERAGE(B:B)', 'COUNT(DISTINCT([Status]:[Status])) + AVG([Amount]:[Amount])'],
+        ['=CONCATENATE(A2, " - ", B2)', '[Status]@row & " - " & [Amount]@row'],
+    ])('converts %s', (google, smartsheet) => {
+        expect(convert(google)).toBe(smartsheet);
+    });
+
+    it('inlines LET variables', () => {
+        expect(convert('=LET(status,A2,amount,B2,total,amount * 2,\nIF(status = "Done", total, 0)\n)'))
+            .toBe('IF([Status]@row = "Done", ([Amount]@row * 2), 0)');
+    });
+
+    it('resolves LET names whose location has moved', () => {
+        expect(convert('=LET(amount,Z9,amount + 1)')).toBe('[Amount]@row + 1');
+    });
+
+    it('round-trips formulas produced by convertSmartsheetFormula', () => {
+        const smartsheet = '=IF([Status]@row = "Done", JOIN(COLLECT([Amount]:[Amount], [Status]:[Status], @cell = "Done"), ", "), SUM({Budget Range}))';
+        const google = convertSmartsheetFormula(smartsheet, mappings).formula;
+        expect('=' + convert(google)).toBe(smartsheet);
+    });
+
+    it('leaves strings untouched and reports unmapped references', () => {
+        const result = convertToSmartsheetFormula('="A2 " & A2 & Z1', mappings);
+        expect(result.formula).toBe('"A2 " & [Status]@row & Z1');
+        expect(result.unmappedReferences).toEqual(['Z1']);
+    });
+
+    it('flags functions Smartsheet does not support', () => {
+        const result = convertToSmartsheetFormula('=XLOOKUP(A2, A:A, B:B) + SUM({1,2})', mappings);
+        expect(result.formula).toBe('XLOOKUP([Status]@row, [Status]:[Status], [Amount]:[Amount]) + SUM({1,2})');
+        expect(result.warnings).toEqual([
+            'XLOOKUP is not supported by Smartsheet; it was left unchanged.',
+            'Array constants such as {1,2} are not supported by Smartsheet.',
+        ]);
+    });
+
+    it('accepts CSV mappings and European separators', () => {
+        const csv = convertCsvToMappings('field,location\nStatus,A2\nAmount,B2');
+        expect(convertToSmartsheetFormula('=IF(A2 = "x"; B2; 1,5)', csv, { isEu: true }).formula)
+            .toBe('IF([Status]@row = "x"; [Amount]@row; 1,5)');
+    });
+});
@@ -0,0 +1,438 @@
+/**
+ * The core parser. Converts a formula string into a stream of tokens.
+ */
+import {
+    F_token,
+    F_tokens,
+    F_tokenStack,
+    TOK_TYPE_NOOP,
+    TOK_TYPE_OPERAND,
+    TOK_TYPE_FUNCTION,
+    TOK_TYPE_SUBEXPR,
+    TOK_TYPE_ARGUMENT,
+    TOK_TYPE_OP_PRE,
+    TOK_TYPE_OP_IN,
+    TOK_TYPE_OP_POST,
+    TOK_TYPE_WHITE_SPACE,
+    TOK_TYPE_UNKNOWN,
+    TOK_SUBTYPE_START,
+    TOK_SUBTYPE_STOP,
+    TOK_SUBTYPE_TEXT,
+    TOK_SUBTYPE_NUMBER,
+    TOK_SUBTYPE_LOGICAL,
+    TOK_SUBTYPE_ERROR,
+    TOK_SUBTYPE_RANGE,
+    TOK_SUBTYPE_INTERSECT,
+    TOK_SUBTYPE_UNION,
+} from './tokens.js';
+
+const ERROR_LITERALS = [
+    "#NULL!", "#DIV/0!", "#VALUE!", "#REF!", "#NAME?", "#NUM!", "#N/A",
+    "#GETTING_DATA", "#SPILL!", "#CALC!", "#FIELD!", "#BLOCKED!", "#CONNECT!", "#BUSY!", "#UNKNOWN!", "#ERROR!",
+];
+
+/**
+ * Converts a formula string into a stream of tokens.
+ *
+ * Every token records its `offset` and `length` in the original formula
+ * string. Syntax problems never throw; they are collected on the returned
+ * collection's `diagnostics` as `{ code, severity, message, offset, length }`
+ * and the tokenizer recovers as best it can (e.g. by closing open
+ * parentheses at the end of the formula).
+ * @param {string} formula The Excel formula string.
+ * @param {object} [options] Tokenizer options.
+ * @param {boolean} [options.isEu=false] Treat `;` as the argument separator and `,` as the
+ *   decimal separator (European style).
+ * @returns {F_tokens} A collection of tokens.
+ */
+export function getTokens(formula, options = {}) {
+    // This is a large and complex state machine that iterates through the formula
+    // character by character, identifying operands, functions, operators, strings, etc.,
+    // and creating a flat list of token objects. It handles various states like
+    // being inside a string, a range, or an error literal.
+    let tokens = new F_tokens();
+    let tokenStack = new F_tokenStack();
+    let offset = 0;
+    let token = "";
+    let tokenStart = 0;
+    let inString = false, inPath = false, inError = false;
+    // Depth of [ ] brackets, which nest in structured references such as Table1[[#This Row],[Col]]
+    let rangeDepth = 0;
+    const isEu = !!options.isEu;
+
+    // Offsets are reported against the untrimmed input
+    const base = formula.match(/^\s*=?\s*/)[0].length;
+    formula = formula.trim().replace(/^=/, '').trim();
+
+    const currentChar = () => formula.substring(offset, offset + 1);
+    const doubleChar = () => formula.substring(offset, offset + 2);
+    const nextChar = () => formula.substring(offset + 1, offset + 2);
+    const EOF = () => offset >= formula.length;
+
+    const report = (code, message, start, length, severity = "error") => {
+        tokens.diagnostics.push({ code, severity, message, offset: base + start, length });
+    };
+    const addToken = (value, type, subtype, start, length) => tokens.add(value, type, subtype, base + start, length);
+    // Appends a character to the pending operand, remembering where it began
+    const appendChar = (char) => {
+        if (token.length === 0) tokenStart = offset;
+        token += char;
+    };
+    // Emits the pending operand (if any) as a token ending at the current offset
+    const flushToken = (type, subtype) => {
+        if (token.length > 0) addToken(token, type, subtype, tokenStart, offset - tokenStart);
+        token = "";
+    };
+    const popToken = (name, length = 1) => {
+        tokens.items.push(tokenStack.pop(name, base + offset, length));
+    };
+
+    while (!EOF()) {
+        if (inString) {
+            if (currentChar() === '"') {
+                if (nextChar() === '"') {
+                    token += '"';
+                    offset++;
+                } else {
+                    inString = false;
+                    addToken(token, TOK_TYPE_OPERAND, TOK_SUBTYPE_TEXT, tokenStart, offset + 1 - tokenStart);
+                    token = "";
+                }
+            } else {
+                token += currentChar();
+            }
+            offset++;
+            continue;
+        }
+        if (inPath) {
+            if (currentChar() === "'") {
+                if (nextChar() === "'") {
+                    token += "'";
+                    offset++;
+                } else {
+                    inPath = false;
+                }
+            }
+            token += currentChar();
+            offset++;
+            continue;
+        }
+        if (rangeDepth > 0) {
+            if (currentChar() === '[') rangeDepth++;
+            if (currentChar() === ']') rangeDepth--;
+            token += currentChar();
+            offset++;
+            continue;
+        }
+
+        if (inError) {
+            const candidate = token + currentChar();
+            if (!ERROR_LITERALS.some(literal => literal.startsWith(candidate))) {
+                // Not a known error: take the rest of the word so it is reported as one span
+                while (!EOF() && /[\w/!?.]/.test(currentChar())) {
+                    token += currentChar();
+                    offset++;
+                }
+                inError = false;
+                report("unknown-error", `Unknown error literal ${token}`, tokenStart, offset - tokenStart);
+                flushToken(TOK_TYPE_OPERAND, TOK_SUBTYPE_ERROR);
+                continue;
+            }
+            token = candidate;
+            offset++;
+            if (ERROR_LITERALS.includes(token)) {
+                inError = false;
+                flushToken(TOK_TYPE_OPERAND, TOK_SUBTYPE_ERROR);
+            }
+            continue;
+        }
+
+        if (currentChar() === '"') {
+            flushToken(TOK_TYPE_UNKNOWN);
+            tokenStart = offset;
+            inString = true;
+            offset++;
+            continue;
+        }
+        if (currentChar() === "'") {
+            flushToken(TOK_TYPE_UNKNOWN);
+            appendChar("'");
+            inPath = true;
+            offset++;
+            continue;
+        }
+
+        if (currentChar() === '[') {
+            appendChar(currentChar());
+            rangeDepth = 1;
+            offset++;
+            continue;
+        }
+        if (currentChar() === '#') {
+            if (token.length > 0) {
+                // Spilled range reference such as A1#
+                token += currentChar();
+                offset++;
+                continue;
+            }
+            appendChar(currentChar());
+            inError = true;
+            offset++;
+            continue;
+        }
+
+        if (currentChar() === '{') {
+            flushToken(TOK_TYPE_UNKNOWN);
+            tokenStack.push(addToken("ARRAY", TOK_TYPE_FUNCTION, TOK_SUBTYPE_START, offset, 1));
+            tokenStack.push(addToken("ARRAYROW", TOK_TYPE_FUNCTION, TOK_SUBTYPE_START, offset + 1, 0));
+            offset++;
+            continue;
+        }
+
+        if (currentChar() === '}') {
+            flushToken(TOK_TYPE_OPERAND);
+            if (tokenStack.token() && tokenStack.token().value === "ARRAYROW") {
+                popToken("ARRAYROW", 0);
+                popToken("ARRAY");
+            } else {
+                report("unbalanced-brace", "Unexpected closing brace", offset, 1);
+            }
+            offset++;
+            continue;
+        }
+
+        if (currentChar() === ' ' || currentChar() === '\n' || currentChar() === '\r') {
+            flushToken(TOK_TYPE_OPERAND);
+            const start = offset;
+            offset++;
+            while (!EOF() && (currentChar() === ' ' || currentChar() === '\n' || currentChar() === '\r')) offset++;
+            addToken("", TOK_TYPE_WHITE_SPACE, undefined, start, offset - start);
+            continue;
+        }
+        // operators
+        if (doubleChar() === "<=" || doubleChar() === ">=" || doubleChar() === "<>") {
+            flushToken(TOK_TYPE_OPERAND);
+            addToken(doubleChar(), TOK_TYPE_OP_IN, TOK_SUBTYPE_LOGICAL, offset, 2);
+            offset += 2;
+            continue;
+        }
+        // The sign of an exponent, as in 1.5E+3, is part of the number
+        if ((currentChar() === '+' || currentChar() === '-') && (isEu ? /^(\d+(,\d*)?|,\d+)E$/i : /^(\d+(\.\d*)?|\.\d+)E$/i).test(token)) {
+            token += currentChar();
+            offset++;
+            continue;
+        }
+        if ("+-*/^&=><".indexOf(currentChar()) !== -1) {
+            flushToken(TOK_TYPE_OPERAND);
+            addToken(currentChar(), TOK_TYPE_OP_IN, undefined, offset, 1);
+            offset++;
+            continue;
+        }
+
+        if (currentChar() === '%') {
+            flushToken(TOK_TYPE_OPERAND);
+            addToken('%', TOK_TYPE_OP_POST, undefined, offset, 1);
+            offset++;
+            continue;
+        }
+
+        if (currentChar() === '(') {
+            if (token.length > 0) {
+                tokenStack.push(addToken(token, TOK_TYPE_FUNCTION, TOK_SUBTYPE_START, tokenStart, offset + 1 - tokenStart));
+            } else {
+                tokenStack.push(addToken("", TOK_TYPE_SUBEXPR, TOK_SUBTYPE_START, offset, 1));
+            }
+            token = "";
+            offset++;
+            continue;
+        }
+
+        if (currentChar() === ')') {
+            flushToken(TOK_TYPE_OPERAND);
+            if (tokenStack.token() && tokenStack.token().value !== "ARRAYROW") {
+                popToken();
+            } else {
+                report("unbalanced-parenthesis", "Unexpected closing parenthesis", offset, 1);
+            }
+            offset++;
+            continue;
+        }
+
+        const listSep = isEu ? ';' : ',';
+        const inArrayRow = tokenStack.token() && tokenStack.token().value === "ARRAYROW";
+
+        if (isEu && inArrayRow && (currentChar() === '\\' || currentChar() === '.')) { // European array column separator
+            flushToken(TOK_TYPE_OPERAND);
+            addToken(currentChar(), TOK_TYPE_ARGUMENT, undefined, offset, 1);
+            offset++;
+            continue;
+        }
+        if (currentChar() === listSep && !(isEu && inArrayRow)) {
+            flushToken(TOK_TYPE_OPERAND);
+            if (tokenStack.type() === TOK_TYPE_FUNCTION) {
+                addToken(listSep, TOK_TYPE_ARGUMENT, undefined, offset, 1);
+            } else {
+                addToken(listSep, TOK_TYPE_OP_IN, TOK_SUBTYPE_UNION, offset, 1);
+            }
+            offset++;
+            continue;
+        }
+        if (currentChar() === ';') { // Array row separator
+            flushToken(TOK_TYPE_OPERAND);
+            if (inArrayRow) {
+                popToken("ARRAYROW", 0);
+                addToken(";", TOK_TYPE_ARGUMENT, undefined, offset, 1); // Represents the row separator
+                tokenStack.push(addToken("ARRAYROW", TOK_TYPE_FUNCTION, TOK_SUBTYPE_START, offset + 1, 0));
+            } else {
+                report("unexpected-separator", "Unexpected ';' outside an array (European separators are turned off)", offset, 1);
+                if (tokenStack.type() === TOK_TYPE_FUNCTION) {
+                    addToken(";", TOK_TYPE_ARGUMENT, undefined, offset, 1);
+                }
+            }
+            offset++;
+            continue;
+        }
+
+        appendChar(currentChar());
+        offset++;
+    }
+
+    // Recover from input that ends in the middle of a construct
+    if (inString) {
+        report("unterminated-string", "Unterminated string", tokenStart, offset - tokenStart);
+        addToken(token, TOK_TYPE_OPERAND, TOK_SUBTYPE_TEXT, tokenStart, offset - tokenStart);
+        token = "";
+    } else if (inPath) {
+        report("unterminated-sheet-name", "Unterminated quoted sheet name", tokenStart, offset - tokenStart);
+    } else if (rangeDepth > 0) {
+        report("unterminated-bracket", "Missing closing bracket ']'", tokenStart, offset - tokenStart);
+    } else if (inError) {
+        report("unknown-error", `Unknown error literal ${token}`, tokenStart, offset - tokenStart);
+        flushToken(TOK_TYPE_OPERAND, TOK_SUBTYPE_ERROR);
+    }
+    flushToken(TOK_TYPE_OPERAND);
+
+    while (tokenStack.token()) {
+        const open = tokenStack.token();
+        if (open.value === "ARRAYROW") {
+            popToken("ARRAYROW", 0);
+            continue;
+        }
+        if (open.value === "ARRAY") {
+            report("unbalanced-brace", "Missing closing brace", open.offset - base, open.length);
+        } else {
+            report("unbalanced-parenthesis", "Missing closing parenthesis", open.offset - base, open.length);
+        }
+        popToken(open.value === "ARRAY" ? "ARRAY" : "", 0);
+    }
+
+    // Post-processing steps
+    let tokens2 = new F_tokens();
+    while(tokens.moveNext()) {
+        let t = tokens.current();
+        if (t.type === TOK_TYPE_WHITE_SPACE) {
+            if (!tokens.BOF() && !tokens.EOF()) {
+                let prev = tokens.previous();
+                let next = tokens.next();
+                if(
+                    (prev.type === TOK_TYPE_OPERAND || (prev.subtype === TOK_SUBTYPE_STOP)) &&
+                    (next.type === TOK_TYPE_OPERAND || (next.subtype === TOK_SUBTYPE_START))
+                ) {
+                    tokens2.items.push(new F_token("", TOK_TYPE_OP_IN, TOK_SUBTYPE_INTERSECT, t.offset, t.length));
+                }
+            }
+            continue;
+        }
+        tokens2.items.push(t);
+    }
+
+    while(tokens2.moveNext()) {
+        let t = tokens2.current();
+        if (t.type === TOK_TYPE_OP_IN && (t.value === "+" || t.value === "-")) {
+            if (tokens2.BOF()) {
+                t.type = t.value === "-" ? TOK_TYPE_OP_PRE : TOK_TYPE_NOOP;
+            } else {
+                let prev = tokens2.previous();
+                if (!(prev.type === TOK_TYPE_OPERAND || prev.subtype === TOK_SUBTYPE_STOP || prev.type === TOK_TYPE_OP_POST)) {
+                    t.type = t.value === "-" ? TOK_TYPE_OP_PRE : TOK_TYPE_NOOP;
+                }
+            }
+        }
+
+        if (t.type === TOK_TYPE_OPERAND && !t.subtype) {
+            // European formulas write decimals with a comma (1,5)
+            const numeric = isEu ? t.value.replace(',', '.') : t.value;
+            if (!isNaN(parseFloat(numeric)) && isFinite(numeric)) {
+                t.subtype = TOK_SUBTYPE_NUMBER;
+            } else if (t.value.toUpperCase() === 'TRUE' || t.value.toUpperCase() === 'FALSE') {
+                t.subtype = TOK_SUBTYPE_LOGICAL;
+            } else {
+                t.subtype = TOK_SUBTYPE_RANGE;
+            }
+        }
+    }
+
+    let finalTokens = new F_tokens();
+    tokens2.reset();
+    while(tokens2.moveNext()) {
+        if (tokens2.current().type !== TOK_TYPE_NOOP) {
+            finalTokens.items.push(tokens2.current());
+        }
+    }
+
+    finalTokens.diagnostics = tokens.diagnostics
+        .concat(findSequenceDiagnostics(finalTokens.items))
+        .sort((a, b) => a.offset - b.offset);
+
+    return finalTokens;
+}
+
+/**
+ * Finds problems that are only visible once the token stream is complete:
+ * operators without a right operand and empty function arguments.
+ * @param {Array<F_token>} items The final tokens.
+ * @returns {Array<object>} Diagnostics in the same shape getTokens reports.
+ */
+function findSequenceDiagnostics(items) {
+    const diagnostics = [];
+    items.forEach((token, i) => {
+        const prev = items[i - 1];
+        const next = items[i + 1];
+        const nextEndsOperand = !next || next.type === TOK_TYPE_ARGUMENT || next.subtype === TOK_SUBTYPE_STOP;
+
+        if ((token.type === TOK_TYPE_OP_IN || token.type === TOK_TYPE_OP_PRE) && nextEndsOperand) {
+            diagnostics.push({
+                code: "trailing-operator",
+                severity: "error",
+                message: `Operator '${token.value}' is missing its right operand`,
+                offset: token.offset,
+                length: token.length,
+            });
+        }
+
+        if (token.type === TOK_TYPE_ARGUMENT) {
+            const prevIsEmpty = prev && (prev.type === TOK_TYPE_ARGUMENT || prev.subtype === TOK_SUBTYPE_START);
+            const nextIsEmpty = next && next.type === TOK_TYPE_FUNCTION && next.subtype === TOK_SUBTYPE_STOP;
+            if (prevIsEmpty || nextIsEmpty) {
+                diagnostics.push({
+                    code: "empty-argument",
+                    severity: "warning",
+                    message: "Empty argument",
+                    offset: token.offset,
+                    length: token.length,
+                });
+            }
+        }
+    });
+    return diagnostics;
+}
+
+/**
+ * Lists the syntax diagnostics for a formula without keeping its tokens.
+ * @param {string} formula The Excel formula string.
+ * @param {object} [options] Tokenizer options; see getTokens.
+ * @returns {Array<object>} Diagnostics `{ code, severity, message, offset, length }` sorted by offset.
+ */
+export function getDiagnostics(formula, options) {
+    return getTokens(formula, options).diagnostics;
+}
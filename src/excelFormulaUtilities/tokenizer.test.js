@@ -0,0 +1,179 @@
+import { getTokens } from './tokenizer.js';
+import {
+    TOK_TYPE_ARGUMENT,
+    TOK_TYPE_FUNCTION,
+    TOK_TYPE_OP_IN,
+    TOK_TYPE_OP_POST,
+    TOK_TYPE_OP_PRE,
+    TOK_TYPE_OPERAND,
+    TOK_SUBTYPE_ERROR,
+    TOK_SUBTYPE_INTERSECT,
+    TOK_SUBTYPE_LOGICAL,
+    TOK_SUBTYPE_NUMBER,
+    TOK_SUBTYPE_RANGE,
+    TOK_SUBTYPE_START,
+    TOK_SUBTYPE_STOP,
+    TOK_SUBTYPE_TEXT,
+    TOK_SUBTYPE_UNION,
+} from './tokens.js';
+
+const summarize = (formula, options) =>
+    getTokens(formula, options).items.map(t => [t.value, t.type, t.subtype]);
+
+describe('getTokens', () => {
+    it('tokenizes a function call with arguments', () => {
+        expect(summarize('=SUM(A1,B1)')).toEqual([
+            ['SUM', TOK_TYPE_FUNCTION, TOK_SUBTYPE_START],
+            ['A1', TOK_TYPE_OPERAND, TOK_SUBTYPE_RANGE],
+            [',', TOK_TYPE_ARGUMENT, ''],
+            ['B1', TOK_TYPE_OPERAND, TOK_SUBTYPE_RANGE],
+            ['', TOK_TYPE_FUNCTION, TOK_SUBTYPE_STOP],
+        ]);
+    });
+
+    it('classifies operand subtypes', () => {
+        expect(summarize('=IF(TRUE,1.5,"a")').slice(1, -1)).toEqual([
+            ['TRUE', TOK_TYPE_OPERAND, TOK_SUBTYPE_LOGICAL],
+            [',', TOK_TYPE_ARGUMENT, ''],
+            ['1.5', TOK_TYPE_OPERAND, TOK_SUBTYPE_NUMBER],
+            [',', TOK_TYPE_ARGUMENT, ''],
+            ['a', TOK_TYPE_OPERAND, TOK_SUBTYPE_TEXT],
+        ]);
+        expect(summarize('=#N/A')).toEqual([['#N/A', TOK_TYPE_OPERAND, TOK_SUBTYPE_ERROR]]);
+    });
+
+    it('unescapes doubled quotes inside strings', () => {
+        expect(summarize('="say ""hi"""')).toEqual([['say "hi"', TOK_TYPE_OPERAND, TOK_SUBTYPE_TEXT]]);
+    });
+
+    it('distinguishes prefix, infix and postfix operators', () => {
+        expect(summarize('=-A1+B1%')).toEqual([
+            ['-', TOK_TYPE_OP_PRE, ''],
+            ['A1', TOK_TYPE_OPERAND, TOK_SUBTYPE_RANGE],
+            ['+', TOK_TYPE_OP_IN, ''],
+            ['B1', TOK_TYPE_OPERAND, TOK_SUBTYPE_RANGE],
+            ['%', TOK_TYPE_OP_POST, ''],
+        ]);
+    });
+
+    it('drops a leading unary plus', () => {
+        expect(summarize('=+A1')).toEqual([['A1', TOK_TYPE_OPERAND, TOK_SUBTYPE_RANGE]]);
+    });
+
+    it('keeps two-character comparison operators together', () => {
+        expect(summarize('=A1<>B1')[1]).toEqual(['<>', TOK_TYPE_OP_IN, TOK_SUBTYPE_LOGICAL]);
+    });
+
+    it('turns whitespace between ranges into an intersection', () => {
+        expect(summarize('=A1:B2 C1:D2')[1]).toEqual(['', TOK_TYPE_OP_IN, TOK_SUBTYPE_INTERSECT]);
+    });
+
+    it('treats a comma outside a function as a union', () => {
+        expect(summarize('=(A1,B1)')[2]).toEqual([',', TOK_TYPE_OP_IN, TOK_SUBTYPE_UNION]);
+    });
+
+    it('keeps quoted sheet names and structured references in one operand', () => {
+        expect(summarize("='My Sheet'!A1")).toEqual([["'My Sheet'!A1", TOK_TYPE_OPERAND, TOK_SUBTYPE_RANGE]]);
+        expect(summarize('=Table1[Col A]')).toEqual([['Table1[Col A]', TOK_TYPE_OPERAND, TOK_SUBTYPE_RANGE]]);
+    });
+
+    it('builds array rows from array literals', () => {
+        expect(summarize('={1,2;3,4}').map(t => t[0])).toEqual([
+            'ARRAY', 'ARRAYROW', '1', ',', '2', 'ARRAYROW', ';', 'ARRAYROW', '3', ',', '4', 'ARRAYROW', 'ARRAY',
+        ]);
+    });
+
+    describe('with isEu', () => {
+        it('uses ; as the argument separator', () => {
+            expect(summarize('=SUM(A1;B1)', { isEu: true })[2]).toEqual([';', TOK_TYPE_ARGUMENT, '']);
+        });
+
+        it('reads decimal commas as numbers', () => {
+            expect(summarize('=ROUND(1,5;2)', { isEu: true })[1]).toEqual(['1,5', TOK_TYPE_OPERAND, TOK_SUBTYPE_NUMBER]);
+        });
+
+        it('separates array rows with ; and columns with \\ or .', () => {
+            expect(summarize('={1,5\\2;3.4}', { isEu: true }).map(t => t[0])).toEqual([
+                'ARRAY', 'ARRAYROW', '1,5', '\\', '2', 'ARRAYROW', ';', 'ARRAYROW', '3', '.', '4', 'ARRAYROW', 'ARRAY',
+            ]);
+        });
+
+        it('does not affect other calls', () => {
+            getTokens('=SUM(A1;B1)', { isEu: true });
+            expect(summarize('=SUM(A1,B1)')[2]).toEqual([',', TOK_TYPE_ARGUMENT, '']);
+        });
+    });
+});
+
+describe('token offsets', () => {
+    it('records where each token starts in the original input', () => {
+        const tokens = getTokens(' = SUM(A1, "x")').items;
+        expect(tokens.map(t => [t.offset, t.length])).toEqual([
+            [3, 4], [7, 2], [9, 1], [11, 3], [14, 1],
+        ]);
+    });
+});
+
+describe('diagnostics', () => {
+    const diagnose = (formula, options) =>
+        getTokens(formula, options).diagnostics.map(d => [d.code, d.offset, d.length]);
+
+    it('is empty for a valid formula', () => {
+        expect(diagnose('=IF(A1>0,{1,2;3,4},#N/A)')).toEqual([]);
+    });
+
+    it('reports an extra closing parenthesis and keeps tokenizing', () => {
+        const tokens = getTokens('=SUM(A1,B1))');
+        expect(tokens.diagnostics).toEqual([{
+            code: 'unbalanced-parenthesis',
+            severity: 'error',
+            message: 'Unexpected closing parenthesis',
+            offset: 11,
+            length: 1,
+        }]);
+        expect(tokens.items).toHaveLength(5);
+    });
+
+    it('reports and closes an unclosed parenthesis', () => {
+        const tokens = getTokens('=SUM(A1');
+        expect(diagnose('=SUM(A1')).toEqual([['unbalanced-parenthesis', 1, 4]]);
+        expect(tokens.items[tokens.items.length - 1].subtype).toBe(TOK_SUBTYPE_STOP);
+    });
+
+    it('reports unbalanced braces', () => {
+        expect(diagnose('={1,2')).toEqual([['unbalanced-brace', 1, 1]]);
+        expect(diagnose('=A1}')).toEqual([['unbalanced-brace', 3, 1]]);
+    });
+
+    it('reports unterminated strings, sheet names and brackets', () => {
+        expect(diagnose('=CONCAT(A1, "abc')).toEqual([['unbalanced-parenthesis', 1, 7], ['unterminated-string', 12, 4]]);
+        expect(diagnose("='My Sheet!A1")).toEqual([['unterminated-sheet-name', 1, 12]]);
+        expect(diagnose('=Table1[Col')).toEqual([['unterminated-bracket', 1, 10]]);
+    });
+
+    it('reports unknown error literals without swallowing the rest', () => {
+        expect(diagnose('=IF(#ERR,1)')).toEqual([['unknown-error', 4, 4]]);
+        expect(summarize('=IF(#ERR,1)')[1]).toEqual(['#ERR', TOK_TYPE_OPERAND, TOK_SUBTYPE_ERROR]);
+        expect(diagnose('=#SPILL!+#GETTING_DATA')).toEqual([]);
+    });
+
+    it('keeps spilled range references as one operand', () => {
+        expect(summarize('=SUM(A1#)')[1]).toEqual(['A1#', TOK_TYPE_OPERAND, TOK_SUBTYPE_RANGE]);
+    });
+
+    it('reports trailing operators', () => {
+        expect(diagnose('=A1+')).toEqual([['trailing-operator', 3, 1]]);
+        expect(diagnose('=SUM(A1*,B1)')).toEqual([['trailing-operator', 7, 1]]);
+    });
+
+    it('warns about empty arguments', () => {
+        const diagnostics = getTokens('=SUM(,A1,,B1,)').diagnostics;
+        expect(diagnostics.map(d => d.offset)).toEqual([5, 9, 12]);
+        expect(diagnostics.every(d => d.code === 'empty-argument' && d.severity === 'warning')).toBe(true);
+    });
+
+    it('reports ; outside arrays when European separators are off', () => {
+        expect(diagnose('=SUM(A1;B1)')).toEqual([['unexpected-separator', 7, 1]]);
+        expect(diagnose('=SUM(A1;B1)', { isEu: true })).toEqual([]);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Token types, subtypes and the token collection classes produced by the tokenizer.
+ */
+
+export const TOK_TYPE_NOOP = "noop";
+export const TOK_TYPE_OPERAND = "operand";
+export const TOK_TYPE_FUNCTION = "function";
+export const TOK_TYPE_SUBEXPR = "subexpression";
+export const TOK_TYPE_ARGUMENT = "argument";
+export const TOK_TYPE_OP_PRE = "operator-prefix";
+export const TOK_TYPE_OP_IN = "operator-infix";
+export const TOK_TYPE_OP_POST = "operator-postfix";
+export const TOK_TYPE_WHITE_SPACE = "white-space";
+export const TOK_TYPE_UNKNOWN = "unknown";
+
+export const TOK_SUBTYPE_START = "start";
+export const TOK_SUBTYPE_STOP = "stop";
+export const TOK_SUBTYPE_TEXT = "text";
+export const TOK_SUBTYPE_NUMBER = "number";
+export const TOK_SUBTYPE_LOGICAL = "logical";
+export const TOK_SUBTYPE_ERROR = "error";
+export const TOK_SUBTYPE_RANGE = "range";
+export const TOK_SUBTYPE_INTERSECT = "intersect";
+export const TOK_SUBTYPE_UNION = "union";
+
+/**
+ * All token types and subtypes keyed by constant name, for consumers that
+ * prefer a single lookup object.
+ */
+export const types = {
+    TOK_TYPE_NOOP,
+    TOK_TYPE_OPERAND,
+    TOK_TYPE_FUNCTION,
+    TOK_TYPE_SUBEXPR,
+    TOK_TYPE_ARGUMENT,
+    TOK_TYPE_OP_PRE,
+    TOK_TYPE_OP_IN,
+    TOK_TYPE_OP_POST,
+    TOK_TYPE_WHITE_SPACE,
+    TOK_TYPE_UNKNOWN,
+    TOK_SUBTYPE_START,
+    TOK_SUBTYPE_STOP,
+    TOK_SUBTYPE_TEXT,
+    TOK_SUBTYPE_NUMBER,
+    TOK_SUBTYPE_LOGICAL,
+    TOK_SUBTYPE_ERROR,
+    TOK_SUBTYPE_RANGE,
+    TOK_SUBTYPE_INTERSECT,
+    TOK_SUBTYPE_UNION,
+};
+
+/**
+ * Represents a single token in a formula.
+ * @class
+ * @param {string} value The token's string value.
+ * @param {string} type The token's type (e.g., 'operand', 'function').
+ * @param {string} subtype The token's subtype (e.g., 'number', 'text').
+ * @param {number} [offset] Index of the token's first character in the formula.
+ * @param {number} [length] Number of formula characters the token spans.
+ */
+export function F_token(value, type, subtype, offset, length) {
+    this.value = value;
+    this.type = type;
+    this.subtype = subtype;
+    this.offset = offset;
+    this.length = length;
+}
+
+/**
+ * A collection of F_token objects with an iterator, plus the syntax
+ * diagnostics found while tokenizing.
+ * @class
+ */
+export function F_tokens() {
+    this.items = [];
+    this.diagnostics = [];
+    this.add = function (value, type, subtype, offset, length) {
+        const token = new F_token(value, type, subtype || "", offset, length);
+        this.items.push(token);
+        return token;
+    };
+    this.index = -1;
+    this.reset = () => { this.index = -1; };
+    this.BOF = () => this.index <= 0;
+    this.EOF = () => this.index >= this.items.length - 1;
+    this.moveNext = () => {
+        if (this.EOF()) return false;
+        this.index++;
+        return true;
+    };
+    this.current = () => (this.index === -1 ? null : this.items[this.index]);
+    this.next = () => (this.EOF() ? null : this.items[this.index + 1]);
+    this.previous = () => (this.index < 1 ? null : this.items[this.index - 1]);
+}
+
+/**
+ * A stack for managing nested structures like functions and subexpressions.
+ * @class
+ */
+export function F_tokenStack() {
+    this.items = [];
+    this.push = (token) => { this.items.push(token); };
+    this.pop = (name, offset, length) => {
+        const token = this.items.pop();
+        return new F_token(name || "", token.type, TOK_SUBTYPE_STOP, offset, length);
+    };
+    this.token = () => (this.items.length > 0 ? this.items[this.items.length - 1] : null);
+    this.type = () => (this.token() ? this.token().type : "");
+}